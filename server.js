@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
@@ -6,6 +7,15 @@ const swaggerSpecs = require('./swagger.config');
 const cashuService = require('./services/cashu');
 const lightningService = require('./services/lightning');
 const redemptionService = require('./services/redemption');
+const redemptionQueue = require('./services/queue');
+const webhookService = require('./services/webhook');
+const mintRegistry = require('./services/mintRegistry');
+const mintHealth = require('./services/mintHealth');
+const logger = require('./services/logger');
+const apiKeyService = require('./services/apiKeys');
+const rateLimiter = require('./services/rateLimiter');
+const metrics = require('./services/metrics');
+const idempotencyService = require('./services/idempotency');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -15,6 +25,16 @@ const apiDomain = process.env.API_DOMAIN || 'localhost:3000';
 const isProduction = process.env.NODE_ENV === 'production';
 const protocol = isProduction ? 'https' : 'http';
 
+// Behind a reverse proxy, take the client IP from X-Forwarded-For
+// (TRUST_PROXY=1 for one proxy hop, true to trust every hop, or a list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true
+    : trustProxy === 'false' ? false
+    : /^\d+$/.test(trustProxy) ? parseInt(trustProxy)
+    : trustProxy);
+}
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 
@@ -23,8 +43,9 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS 
     ? process.env.ALLOWED_ORIGINS.split(',').map(o => o.trim())
     : [`${protocol}://${apiDomain}`],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Origin', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'Idempotent-Replayed'],
   credentials: true,
   optionsSuccessStatus: 200
 }));
@@ -33,14 +54,48 @@ app.use(cors({
 app.use((req, res, next) => {
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept, Origin, X-Requested-With, Idempotency-Key');
     res.status(200).end();
     return;
   }
   next();
 });
 
+// Token bucket rate limiting per client IP, with separate limits for the redeem,
+// decode and docs routes (RateLimit-* headers follow the IETF ratelimit-headers draft)
+app.use(asyncHandler(async (req, res, next) => {
+  const group = rateLimiter.getGroup(req.method, req.path);
+  let result;
+  try {
+    result = await rateLimiter.consume(req.ip, group);
+  } catch (error) {
+    // Do not turn a limiter problem into an outage
+    logger.error('Rate limiter error', error);
+    return next();
+  }
+
+  res.set('RateLimit-Policy', `${result.limit};w=${result.window}`);
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.resetSeconds));
+
+  if (!result.allowed) {
+    metrics.recordRateLimitRejection(group);
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded. Please try again later.',
+      errorType: 'rate_limited',
+      retryAfter: result.retryAfter
+    });
+  }
+
+  next();
+}));
+
+rateLimiter.startEviction();
+
 // Debug endpoint to test CORS
 app.get('/api/cors-test', (req, res) => {
   res.json({
@@ -63,46 +118,117 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   }
 }));
 
-// Basic rate limiting (simple in-memory implementation)
-const rateLimitMap = new Map();
-const RATE_LIMIT = parseInt(process.env.RATE_LIMIT) || 100; // requests per minute
+// Request logging middleware - everything logged while handling the request
+// carries its requestId (and the redeemId once a redemption starts)
+app.use((req, res, next) => {
+  logger.withContext({ requestId: crypto.randomUUID() }, () => {
+    logger.info('Request', { method: req.method, path: req.path, ip: req.ip });
+    next();
+  });
+});
 
-function rateLimit(req, res, next) {
-  const clientId = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowStart = now - 60000; // 1 minute window
+/**
+ * API key authentication middleware (Authorization: Bearer <key>). Keys are managed through
+ * /api/admin/keys and ADMIN_API_KEY works as a bootstrap key with every scope. Requests without
+ * a key are let through on decode and redeem endpoints unless API_KEYS_REQUIRED is set.
+ * Each authenticated request counts against the key's daily request quota.
+ * @param {string} scope - Scope the endpoint requires (decode, redeem, pay-invoice or admin)
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return asyncHandler(async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const providedKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
 
-  if (!rateLimitMap.has(clientId)) {
-    rateLimitMap.set(clientId, []);
-  }
+    if (!providedKey) {
+      if ((scope === 'decode' || scope === 'redeem') && !apiKeyService.required) {
+        return next();
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing API key',
+        errorType: 'unauthorized'
+      });
+    }
 
-  const requests = rateLimitMap.get(clientId);
-  
-  // Remove old requests outside the window
-  const validRequests = requests.filter(time => time > windowStart);
-  rateLimitMap.set(clientId, validRequests);
+    const apiKey = await apiKeyService.authenticate(providedKey);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing API key',
+        errorType: 'unauthorized'
+      });
+    }
 
-  if (validRequests.length >= RATE_LIMIT) {
-    return res.status(429).json({
-      success: false,
-      error: 'Rate limit exceeded. Please try again later.'
-    });
-  }
+    if (!apiKeyService.hasScope(apiKey, scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have the "${scope}" scope`,
+        errorType: 'insufficient_scope'
+      });
+    }
 
-  validRequests.push(now);
-  next();
+    try {
+      await apiKeyService.consumeRequest(apiKey);
+    } catch (error) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        errorType: 'quota_exceeded'
+      });
+    }
+
+    req.apiKey = apiKey;
+    logger.addContext({ apiKeyId: apiKey.id });
+    next();
+  });
 }
 
-// Apply rate limiting to all routes
-app.use(rateLimit);
+/**
+ * Optional API key middleware for status routes: sets req.apiKey when a valid key is sent,
+ * without checking scopes or counting the request against the key's quota
+ */
+const identifyApiKey = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const providedKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (providedKey) {
+    const apiKey = await apiKeyService.authenticate(providedKey);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or missing API key',
+        errorType: 'unauthorized'
+      });
+    }
+    req.apiKey = apiKey;
+    logger.addContext({ apiKeyId: apiKey.id });
+  }
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`${timestamp} - ${req.method} ${req.path} - ${req.ip}`);
   next();
 });
 
+/**
+ * Reject a redemption that would go over the API key's daily sat volume
+ * @param {Object} req - Express request (with req.apiKey when a key was used)
+ * @param {Object} res - Express response
+ * @param {number} amount - Amount about to be paid out in sats (0 when not known up front)
+ * @returns {boolean} Whether the request was rejected
+ */
+async function rejectOverVolume(req, res, amount) {
+  try {
+    await apiKeyService.assertVolumeAvailable(req.apiKey, amount);
+    return false;
+  } catch (error) {
+    res.status(429).json({
+      success: false,
+      error: error.message,
+      errorType: 'quota_exceeded'
+    });
+    return true;
+  }
+}
+
 // Error handling middleware
 function asyncHandler(fn) {
   return (req, res, next) => {
@@ -110,6 +236,162 @@ function asyncHandler(fn) {
   };
 }
 
+/**
+ * Send a failed request validation (403 for mint policy rejections, 409 for tokens
+ * another redemption holds, 400 otherwise)
+ * @param {Object} res - Express response
+ * @param {Object} validation - Validation result from RedemptionService
+ */
+function sendValidationFailure(res, validation) {
+  const response = {
+    success: false,
+    error: validation.errors.join(', ')
+  };
+
+  if (validation.errorType) {
+    response.errorType = validation.errorType;
+  }
+
+  // Name the redemption that already holds the token's proofs (only to the key that made it)
+  if (validation.originalRedeemId) {
+    response.originalRedeemId = validation.originalRedeemId;
+  }
+
+  if (validation.errorType === 'token_already_redeemed') {
+    return res.status(409).json(response);
+  }
+
+  // Use 403 Forbidden for tokens from mints rejected by the mint policy
+  res.status(validation.errorType === 'mint_not_allowed' ? 403 : 400).json(response);
+}
+
+/**
+ * Idempotency-Key middleware. The first request with a key runs normally and its response
+ * is stored; a retry with the same key and body gets that response again (or the current
+ * status of the redemption while it is running or was queued) with an
+ * `Idempotent-Replayed: true` header. Reusing a key with a different body is rejected.
+ * Server errors and temporary rejections are not stored, so the request can be retried
+ * with the same key.
+ */
+const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  const keyError = idempotencyService.validateKey(key);
+  if (keyError) {
+    return res.status(400).json({
+      success: false,
+      error: keyError
+    });
+  }
+
+  // Requests without an API key are told apart by client IP
+  const scope = req.apiKey ? req.apiKey.id : `anonymous:${req.ip}`;
+  const { state, entry } = await idempotencyService.begin(scope, key, idempotencyService.hashBody(req.body), crypto.randomUUID());
+
+  if (state === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key was already used with a different request body',
+      errorType: 'idempotency_key_reused'
+    });
+  }
+
+  if (state === 'completed' && !entry.queued) {
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.statusCode).json(entry.response);
+  }
+
+  // Still running, or queued: reply with the redemption's current status
+  if (state === 'in_progress' || state === 'completed') {
+    const redemption = await redemptionService.getRedemption(entry.redeemId);
+    if (!redemption && state === 'completed') {
+      // The queued redemption has been cleaned up since
+      return res.status(404).json({
+        success: false,
+        error: 'Redemption not found'
+      });
+    }
+    if (!redemption) {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still being processed',
+        errorType: 'idempotency_in_progress'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(202).json({
+      success: true,
+      redeemId: entry.redeemId,
+      status: redemption.status,
+      statusUrl: `/api/redeem/${entry.redeemId}`
+    });
+  }
+
+  // New request: it uses the redeemId stored with the key, and its response is stored
+  req.redeemId = entry.redeemId;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored = idempotencyService.isFinalResponse(res.statusCode, body)
+      ? idempotencyService.complete(scope, key, res.statusCode, body)
+      : idempotencyService.release(scope, key);
+    stored.catch(error => logger.error('Error storing idempotent response', error));
+    return json(body);
+  };
+
+  next();
+});
+
+// HTTP status code for each redemption errorType
+const ERROR_STATUS_CODES = {
+  mint_not_allowed: 403,
+  mint_unavailable: 503, // The mint's circuit breaker is open - fail fast instead of waiting for timeouts
+  mint_unsupported: 422,
+  token_pending: 409,
+  token_already_redeemed: 409,
+  token_already_spent: 409, // 409 Conflict distinguishes already-spent tokens from generic bad requests
+  insufficient_funds: 422,
+  quota_exceeded: 429,
+  validation_error: 400
+};
+
+/**
+ * Send a failed redemption result with a status code matching the error
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result from RedemptionService
+ */
+function sendRedemptionFailure(res, result) {
+  const errorType = result.errorType || redemptionService.getErrorType(result.error);
+
+  const response = {
+    success: false,
+    redeemId: result.redeemId,
+    error: result.error,
+    errorType
+  };
+
+  // A melt that failed after the proofs were swapped may have been paid
+  if (result.status === 'needs_review') {
+    response.status = 'needs_review';
+  }
+
+  // Proofs given back after a failed melt
+  if (result.changeToken) {
+    response.changeToken = result.changeToken;
+    response.changeAmount = result.changeAmount;
+  }
+
+  // Per-mint errors for multi-mint tokens
+  if (result.mints) {
+    response.mints = result.mints;
+  }
+
+  res.status(ERROR_STATUS_CODES[errorType] || 400).json(response);
+}
+
 // API Routes
 
 app.get('/', (req, res) => {
@@ -121,14 +403,25 @@ app.get('/', (req, res) => {
     endpoints: {
       decode: 'POST /api/decode',
       redeem: 'POST /api/redeem',
+      redeemBatch: 'POST /api/redeem/batch',
+      payInvoice: 'POST /api/pay-invoice',
+      status: 'GET /api/redeem/:redeemId',
+      events: 'GET /api/redeem/:redeemId/events',
+      redemptions: 'GET /api/redemptions',
+      apiKeys: 'GET|POST /api/admin/keys',
       validate: 'POST /api/validate-address',
-      health: 'GET /api/health'
+      mintInfo: 'GET /api/mints/:url/info',
+      health: 'GET /api/health',
+      metrics: 'GET /metrics'
     },
     features: [
       'Decode Cashu tokens',
       'Redeem tokens to Lightning addresses',
+      'Pay BOLT11 invoices with tokens',
+      'Redemption status lookup',
       'Lightning address validation',
       'Domain restrictions',
+      'API keys with scopes and quotas',
       'Rate limiting',
       'Comprehensive error handling'
     ],
@@ -145,6 +438,9 @@ app.get('/', (req, res) => {
  *     summary: Decode a Cashu token
  *     description: Decode a Cashu token and return its content. Supports both v1 and v3 token formats.
  *     tags: [Token Operations]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -160,12 +456,16 @@ app.get('/', (req, res) => {
  *               $ref: '#/components/schemas/DecodeResponse'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Token is from a mint rejected by the mint policy or holds more than the mint's MINT_MAX_AMOUNTS limit (errorType mint_not_allowed), or the API key lacks the required scope (errorType insufficient_scope)
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-app.post('/api/decode', asyncHandler(async (req, res) => {
+app.post('/api/decode', requireScope('decode'), asyncHandler(async (req, res) => {
   const { token } = req.body;
 
   if (!token) {
@@ -186,43 +486,54 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
 
     const decoded = await cashuService.parseToken(token);
     const mintUrl = await cashuService.getTokenMintUrl(token);
-    
-    // Check if token is spent
-    let spent = false;
+
+    // Do not contact mints rejected by the mint policy
     try {
-      const spendabilityCheck = await cashuService.checkTokenSpendable(token);
-      // Token is spent if no proofs are spendable
-      spent = !spendabilityCheck.spendable || spendabilityCheck.spendable.length === 0;
+      cashuService.checkMintPolicy(decoded);
     } catch (error) {
-      // If spendability check fails, analyze the error to determine if token is spent
-      console.warn('Spendability check failed:', error.message);
-      
-      // Check if error indicates proofs are already spent
-      const errorString = error.message || error.toString();
-      
-      // Check for specific error indicators
-      if (errorString.includes('TOKEN_SPENT:')) {
-        // CashuService has determined the token is spent based on clear indicators
-        console.log('Token determined to be spent by CashuService');
-        spent = true;
-      } else if (errorString.includes('Token validation failed at mint:')) {
-        // This is a 422 error but not clearly indicating the token is spent
-        // It might be invalid/malformed but not necessarily spent
-        console.log('Token validation failed at mint - assuming token is still valid (might be invalid format)');
-        spent = false;
-      } else if (errorString.includes('not supported') ||
-                 errorString.includes('endpoint not found') ||
-                 errorString.includes('may still be valid') ||
-                 errorString.includes('does not support spendability checking')) {
-        // Mint doesn't support spendability checking - assume token is still valid
-        console.log('Mint does not support spendability checking - assuming token is valid');
-        spent = false;
-      } else {
-        // For other errors (network, server issues), assume token is still valid
-        // This is safer than assuming it's spent
-        console.log('Unknown error - assuming token is valid');
-        spent = false;
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        errorType: 'mint_not_allowed'
+      });
+    }
+
+    // Look up the unit from the keysets when the token does not declare it
+    let unitsResolved = true;
+    try {
+      await cashuService.resolveUnits(decoded);
+    } catch (error) {
+      logger.warn('Unit lookup failed', { error: error.message });
+      unitsResolved = false;
+      for (const entry of decoded.mints) {
+        entry.unit = entry.unit || 'sat';
       }
+      decoded.unit = decoded.unit || 'sat';
+    }
+
+    // Amounts over a mint's MINT_MAX_AMOUNTS limit are refused like the rest of the mint policy
+    if (unitsResolved) {
+      try {
+        await cashuService.checkMintAmounts(decoded);
+      } catch (error) {
+        if (error.message.startsWith('Mint not allowed')) {
+          return res.status(403).json({
+            success: false,
+            error: error.message,
+            errorType: 'mint_not_allowed'
+          });
+        }
+        logger.warn('Mint amount check failed', { error: error.message });
+      }
+    }
+    
+    // Check the state of the token's proofs at the mint(s)
+    let spendability = null;
+    try {
+      spendability = await cashuService.checkTokenSpendable(token);
+    } catch (error) {
+      // The states are reported as unknown (null) when the mint cannot be asked
+      logger.warn('Spendability check failed', { error: error.message });
     }
     
     res.json({
@@ -230,10 +541,22 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
       decoded: {
         mint: decoded.mint,
         totalAmount: decoded.totalAmount,
+        unit: decoded.unit,
         numProofs: decoded.numProofs,
         denominations: decoded.denominations,
         format: decoded.format,
-        spent: spent
+        spent: spendability ? spendability.spentAmount === decoded.totalAmount : null,
+        unspentAmount: spendability ? spendability.unspentAmount : null,
+        pendingAmount: spendability ? spendability.pendingAmount : null,
+        spentAmount: spendability ? spendability.spentAmount : null,
+        multiMint: decoded.multiMint,
+        mints: decoded.mints.map(entry => ({
+          mint: entry.mint,
+          amount: entry.amount,
+          unit: entry.unit,
+          numProofs: entry.numProofs,
+          denominations: entry.proofs.map(proof => proof.amount)
+        }))
       },
       mint_url: mintUrl
     });
@@ -253,17 +576,43 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
  *     description: |
  *       Redeem a Cashu token to a Lightning address (optional - uses default if not provided).
  *       
+ *       The destination can be a Lightning address (`user@domain.com`), a bech32 LNURL-pay
+ *       string (`lnurl1...`), a LUD-17 `lnurlp://` URL, or any of these as a `lightning:` URI.
+ *       
  *       The redemption process includes:
  *       1. Token validation and parsing
- *       2. Getting exact melt quote from mint to determine precise fees
- *       3. Invoice creation for net amount (token amount - exact fees)
- *       4. Spendability checking at the mint
- *       5. Token melting and Lightning payment
+ *       2. Spendability checking at the mint
+ *       3. Lightning address resolution (LNURLp metadata is fetched once)
+ *       4. Invoice creation for the net amount (token amount - estimated fee) and a single melt quote for it
+ *       5. Token melting and Lightning payment, reusing that melt quote
  *       
- *       **Important**: The system gets the exact fee from the mint before creating the invoice.
- *       The `invoiceAmount` field shows the actual amount sent to the Lightning address.
- *       No sats are lost to fee estimation errors.
+ *       **Important**: If the mint's fee reserve is higher than the estimate, a new invoice is
+ *       requested for the smaller amount. The invoice is capped at the recipient's `maxSendable`.
+ *       The `invoiceAmount` field shows the actual amount sent to the Lightning address,
+ *       and any unused fee reserve is returned in `changeToken`.
+ *       
+ *       **Async mode**: with `async: true` the request is validated, queued and answered
+ *       immediately with `202` and a `redeemId`. Poll `GET /api/redeem/{redeemId}` or pass a
+ *       `callbackUrl` to receive a signed webhook when the redemption finishes.
+ *       
+ *       **Idempotency**: send an `Idempotency-Key` header to make retries safe. A retry with
+ *       the same key and body returns the original response (or, while the redemption is still
+ *       running and for async requests, its current status with `202`) with an
+ *       `Idempotent-Replayed: true` header, instead of "Token has already been redeemed".
+ *       Temporary rejections (`429`, `503`, errorType token_pending) are not replayed. Keys are
+ *       scoped per API key (per client IP without one) and kept for `IDEMPOTENCY_TTL_HOURS`.
  *     tags: [Token Operations]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: false
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Unique key for this redemption attempt (e.g. a UUID) - retries must reuse it
  *     requestBody:
  *       required: true
  *       content:
@@ -277,10 +626,20 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/RedeemResponse'
+ *       202:
+ *         description: Redemption queued (async mode), or still running when a request is retried with the same Idempotency-Key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RedeemQueuedResponse'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Token is from a mint rejected by the mint policy or holds more than the mint's MINT_MAX_AMOUNTS limit (errorType mint_not_allowed), or the API key lacks the required scope (errorType insufficient_scope)
  *       409:
- *         description: Token already spent
+ *         description: Token already spent (errorType token_already_spent), pending in another payment (errorType token_pending), shares proofs with a processing or completed redemption (errorType token_already_redeemed, with originalRedeemId for the API key that made it), or a request with the same Idempotency-Key has not started its redemption yet (errorType idempotency_in_progress)
  *         content:
  *           application/json:
  *             schema:
@@ -295,8 +654,11 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
  *                 errorType:
  *                   type: string
  *                   example: "token_already_spent"
+ *                 originalRedeemId:
+ *                   type: string
+ *                   description: Redemption that already holds the token's proofs (errorType token_already_redeemed) - only returned to the API key that made it or an admin key
  *       422:
- *         description: Insufficient funds or unprocessable token
+ *         description: Insufficient funds, unprocessable token, the mint does not support melting the token's unit (errorType mint_unsupported), or the Idempotency-Key was used with a different body (errorType idempotency_key_reused)
  *         content:
  *           application/json:
  *             schema:
@@ -315,31 +677,88 @@ app.post('/api/decode', asyncHandler(async (req, res) => {
  *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *       503:
+ *         description: Redemption queue is full (async mode, errorType queue_full) or the mint is unavailable after repeated failures (errorType mint_unavailable)
  */
-app.post('/api/redeem', asyncHandler(async (req, res) => {
-  const { token, lightningAddress } = req.body;
+app.post('/api/redeem', requireScope('redeem'), idempotent, asyncHandler(async (req, res) => {
+  const { token, lightningAddress, comment, callbackUrl } = req.body;
+  const isAsync = req.body.async === true;
 
-  // Validate request (lightningAddress is now optional)
-  const validation = await redemptionService.validateRedemptionRequest(token, lightningAddress);
+  // Validate request (lightningAddress is optional - the API key's or the server's default is used)
+  const validation = await redemptionService.validateRedemptionRequest(token, lightningAddress, comment, req.apiKey);
+
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    if (!isAsync) {
+      validation.errors.push('callbackUrl is only supported with async: true');
+    } else if (!webhookService.isEnabled()) {
+      validation.errors.push('Webhooks are not configured on this server (WEBHOOK_SECRET is not set)');
+    } else {
+      try {
+        await webhookService.validateCallbackUrl(callbackUrl);
+      } catch (error) {
+        validation.errors.push(error.message);
+      }
+    }
+    validation.valid = validation.errors.length === 0;
+  }
   
   if (!validation.valid) {
-    return res.status(400).json({
-      success: false,
-      error: validation.errors.join(', ')
-    });
+    return sendValidationFailure(res, validation);
+  }
+
+  // Only sat amounts are known before the melt quote - other units are counted once paid
+  const tokenData = validation.tokenData;
+  if (await rejectOverVolume(req, res, tokenData.unit === 'sat' ? tokenData.totalAmount : 0)) {
+    return;
+  }
+
+  // Async mode: queue the redemption and answer right away
+  if (isAsync) {
+    try {
+      const queued = await redemptionService.queueRedemption(token, lightningAddress, comment, callbackUrl || null, req.apiKey, req.redeemId);
+
+      return res.status(202).json({
+        success: true,
+        redeemId: queued.redeemId,
+        status: queued.status,
+        statusUrl: `/api/redeem/${queued.redeemId}`
+      });
+    } catch (error) {
+      if (error.message.includes('queue is full')) {
+        return res.status(503).json({
+          success: false,
+          error: error.message,
+          errorType: 'queue_full'
+        });
+      }
+      // Another request claimed the same proofs after this one was validated
+      if (error.message.includes('already been redeemed')) {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+          errorType: 'token_already_redeemed'
+        });
+      }
+      throw error;
+    }
   }
 
   // Perform redemption
   try {
-    const result = await redemptionService.performRedemption(token, lightningAddress);
+    const result = await redemptionService.performRedemption(token, lightningAddress, comment, req.redeemId || crypto.randomUUID(), req.apiKey);
     
     if (result.success) {
       const response = {
         success: true,
+        redeemId: result.redeemId,
+        status: result.status,
         paid: result.paid,
+        settlementVerified: result.settlementVerified,
         amount: result.amount,
+        unit: result.unit,
         invoiceAmount: result.invoiceAmount,
         to: result.to,
+        destinationType: result.destinationType,
         fee: result.fee,
         actualFee: result.actualFee,
         netAmount: result.netAmount,
@@ -358,34 +777,33 @@ app.post('/api/redeem', asyncHandler(async (req, res) => {
         response.preimage = result.preimage;
       }
 
+      // Flag disagreement between the mint and the recipient's settlement check
+      if (result.reviewReason) {
+        response.warning = result.reviewReason;
+      }
+
+      // Include change (overpaid fee reserve) as a new Cashu token
+      if (result.changeToken) {
+        response.changeToken = result.changeToken;
+        response.changeAmount = result.changeAmount;
+      }
+
+      // Include the recipient's success action (message, url or decrypted AES payload)
+      if (result.successAction) {
+        response.successAction = result.successAction;
+      }
+
+      // Multi-mint tokens: one invoice per mint, with the outcome of each
+      if (result.mints) {
+        response.mints = result.mints;
+      }
+
       res.json(response);
     } else {
-      // Determine appropriate status code based on error type
-      let statusCode = 400;
-      
-      if (result.error && (
-        result.error.includes('cannot be redeemed') ||
-        result.error.includes('already been used') ||
-        result.error.includes('not spendable') ||
-        result.error.includes('already spent') ||
-        result.error.includes('invalid proofs')
-      )) {
-        // Use 409 Conflict for already-spent tokens to distinguish from generic bad requests
-        statusCode = 409;
-      } else if (result.error && result.error.includes('insufficient')) {
-        // Use 422 for insufficient funds
-        statusCode = 422;
-      }
-      
-      res.status(statusCode).json({
-        success: false,
-        error: result.error,
-        errorType: statusCode === 409 ? 'token_already_spent' : 
-                   statusCode === 422 ? 'insufficient_funds' : 'validation_error'
-      });
+      sendRedemptionFailure(res, result);
     }
   } catch (error) {
-    console.error('Error in redemption:', error);
+    logger.error('Error in redemption', error);
     res.status(500).json({
       success: false,
       error: 'Internal server error during redemption'
@@ -395,75 +813,785 @@ app.post('/api/redeem', asyncHandler(async (req, res) => {
 
 /**
  * @swagger
- * /api/health:
- *   get:
- *     summary: Health check endpoint
+ * /api/redeem/batch:
+ *   post:
+ *     summary: Redeem multiple Cashu tokens in one request
  *     description: |
- *       Check the health and status of the API server.
- *       Returns server information including uptime, memory usage, and version.
- *     tags: [Status & Monitoring]
+ *       Redeem up to 50 tokens to a single destination.
+ *       
+ *       Proofs are grouped by mint and each mint's proofs are melted into one invoice,
+ *       so the Lightning routing fee is paid once per mint instead of once per token.
+ *       Spendability is checked per mint; spent, duplicate or invalid tokens are skipped
+ *       and reported without stopping the rest of the batch.
+ *       
+ *       Each mint group is tracked as its own redemption (`mints[].redeemId`) and can be
+ *       looked up with `GET /api/redeem/{redeemId}`. The `tokens` array reports the outcome
+ *       of every token in request order.
+ *     tags: [Token Operations]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchRedeemRequest'
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: At least one mint group was redeemed (check `status` for `paid` or `partial`)
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/HealthResponse'
+ *               $ref: '#/components/schemas/BatchRedeemResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The API key lacks the redeem scope (errorType insufficient_scope)
+ *       422:
+ *         description: No token could be redeemed (the per-token report is included)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchRedeemResponse'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-app.get('/api/health', asyncHandler(async (req, res) => {
+app.post('/api/redeem/batch', requireScope('redeem'), asyncHandler(async (req, res) => {
+  const { tokens, lightningAddress, comment } = req.body;
+
+  const validation = redemptionService.validateBatchRequest(tokens, lightningAddress, comment, req.apiKey);
+
+  if (!validation.valid) {
+    return sendValidationFailure(res, validation);
+  }
+
+  if (await rejectOverVolume(req, res, 0)) {
+    return;
+  }
+
   try {
-    const packageJson = require('./package.json');
-    
-    res.json({
-      status: 'ok',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      version: packageJson.version
-    });
+    const result = await redemptionService.performBatchRedemption(tokens, lightningAddress, comment, req.apiKey);
+
+    const response = {
+      success: result.success,
+      batchId: result.batchId,
+      status: result.status,
+      to: result.to,
+      destinationType: result.destinationType,
+      amount: result.amount,
+      unit: result.unit,
+      invoiceAmount: result.invoiceAmount,
+      fee: result.fee,
+      mints: result.mints,
+      tokens: result.tokens
+    };
+
+    if (result.usingDefaultAddress) {
+      response.usingDefaultAddress = true;
+    }
+
+    if (!result.success) {
+      response.error = result.error || 'None of the tokens could be redeemed';
+      return res.status(422).json(response);
+    }
+
+    res.json(response);
   } catch (error) {
-    console.error('Health check error:', error);
+    logger.error('Error in batch redemption', error);
     res.status(500).json({
-      status: 'error',
-      timestamp: new Date().toISOString(),
-      error: 'Health check failed'
+      success: false,
+      error: 'Internal server error during batch redemption'
     });
   }
 }));
 
+// Paying any invoice bypasses ALLOW_REDEEM_DOMAINS, so the endpoint has to be switched on
+const ALLOW_PAY_INVOICE = process.env.ALLOW_PAY_INVOICE === 'true';
+
+/**
+ * Reject invoice payments unless ALLOW_PAY_INVOICE is set
+ */
+function requirePayInvoiceEnabled(req, res, next) {
+  if (!ALLOW_PAY_INVOICE) {
+    return res.status(403).json({
+      success: false,
+      error: 'Paying invoices is disabled on this server',
+      errorType: 'pay_invoice_disabled'
+    });
+  }
+  next();
+}
+
 /**
  * @swagger
- * /api/validate-address:
+ * /api/pay-invoice:
  *   post:
- *     summary: Validate a Lightning address
+ *     summary: Pay a BOLT11 invoice with a Cashu token
  *     description: |
- *       Validate a Lightning address without performing a redemption.
- *       Checks format validity and tests LNURLp resolution.
+ *       Pay an existing Lightning invoice directly from a Cashu token.
  *       
- *       Returns information about the Lightning address capabilities
- *       including min/max sendable amounts and comment allowance.
- *     tags: [Validation]
+ *       The invoice must specify an amount. The token must cover the invoice amount
+ *       plus the mint's fee reserve; any unused fee reserve or excess token value is
+ *       returned in `changeToken`. The payment is tracked like a redemption and can be
+ *       looked up with `GET /api/redeem/{redeemId}`.
+ *       
+ *       The invoice can pay any destination, so `ALLOW_REDEEM_DOMAINS` does not apply.
+ *       The endpoint is disabled unless `ALLOW_PAY_INVOICE=true` and needs an API key
+ *       with the `pay-invoice` scope.
+ *     tags: [Token Operations]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/ValidateAddressRequest'
+ *             $ref: '#/components/schemas/PayInvoiceRequest'
  *     responses:
  *       200:
- *         description: Validation completed (check 'valid' field for result)
+ *         description: Invoice paid
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ValidateAddressResponse'
+ *               $ref: '#/components/schemas/PayInvoiceResponse'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Paying invoices is disabled (errorType pay_invoice_disabled), the token is from a mint rejected by the mint policy (errorType mint_not_allowed) or the API key lacks the pay-invoice scope (errorType insufficient_scope)
+ *       409:
+ *         description: Token already spent, or shares proofs with a processing or completed redemption (errorType token_already_redeemed, with originalRedeemId for the API key that made it)
+ *       422:
+ *         description: Token does not cover the invoice amount plus fee reserve, or the mint does not support melting the token's unit (errorType mint_unsupported)
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
  */
-app.post('/api/validate-address', asyncHandler(async (req, res) => {
+app.post('/api/pay-invoice', requirePayInvoiceEnabled, requireScope('pay-invoice'), asyncHandler(async (req, res) => {
+  const { token, invoice } = req.body;
+
+  const validation = await redemptionService.validateInvoicePaymentRequest(token, invoice, req.apiKey);
+
+  if (!validation.valid) {
+    return sendValidationFailure(res, validation);
+  }
+
+  if (await rejectOverVolume(req, res, validation.invoiceData.amount)) {
+    return;
+  }
+
+  try {
+    const result = await redemptionService.performInvoicePayment(token, invoice, req.apiKey);
+
+    if (result.success) {
+      const response = {
+        success: true,
+        redeemId: result.redeemId,
+        status: result.status,
+        paid: result.paid,
+        settlementVerified: result.settlementVerified,
+        amount: result.amount,
+        unit: result.unit,
+        invoiceAmount: result.invoiceAmount,
+        paymentHash: result.paymentHash,
+        fee: result.fee,
+        netAmount: result.netAmount,
+        mint_url: result.mint,
+        format: result.format
+      };
+
+      if (result.preimage) {
+        response.preimage = result.preimage;
+      }
+
+      if (result.reviewReason) {
+        response.warning = result.reviewReason;
+      }
+
+      if (result.changeToken) {
+        response.changeToken = result.changeToken;
+        response.changeAmount = result.changeAmount;
+      }
+
+      res.json(response);
+    } else {
+      sendRedemptionFailure(res, result);
+    }
+  } catch (error) {
+    logger.error('Error in invoice payment', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error during invoice payment'
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /api/redeem/{redeemId}:
+ *   get:
+ *     summary: Get redemption status
+ *     description: |
+ *       Look up the current status of a redemption by the `redeemId` returned from `POST /api/redeem`.
+ *       Can be polled while a redemption is in progress.
+ *       
+ *       `changeToken` and `successAction` are only included for the API key the redemption
+ *       was made with, or an admin key.
+ *     tags: [Token Operations]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redeemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Redemption ID
+ *     responses:
+ *       200:
+ *         description: Redemption found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RedemptionStatusResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/redeem/:redeemId', identifyApiKey, asyncHandler(async (req, res) => {
+  const { redeemId } = req.params;
+  const redemption = await redemptionService.getRedemption(redeemId);
+
+  if (!redemption) {
+    return res.status(404).json({
+      success: false,
+      error: 'Redemption not found'
+    });
+  }
+
+  const includeSecrets = redemptionService.canViewSecrets(redemption, req.apiKey);
+  res.json(redemptionService.formatRedemptionStatus(redeemId, redemption, includeSecrets));
+}));
+
+/**
+ * @swagger
+ * /api/redeem/{redeemId}/events:
+ *   get:
+ *     summary: Stream redemption progress
+ *     description: |
+ *       Server-Sent Events stream of a redemption's state. The current state is sent first,
+ *       followed by a `status` event for every change (`parsing_token`, `checking_spendability`,
+ *       `resolving_invoice`, `getting_melt_quote`, `melting_token`, ...).
+ *       The stream closes after a final status (`paid`, `failed` or `needs_review`).
+ *       
+ *       Each event's `data` is the same JSON object as `GET /api/redeem/{redeemId}`, including
+ *       the change token only for the API key the redemption was made with.
+ *     tags: [Token Operations]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: redeemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Redemption ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: status\ndata: {\"success\":true,\"redeemId\":\"8e99101e-d034-4d2e-9ccf-dfda24d26762\",\"status\":\"melting_token\",\"details\":{}}\n\n"
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/redeem/:redeemId/events', identifyApiKey, asyncHandler(async (req, res) => {
+  const { redeemId } = req.params;
+  const redemption = await redemptionService.getRedemption(redeemId);
+
+  if (!redemption) {
+    return res.status(404).json({
+      success: false,
+      error: 'Redemption not found'
+    });
+  }
+
+  const includeSecrets = redemptionService.canViewSecrets(redemption, req.apiKey);
+  const current = redemptionService.formatRedemptionStatus(redeemId, redemption, includeSecrets);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+
+  const sendStatus = (status) => {
+    res.write(`event: status\ndata: ${JSON.stringify(status)}\n\n`);
+  };
+
+  // Keep the connection open through proxies while the redemption is idle
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const close = () => {
+    clearInterval(heartbeat);
+    redemptionService.removeListener('update', onUpdate);
+    res.end();
+  };
+
+  const onUpdate = (updatedId, redemption) => {
+    if (updatedId !== redeemId) {
+      return;
+    }
+
+    sendStatus(redemptionService.formatRedemptionStatus(redeemId, redemption, includeSecrets));
+
+    if (redemptionService.isTerminalStatus(redemption.status)) {
+      close();
+    }
+  };
+
+  sendStatus(current);
+
+  if (redemptionService.isTerminalStatus(current.status)) {
+    return close();
+  }
+
+  redemptionService.on('update', onUpdate);
+  req.on('close', close);
+}));
+
+/**
+ * @swagger
+ * /api/redemptions:
+ *   get:
+ *     summary: List redemptions
+ *     description: |
+ *       Paginated redemption history for support and administration, newest first.
+ *       Requires an API key with the `admin` scope (or ADMIN_API_KEY) as a bearer token.
+ *     tags: [Status & Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: paid
+ *         description: Filter by redemption status
+ *       - in: query
+ *         name: mint
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Filter by mint URL
+ *       - in: query
+ *         name: lightningAddress
+ *         schema:
+ *           type: string
+ *         description: Filter by destination Lightning address
+ *       - in: query
+ *         name: apiKeyId
+ *         schema:
+ *           type: string
+ *         description: Filter by the API key that created the redemption
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only redemptions created at or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Redemptions matching the filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RedemptionListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/redemptions', requireScope('admin'), asyncHandler(async (req, res) => {
+  const { status, mint, lightningAddress, apiKeyId, from, to, page, limit } = req.query;
+
+  try {
+    const result = await redemptionService.listRedemptions({
+      status, mint, lightningAddress, apiKeyId, from, to, page, limit
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /api/admin/keys:
+ *   get:
+ *     summary: List API keys
+ *     description: |
+ *       List all API keys with their scopes, quotas and today's usage. The keys themselves
+ *       are never returned - only a short prefix to recognize them.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyListResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The API key lacks the admin scope (errorType insufficient_scope)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Create an API key. The key is returned only in this response - store it safely.
+ *       
+ *       Scopes: `decode` (POST /api/decode), `redeem` (redeem and batch), `pay-invoice`
+ *       (POST /api/pay-invoice, only when ALLOW_PAY_INVOICE=true - `redeem` does not allow paying
+ *       invoices) and `admin` (key management and redemption history - grants every other scope too).
+ *       Quotas are per UTC day; `satsPerDay` counts the sats paid out by the key's redemptions.
+ *       Redemptions without a Lightning address go to the key's `defaultLightningAddress`
+ *       before falling back to the server's `DEFAULT_LIGHTNING_ADDRESS`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyCreatedResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The API key lacks the admin scope (errorType insufficient_scope)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.get('/api/admin/keys', requireScope('admin'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    keys: await apiKeyService.listKeys()
+  });
+}));
+
+app.post('/api/admin/keys', requireScope('admin'), asyncHandler(async (req, res) => {
+  try {
+    const { key, apiKey } = await apiKeyService.createKey(req.body || {});
+    logger.info('API key created', { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes });
+
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /api/admin/keys/{id}:
+ *   patch:
+ *     summary: Update an API key
+ *     description: Change the name, scopes, quotas or default Lightning address of an API key. Fields that are left out are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApiKeyRequest'
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeyResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Delete an API key. Requests made with it are rejected from then on; its redemptions keep their `apiKeyId`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+app.patch('/api/admin/keys/:id', requireScope('admin'), asyncHandler(async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.updateKey(req.params.id, req.body || {});
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    logger.info('API key updated', { apiKeyId: apiKey.id });
+    res.json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+}));
+
+app.delete('/api/admin/keys/:id', requireScope('admin'), asyncHandler(async (req, res) => {
+  const deleted = await apiKeyService.revokeKey(req.params.id);
+
+  if (!deleted) {
+    return res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+  }
+
+  logger.info('API key revoked', { apiKeyId: req.params.id });
+  res.json({
+    success: true,
+    id: req.params.id,
+    revoked: true
+  });
+}));
+
+/**
+ * @swagger
+ * /api/health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: |
+ *       Check the health and status of the API server.
+ *       Returns server information including uptime, memory usage, and version,
+ *       the async queue, and how many mints are tracked per circuit state. The health of
+ *       each mint (`mints`) is only included for an API key with the `admin` scope.
+ *       
+ *       A mint's circuit is `open` after `MINT_FAILURE_THRESHOLD` failures in a row: requests
+ *       to it fail fast with errorType `mint_unavailable` until `MINT_COOLDOWN_MS` has passed,
+ *       then a single probe request decides whether it is closed again.
+ *     tags: [Status & Monitoring]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Server is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthResponse'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+app.get('/api/health', identifyApiKey, asyncHandler(async (req, res) => {
+  try {
+    const packageJson = require('./package.json');
+    // Mint URLs come from callers, so the per-mint detail is for admins only
+    const isAdmin = !!req.apiKey && apiKeyService.hasScope(req.apiKey, 'admin');
+    
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      memory: process.memoryUsage(),
+      queue: redemptionQueue.getStats(),
+      mintCircuits: mintHealth.getSummary(),
+      ...(isAdmin ? { mints: mintHealth.getStats() } : {}),
+      version: packageJson.version
+    });
+  } catch (error) {
+    logger.error('Health check error', error);
+    res.status(500).json({
+      status: 'error',
+      timestamp: new Date().toISOString(),
+      error: 'Health check failed'
+    });
+  }
+}));
+
+/**
+ * Metrics access: the METRICS_TOKEN bearer token (for scrapers) or an API key with the admin scope
+ */
+const requireMetricsAccess = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const providedKey = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (process.env.METRICS_TOKEN && providedKey && apiKeyService.safeEqual(providedKey, process.env.METRICS_TOKEN)) {
+    return next();
+  }
+  return requireScope('admin')(req, res, next);
+});
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text format: redemptions by final status and errorType,
+ *       sats redeemed and fees paid by mint, melt latency by mint and outcome, LNURLp
+ *       resolution latency and failures by domain, rate-limit rejections and process metrics.
+ *       All series are prefixed with `cashu_redeem_`. Only allowlisted mints (MINT_ALLOWLIST)
+ *       and domains listed in ALLOW_REDEEM_DOMAINS get their own `mint` and `domain` label
+ *       values - all others are counted as `other`.
+ *       
+ *       Requires the `METRICS_TOKEN` as bearer token, or an API key with the admin scope.
+ *     tags: [Status & Monitoring]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 cashu_redeem_redemptions_total{status="paid",error_type=""} 42
+ *                 cashu_redeem_redemptions_total{status="failed",error_type="token_already_spent"} 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: The API key lacks the admin scope (errorType insufficient_scope)
+ */
+app.get('/metrics', requireMetricsAccess, asyncHandler(async (req, res) => {
+  res.set('Content-Type', metrics.getContentType());
+  res.send(await metrics.render());
+}));
+
+/**
+ * @swagger
+ * /api/validate-address:
+ *   post:
+ *     summary: Validate a Lightning address
+ *     description: |
+ *       Validate a Lightning address (or LNURL-pay link) without performing a redemption.
+ *       Checks format validity and tests LNURLp resolution.
+ *       
+ *       Returns information about the Lightning address capabilities
+ *       including min/max sendable amounts and comment allowance.
+ *     tags: [Validation]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ValidateAddressRequest'
+ *     responses:
+ *       200:
+ *         description: Validation completed (check 'valid' field for result)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidateAddressResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+app.post('/api/validate-address', asyncHandler(async (req, res) => {
   const { lightningAddress } = req.body;
 
   if (!lightningAddress) {
@@ -474,7 +1602,7 @@ app.post('/api/validate-address', asyncHandler(async (req, res) => {
   }
 
   try {
-    const isValid = lightningService.validateLightningAddress(lightningAddress);
+    const isValid = lightningService.isValidDestination(lightningAddress);
     
     if (!isValid) {
       return res.json({
@@ -485,19 +1613,19 @@ app.post('/api/validate-address', asyncHandler(async (req, res) => {
     }
 
     // Test resolution
-    const { domain } = lightningService.parseLightningAddress(lightningAddress);
-    const lnurlpUrl = lightningService.getLNURLpEndpoint(lightningAddress);
+    const { domain, type } = lightningService.parseDestination(lightningAddress);
     
     try {
-      const lnurlpResponse = await lightningService.fetchLNURLpResponse(lnurlpUrl);
+      const payRequest = await lightningService.resolvePayRequest(lightningAddress);
       
       res.json({
         success: true,
         valid: true,
+        type,
         domain,
-        minSendable: lightningService.millisatsToSats(lnurlpResponse.minSendable),
-        maxSendable: lightningService.millisatsToSats(lnurlpResponse.maxSendable),
-        commentAllowed: lnurlpResponse.commentAllowed || 0
+        minSendable: payRequest.minSendable,
+        maxSendable: payRequest.maxSendable,
+        commentAllowed: payRequest.commentAllowed
       });
     } catch (error) {
       res.json({
@@ -515,6 +1643,83 @@ app.post('/api/validate-address', asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @swagger
+ * /api/mints/{url}/info:
+ *   get:
+ *     summary: Get a mint's info and supported NUTs
+ *     description: |
+ *       Return the mint's NUT-06 info and the NUTs it supports, as used by the API to
+ *       decide which operations it can perform with the mint.
+ *       
+ *       Mint info is cached and fetched again once it is older than `MINT_INFO_TTL` seconds.
+ *       The `cache` object tells how old the returned info is.
+ *     tags: [Mints]
+ *     parameters:
+ *       - in: path
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: URL-encoded mint URL
+ *         example: https%3A%2F%2Fmint.azzamo.net
+ *     responses:
+ *       200:
+ *         description: Mint info
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MintInfoResponse'
+ *       403:
+ *         description: Mint rejected by the mint policy (errorType mint_not_allowed)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       502:
+ *         description: Mint could not be reached (errorType mint_unreachable)
+ *       503:
+ *         description: Mint is unavailable after repeated failures (errorType mint_unavailable)
+ */
+app.get('/api/mints/:url/info', asyncHandler(async (req, res) => {
+  const mintUrl = req.params.url;
+
+  // The URL is user input - apply the mint policy before contacting it
+  try {
+    cashuService.checkMintUrl(mintUrl);
+  } catch (error) {
+    return res.status(403).json({
+      success: false,
+      error: error.message,
+      errorType: 'mint_not_allowed'
+    });
+  }
+
+  try {
+    const capabilities = await cashuService.getMintCapabilities(mintUrl);
+
+    res.json({
+      success: true,
+      ...mintRegistry.describe(mintUrl, capabilities)
+    });
+  } catch (error) {
+    let statusCode = 502;
+    let errorType = 'mint_unreachable';
+
+    if (error.message.includes('Mint not allowed')) {
+      statusCode = 403;
+      errorType = 'mint_not_allowed';
+    } else if (error.message.includes('Mint unavailable')) {
+      statusCode = 503;
+      errorType = 'mint_unavailable';
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: error.message,
+      errorType
+    });
+  }
+}));
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -525,7 +1730,7 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
+  logger.error('Global error handler', error);
   
   if (error.type === 'entity.parse.failed') {
     return res.status(400).json({
@@ -540,45 +1745,83 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Cleanup old redemptions periodically (every hour)
+// Cleanup old redemptions and idempotency keys periodically (every hour)
+const REDEMPTION_RETENTION_HOURS = parseInt(process.env.REDEMPTION_RETENTION_HOURS) || 24;
+
 setInterval(() => {
-  try {
-    redemptionService.cleanupOldRedemptions();
-    console.log('Cleaned up old redemptions');
-  } catch (error) {
-    console.error('Error cleaning up redemptions:', error);
-  }
+  redemptionService.cleanupOldRedemptions(REDEMPTION_RETENTION_HOURS * 60 * 60 * 1000)
+    .then(() => logger.info('Cleaned up old redemptions'))
+    .catch(error => logger.error('Error cleaning up redemptions', error));
+
+  // Pick up redemptions abandoned by instances that stopped sending heartbeats (see RECOVERY_STALE_MINUTES)
+  redemptionService.recoverInterruptedRedemptions()
+    .then(results => {
+      if (results.length > 0) {
+        logger.info('Recovered interrupted redemptions', { count: results.length, results });
+      }
+    })
+    .catch(error => logger.error('Error recovering interrupted redemptions', error));
+
+  idempotencyService.cleanup()
+    .catch(error => logger.error('Error cleaning up idempotency keys', error));
 }, 60 * 60 * 1000); // 1 hour
 
+// Report this instance as running, so instances sharing the storage leave its redemptions alone
+setInterval(() => {
+  redemptionService.heartbeat()
+    .catch(error => logger.error('Error recording instance heartbeat', error));
+}, 60 * 1000); // 1 minute
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Cashu Redeem API running on port ${PORT}`);
-  console.log(`📖 API Documentation: http://localhost:${PORT}/docs`);
-  console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
-  console.log(`🔒 Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info(`Cashu Redeem API running on port ${PORT}`, {
+    docs: `http://localhost:${PORT}/docs`,
+    health: `http://localhost:${PORT}/api/health`,
+    environment: process.env.NODE_ENV || 'development',
+    storageBackend: process.env.STORAGE_BACKEND || 'memory',
+    allowedDomains: process.env.ALLOW_REDEEM_DOMAINS || null,
+    allowedMints: process.env.MINT_ALLOWLIST || null,
+    defaultLightningAddress: process.env.DEFAULT_LIGHTNING_ADDRESS || null,
+    apiKeysRequired: apiKeyService.required,
+    payInvoiceEnabled: ALLOW_PAY_INVOICE
+  });
   
-  if (process.env.ALLOW_REDEEM_DOMAINS) {
-    console.log(`🌐 Allowed domains: ${process.env.ALLOW_REDEEM_DOMAINS}`);
-  } else {
-    console.log('⚠️  No domain restrictions (ALLOW_REDEEM_DOMAINS not set)');
+  if (!process.env.ALLOW_REDEEM_DOMAINS) {
+    logger.warn('No domain restrictions (ALLOW_REDEEM_DOMAINS not set)');
   }
 
-  if (process.env.DEFAULT_LIGHTNING_ADDRESS) {
-    console.log(`⚡ Default Lightning address: ${process.env.DEFAULT_LIGHTNING_ADDRESS}`);
-  } else {
-    console.log('⚠️  No default Lightning address configured - Lightning address will be required for redemptions');
+  if (!process.env.MINT_ALLOWLIST) {
+    logger.warn('No mint allowlist (MINT_ALLOWLIST not set) - tokens from any public mint are accepted');
   }
+
+  if (!process.env.ADMIN_API_KEY) {
+    logger.warn('No admin key configured (ADMIN_API_KEY not set) - only stored keys with the admin scope can manage API keys');
+  }
+
+  if (!process.env.DEFAULT_LIGHTNING_ADDRESS) {
+    logger.warn('No default Lightning address configured - Lightning address will be required for redemptions');
+  }
+
+  // Reconcile redemptions interrupted by a previous crash or restart
+  redemptionService.heartbeat()
+    .then(() => redemptionService.recoverInterruptedRedemptions(true))
+    .then(results => {
+      if (results.length > 0) {
+        logger.info('Recovered interrupted redemptions', { count: results.length, results });
+      }
+    })
+    .catch(error => logger.error('Error recovering interrupted redemptions', error));
 });
 
 module.exports = app; 
\ No newline at end of file
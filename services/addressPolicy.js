@@ -0,0 +1,145 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses that are not reachable on the public internet
+const PRIVATE_RANGES = new net.BlockList();
+for (const [prefix, length] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, length, 'ipv4');
+}
+for (const [prefix, length] of [
+  ['::', 128], ['::1', 128], ['100::', 64], ['2001:db8::', 32], ['64:ff9b:1::', 48],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(prefix, length, 'ipv6');
+}
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address (may end in a dotted IPv4 part)
+ * @returns {Array<number>} Eight groups
+ */
+function ipv6Groups(address) {
+  let value = address.toLowerCase().split('%')[0];
+
+  const dotted = value.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    value = value.slice(0, -dotted[0].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = value.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+
+  return [...headGroups, ...Array(fill).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * Format two 16-bit groups as a dotted IPv4 address
+ * @param {number} high - Upper group
+ * @param {number} low - Lower group
+ * @returns {string} IPv4 address
+ */
+function ipv4FromGroups(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+class AddressPolicy {
+  /**
+   * Get the IPv4 address embedded in an IPv6 address: IPv4-mapped (::ffff:a.b.c.d),
+   * IPv4-compatible (::a.b.c.d), NAT64 (64:ff9b::a.b.c.d) and 6to4 (2002:AABB:CCDD::)
+   * @param {string} address - IPv6 address
+   * @returns {string|null} Embedded IPv4 address or null
+   */
+  getEmbeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+      return ipv4FromGroups(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+      return ipv4FromGroups(groups[6], groups[7]);
+    }
+    if (groups[0] === 0x2002) {
+      return ipv4FromGroups(groups[1], groups[2]);
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an IP address is loopback, private, link-local or otherwise not public.
+   * IPv6 addresses that wrap an IPv4 address are judged by the IPv4 address.
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} Whether the address is private
+   */
+  isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+      return PRIVATE_RANGES.check(address, 'ipv4');
+    }
+
+    if (net.isIPv6(address)) {
+      const embedded = this.getEmbeddedIPv4(address);
+      if (embedded) {
+        return PRIVATE_RANGES.check(embedded, 'ipv4');
+      }
+      return PRIVATE_RANGES.check(address.split('%')[0], 'ipv6');
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a URL hostname is a local name or a private address literal
+   * @param {string} hostname - Hostname from a URL (IPv6 literals may keep their brackets)
+   * @returns {boolean} Whether the host is private or local
+   */
+  isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') ||
+      host.endsWith('.local') || host.endsWith('.internal') ||
+      this.isPrivateAddress(host);
+  }
+
+  /**
+   * Resolve a hostname and check whether any of its addresses is private
+   * (catches public hostnames that resolve to internal IPs; literals resolve to themselves)
+   * @param {string} hostname - Hostname from a URL
+   * @returns {boolean} Whether the host resolves to a private address
+   * @throws {Error} If the hostname cannot be resolved
+   */
+  async resolvesToPrivate(hostname) {
+    const addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    return addresses.some(({ address }) => this.isPrivateAddress(address));
+  }
+
+  /**
+   * Make sure a caller-supplied URL points to a public host
+   * @param {string} urlString - The URL
+   * @param {string} label - Name of the URL in error messages (e.g. callbackUrl)
+   * @throws {Error} If the host is local, private or cannot be resolved
+   */
+  async assertPublicUrl(urlString, label) {
+    const { hostname } = new URL(urlString);
+
+    if (this.isPrivateHost(hostname)) {
+      throw new Error(`${label} points to a private or local address`);
+    }
+
+    let isPrivate;
+    try {
+      isPrivate = await this.resolvesToPrivate(hostname);
+    } catch (error) {
+      throw new Error(`${label} host could not be resolved: ${error.message}`);
+    }
+    if (isPrivate) {
+      throw new Error(`${label} resolves to a private address`);
+    }
+  }
+}
+
+module.exports = new AddressPolicy();
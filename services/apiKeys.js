@@ -0,0 +1,374 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const lightningService = require('./lightning');
+
+const SCOPES = ['decode', 'redeem', 'pay-invoice', 'admin'];
+const KEY_PREFIX = 'crk_';
+
+class ApiKeyService {
+  constructor() {
+    // Only a SHA-256 hash of each key is stored - the key itself is shown once, on creation
+    this.keys = createStore('api-keys');
+    // Bootstrap admin key from the environment (all scopes, no quotas)
+    this.adminKey = process.env.ADMIN_API_KEY || null;
+    // Reject requests without a key on the decode and redeem endpoints
+    this.required = process.env.API_KEYS_REQUIRED === 'true';
+  }
+
+  /**
+   * Run a read-modify-write of key records in a transaction on the key store. Quota checks
+   * and usage updates exclude each other, so concurrent requests - also on other instances
+   * sharing file storage - cannot both pass a check against the same usage.
+   * @param {Function} task - Async function receiving the store handle to read and write keys with
+   * @returns {*} The task's result
+   */
+  withUsageLock(task) {
+    return this.keys.transaction(task);
+  }
+
+  /**
+   * Hash an API key for storage and lookup
+   * @param {string} key - The API key
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Compare two strings in constant time
+   * @param {string} provided - Value from the request
+   * @param {string} expected - Known value
+   * @returns {boolean} Whether they are equal
+   */
+  safeEqual(provided, expected) {
+    const a = Buffer.from(provided);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Get the current quota period (UTC day)
+   * @returns {string} Day as YYYY-MM-DD
+   */
+  getPeriod() {
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  /**
+   * Validate the settings of a new or updated key
+   * @param {Object} settings - { name, scopes, requestsPerDay, satsPerDay, defaultLightningAddress }
+   * @returns {Array<string>} Validation errors
+   */
+  validateSettings(settings) {
+    const errors = [];
+    const { name, scopes, requestsPerDay, satsPerDay, defaultLightningAddress } = settings;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      errors.push('name must be a non-empty string');
+    }
+
+    if (scopes !== undefined) {
+      if (!Array.isArray(scopes) || scopes.length === 0) {
+        errors.push(`scopes must be a non-empty array (${SCOPES.join(', ')})`);
+      } else {
+        const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+          errors.push(`Unknown scope(s): ${unknown.join(', ')}. Supported: ${SCOPES.join(', ')}`);
+        }
+      }
+    }
+
+    for (const [field, value] of Object.entries({ requestsPerDay, satsPerDay })) {
+      if (value !== undefined && value !== null && (!Number.isInteger(value) || value <= 0)) {
+        errors.push(`${field} must be a positive integer or null (unlimited)`);
+      }
+    }
+
+    if (defaultLightningAddress !== undefined && defaultLightningAddress !== null) {
+      try {
+        lightningService.parseDestination(defaultLightningAddress);
+      } catch (error) {
+        errors.push(`Invalid defaultLightningAddress: ${error.message}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Create an API key
+   * @param {Object} settings - { name, scopes, requestsPerDay, satsPerDay, defaultLightningAddress }
+   * @returns {Object} { key, apiKey } - the plaintext key (only returned here) and its public record
+   * @throws {Error} If the settings are invalid
+   */
+  async createKey(settings) {
+    const errors = this.validateSettings({ scopes: ['redeem'], ...settings });
+    if (settings.name === undefined) {
+      errors.unshift('name is required');
+    }
+    if (errors.length > 0) {
+      throw new Error(`Invalid API key settings: ${errors.join(', ')}`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = {
+      id: uuidv4(),
+      name: settings.name.trim(),
+      keyHash: this.hashKey(key),
+      keyPrefix: key.substring(0, KEY_PREFIX.length + 6),
+      scopes: settings.scopes || ['redeem'],
+      requestsPerDay: settings.requestsPerDay || null,
+      satsPerDay: settings.satsPerDay || null,
+      defaultLightningAddress: settings.defaultLightningAddress || null,
+      usage: { period: this.getPeriod(), requests: 0, sats: 0 },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    await this.keys.set(record.id, record);
+    return { key, apiKey: this.describe(record) };
+  }
+
+  /**
+   * Update the settings of an API key (the key itself cannot be changed)
+   * @param {string} id - API key ID
+   * @param {Object} updates - Any of { name, scopes, requestsPerDay, satsPerDay, defaultLightningAddress }
+   * @returns {Object|null} Updated public record or null if not found
+   * @throws {Error} If the settings are invalid
+   */
+  async updateKey(id, updates) {
+    const errors = this.validateSettings(updates);
+    if (errors.length > 0) {
+      throw new Error(`Invalid API key settings: ${errors.join(', ')}`);
+    }
+
+    // Locked so a concurrent usage update cannot write back the old settings
+    return await this.withUsageLock(async (keys) => {
+      const record = await keys.get(id);
+      if (!record) {
+        return null;
+      }
+
+      const updated = { ...record };
+      for (const field of ['name', 'scopes', 'requestsPerDay', 'satsPerDay', 'defaultLightningAddress']) {
+        if (updates[field] !== undefined) {
+          updated[field] = typeof updates[field] === 'string' ? updates[field].trim() : updates[field];
+        }
+      }
+
+      await keys.set(id, updated);
+      return this.describe(updated);
+    });
+  }
+
+  /**
+   * Revoke (delete) an API key
+   * @param {string} id - API key ID
+   * @returns {boolean} Whether a key was deleted
+   */
+  async revokeKey(id) {
+    return await this.withUsageLock(keys => keys.delete(id));
+  }
+
+  /**
+   * Get an API key's public record
+   * @param {string} id - API key ID
+   * @returns {Object|null} Public record or null if not found
+   */
+  async getKey(id) {
+    const record = await this.keys.get(id);
+    return record ? this.describe(record) : null;
+  }
+
+  /**
+   * List all API keys
+   * @returns {Array<Object>} Public records, oldest first
+   */
+  async listKeys() {
+    const entries = await this.keys.entries();
+    return entries
+      .map(([, record]) => this.describe(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Look up the key presented with a request
+   * @param {string} key - The API key
+   * @returns {Object|null} Key record or null if the key is unknown
+   */
+  async authenticate(key) {
+    if (this.adminKey && this.safeEqual(key, this.adminKey)) {
+      return {
+        id: 'admin',
+        name: 'ADMIN_API_KEY',
+        scopes: SCOPES,
+        requestsPerDay: null,
+        satsPerDay: null,
+        defaultLightningAddress: null
+      };
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const keyHash = this.hashKey(key);
+    for (const [, record] of await this.keys.entries()) {
+      if (this.safeEqual(keyHash, record.keyHash)) {
+        return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a key grants a scope (admin grants every scope)
+   * @param {Object} apiKey - Key record
+   * @param {string} scope - Required scope
+   * @returns {boolean} Whether the scope is granted
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+  }
+
+  /**
+   * Get a key's usage in the current period (usage from an earlier day counts as zero)
+   * @param {Object} record - Key record
+   * @returns {Object} { period, requests, sats }
+   */
+  getUsage(record) {
+    const period = this.getPeriod();
+    return record.usage && record.usage.period === period
+      ? record.usage
+      : { period, requests: 0, sats: 0 };
+  }
+
+  /**
+   * Count a request against a key's daily request quota
+   * @param {Object} apiKey - Key record
+   * @throws {Error} If the quota is used up
+   */
+  async consumeRequest(apiKey) {
+    if (apiKey.id === 'admin') {
+      return;
+    }
+
+    await this.withUsageLock(async (keys) => {
+      // Re-read the record so concurrent requests see each other's usage
+      const record = await keys.get(apiKey.id);
+      if (!record) {
+        return;
+      }
+
+      const usage = this.getUsage(record);
+      if (record.requestsPerDay && usage.requests >= record.requestsPerDay) {
+        throw new Error(`Quota exceeded: API key allows ${record.requestsPerDay} requests per day`);
+      }
+
+      await keys.set(record.id, {
+        ...record,
+        usage: { ...usage, requests: usage.requests + 1 },
+        lastUsedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Make sure a key's daily sat volume can cover an amount (a quick check before a redemption
+   * starts - the volume itself is taken with reserveVolume right before the melt)
+   * @param {Object} apiKey - Key record
+   * @param {number} amount - Amount about to be redeemed, in sats (0 when not known up front)
+   * @throws {Error} If the volume quota would be exceeded
+   */
+  async assertVolumeAvailable(apiKey, amount = 0) {
+    if (!apiKey || !apiKey.satsPerDay) {
+      return;
+    }
+
+    const record = await this.keys.get(apiKey.id);
+    if (!record) {
+      return;
+    }
+
+    const usage = this.getUsage(record);
+    const remaining = record.satsPerDay - usage.sats;
+    if (remaining <= 0 || amount > remaining) {
+      throw new Error(`Quota exceeded: API key allows ${record.satsPerDay} sats per day (${Math.max(0, remaining)} sats left today)`);
+    }
+  }
+
+  /**
+   * Take sats from a key's daily volume before they are paid out. The check and the update
+   * happen under the usage lock, so concurrent redemptions cannot overshoot satsPerDay.
+   * @param {Object|null} apiKey - Key record
+   * @param {number} sats - Amount about to be paid, in sats
+   * @returns {Object|null} Reservation ({ sats, period }) to give back with releaseVolume
+   * @throws {Error} If the volume quota would be exceeded
+   */
+  async reserveVolume(apiKey, sats) {
+    if (!apiKey || apiKey.id === 'admin' || !sats) {
+      return null;
+    }
+
+    return await this.withUsageLock(async (keys) => {
+      const record = await keys.get(apiKey.id);
+      if (!record) {
+        return null;
+      }
+
+      const usage = this.getUsage(record);
+      if (record.satsPerDay && usage.sats + sats > record.satsPerDay) {
+        const remaining = Math.max(0, record.satsPerDay - usage.sats);
+        throw new Error(`Quota exceeded: API key allows ${record.satsPerDay} sats per day (${remaining} sats left today)`);
+      }
+
+      await keys.set(record.id, {
+        ...record,
+        usage: { ...usage, sats: usage.sats + sats }
+      });
+      return { sats, period: usage.period };
+    });
+  }
+
+  /**
+   * Give back sats reserved for a payment that was not made
+   * @param {Object|null} apiKey - Key record
+   * @param {Object|null} reservation - Reservation returned by reserveVolume
+   */
+  async releaseVolume(apiKey, reservation) {
+    if (!apiKey || !reservation) {
+      return;
+    }
+
+    await this.withUsageLock(async (keys) => {
+      const record = await keys.get(apiKey.id);
+      const usage = record && this.getUsage(record);
+      // A reservation from an earlier day was reset with that day's usage
+      if (!usage || usage.period !== reservation.period) {
+        return;
+      }
+
+      await keys.set(record.id, {
+        ...record,
+        usage: { ...usage, sats: Math.max(0, usage.sats - reservation.sats) }
+      });
+    });
+  }
+
+  /**
+   * Public view of a key record (without the key hash)
+   * @param {Object} record - Key record
+   * @returns {Object} Public record
+   */
+  describe(record) {
+    const { keyHash, usage, ...publicRecord } = record;
+    return {
+      ...publicRecord,
+      usage: this.getUsage(record)
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
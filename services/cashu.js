@@ -1,9 +1,199 @@
-const { CashuMint, CashuWallet, getEncodedToken, getDecodedToken } = require('@cashu/cashu-ts');
+const { CashuMint, CashuWallet, getEncodedToken, getDecodedToken, setGlobalRequestOptions } = require('@cashu/cashu-ts');
+const { hashToCurve } = require('@cashu/crypto/modules/common');
+const axios = require('axios');
+const bolt11Decoder = require('bolt11');
+const addressPolicy = require('./addressPolicy');
+const mintRegistry = require('./mintRegistry');
+const mintHealth = require('./mintHealth');
+const logger = require('./logger');
+
+// Operations behind the optional NUTs a redemption relies on
+const NUT_OPERATIONS = {
+  4: 'minting',
+  5: 'melting',
+  7: 'proof state checks'
+};
+
+// Mint requests never follow redirects - the SSRF guard only checked the mint URL itself
+setGlobalRequestOptions({ redirect: 'error' });
 
 class CashuService {
   constructor() {
     this.mints = new Map(); // Cache mint instances
-    this.wallets = new Map(); // Cache wallet instances
+    this.wallets = new Map(); // Cache wallet instances (per mint and unit)
+    this.keysetUnits = new Map(); // Cache keyset ID -> unit per mint
+
+    // Mint policy: entries are mint URLs or hostnames
+    this.mintAllowlist = process.env.MINT_ALLOWLIST
+      ? process.env.MINT_ALLOWLIST.split(',').map(m => m.trim()).filter(Boolean)
+      : [];
+    this.mintDenylist = process.env.MINT_DENYLIST
+      ? process.env.MINT_DENYLIST.split(',').map(m => m.trim()).filter(Boolean)
+      : [];
+    this.mintMaxAmounts = this.parseMintMaxAmounts(process.env.MINT_MAX_AMOUNTS);
+  }
+
+  /**
+   * Parse MINT_MAX_AMOUNTS ("mint=amount" pairs separated by commas)
+   * @param {string|undefined} value - The environment value
+   * @returns {Array} [{ mint, maxAmount }]
+   */
+  parseMintMaxAmounts(value) {
+    if (!value) {
+      return [];
+    }
+
+    return value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      // Split on the last '=' since mint URLs may contain one
+      const separator = pair.lastIndexOf('=');
+      const maxAmount = parseInt(pair.substring(separator + 1));
+
+      if (separator <= 0 || isNaN(maxAmount)) {
+        throw new Error(`Invalid MINT_MAX_AMOUNTS entry: ${pair}`);
+      }
+
+      return { mint: pair.substring(0, separator).trim(), maxAmount };
+    });
+  }
+
+  /**
+   * Normalize a mint URL for comparison (lowercase host, no trailing slash)
+   * @param {string} mintUrl - The mint URL
+   * @returns {string} Normalized URL
+   */
+  normalizeMintUrl(mintUrl) {
+    const url = new URL(mintUrl);
+    return `${url.protocol}//${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, '')}`;
+  }
+
+  /**
+   * Check whether a mint policy entry (URL or hostname) matches a mint URL
+   * @param {string} entry - Policy entry from the allowlist, denylist or max amounts
+   * @param {string} mintUrl - The mint URL
+   * @returns {boolean} Whether the entry matches
+   */
+  mintMatches(entry, mintUrl) {
+    try {
+      if (entry.includes('://')) {
+        return this.normalizeMintUrl(entry) === this.normalizeMintUrl(mintUrl);
+      }
+      return new URL(mintUrl).hostname.toLowerCase() === entry.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a mint is explicitly allowlisted
+   * @param {string} mintUrl - The mint URL
+   * @returns {boolean} Whether the mint is on the allowlist
+   */
+  isMintAllowlisted(mintUrl) {
+    return this.mintAllowlist.some(entry => entry !== '*' && this.mintMatches(entry, mintUrl));
+  }
+
+  /**
+   * Check a mint URL against the mint policy (allowlist, denylist and SSRF rules).
+   * Private and local hosts are only allowed when they are explicitly allowlisted.
+   * @param {string} mintUrl - The mint URL
+   * @throws {Error} "Mint not allowed: ..." if the mint may not be used
+   */
+  checkMintUrl(mintUrl) {
+    let url;
+    try {
+      url = new URL(mintUrl);
+    } catch (error) {
+      throw new Error(`Mint not allowed: invalid mint URL ${mintUrl}`);
+    }
+
+    const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+      throw new Error(`Mint not allowed: ${mintUrl} must use ${allowedProtocols.map(p => p.replace(':', '')).join(' or ')}`);
+    }
+
+    if (url.username || url.password) {
+      throw new Error(`Mint not allowed: ${mintUrl} must not contain credentials`);
+    }
+
+    if (this.mintDenylist.some(entry => this.mintMatches(entry, mintUrl))) {
+      throw new Error(`Mint not allowed: ${mintUrl} is on the denylist`);
+    }
+
+    const allowlisted = this.isMintAllowlisted(mintUrl);
+    if (this.mintAllowlist.length > 0 && !this.mintAllowlist.includes('*') && !allowlisted) {
+      throw new Error(`Mint not allowed: ${mintUrl} is not on the allowlist`);
+    }
+
+    // SSRF guard: the mint URL comes from the token, so never reach internal hosts by default
+    if (!allowlisted && addressPolicy.isPrivateHost(url.hostname)) {
+      throw new Error(`Mint not allowed: ${mintUrl} points to a private or local address`);
+    }
+  }
+
+  /**
+   * Resolve the mint host and make sure it does not point to a private address
+   * (catches public hostnames that resolve to internal IPs)
+   * @param {string} mintUrl - The mint URL
+   * @throws {Error} "Mint not allowed: ..." if the host resolves to a private address
+   */
+  async checkMintAddress(mintUrl) {
+    if (this.isMintAllowlisted(mintUrl)) {
+      return;
+    }
+
+    // Literal addresses resolve to themselves, so they go through the same check
+    let isPrivate;
+    try {
+      isPrivate = await addressPolicy.resolvesToPrivate(new URL(mintUrl).hostname);
+    } catch (error) {
+      throw new Error(`Failed to connect to mint ${mintUrl}: ${error.message}`);
+    }
+
+    if (isPrivate) {
+      throw new Error(`Mint not allowed: ${mintUrl} resolves to a private address`);
+    }
+  }
+
+  /**
+   * Get the configured maximum amount for a mint (MINT_MAX_AMOUNTS, in sats)
+   * @param {string} mintUrl - The mint URL
+   * @returns {number|null} Maximum amount in sats, or null if unlimited
+   */
+  getMintMaxAmount(mintUrl) {
+    const entry = this.mintMaxAmounts.find(limit => this.mintMatches(limit.mint, mintUrl));
+    return entry ? entry.maxAmount : null;
+  }
+
+  /**
+   * Check every mint of a parsed token against the mint policy, before any mint is contacted.
+   * Per-mint maximum amounts are checked by checkMintAmounts once the units are known.
+   * @param {Object} tokenData - Parsed token data (from parseToken)
+   * @throws {Error} "Mint not allowed: ..." if any mint is rejected
+   */
+  checkMintPolicy(tokenData) {
+    for (const entry of tokenData.mints) {
+      this.checkMintUrl(entry.mint);
+    }
+  }
+
+  /**
+   * Check the per-mint maximum amounts. Limits are in sats, so amounts in other units are
+   * converted first - call after resolveUnits.
+   * @param {Object} tokenData - Parsed token data with units resolved
+   * @throws {Error} "Mint not allowed: ..." if a mint's amount exceeds its maximum
+   */
+  async checkMintAmounts(tokenData) {
+    for (const entry of tokenData.mints) {
+      const maxAmount = this.getMintMaxAmount(entry.mint);
+      if (maxAmount === null) {
+        continue;
+      }
+
+      const sats = await this.convertToSats(entry.mint, entry.unit || 'sat', entry.amount);
+      if (sats > maxAmount) {
+        throw new Error(`Mint not allowed: ${sats} sats from ${entry.mint} exceeds the maximum of ${maxAmount} sats for this mint`);
+      }
+    }
   }
 
   /**
@@ -17,7 +207,7 @@ class CashuService {
   }
 
   /**
-   * Get token mint URL from decoded token
+   * Get token mint URL from decoded token (the first mint for multi-mint tokens)
    * @param {string} token - The encoded Cashu token
    * @returns {string|null} Mint URL or null if not found
    */
@@ -39,7 +229,7 @@ class CashuService {
 
       return null;
     } catch (error) {
-      console.error('Error getting token mint URL:', error);
+      logger.error('Error getting token mint URL', error);
       return null;
     }
   }
@@ -47,7 +237,7 @@ class CashuService {
   /**
    * Decode token handling both v1 and v3 formats
    * @param {string} token - The encoded Cashu token
-   * @returns {Object} Decoded token data
+   * @returns {Object} Decoded token data ({ proofs, mint, unit, entries: [{ mint, proofs }] })
    */
   async decodeTokenStructure(token) {
     try {
@@ -61,14 +251,34 @@ class CashuService {
         // v3 format
         return {
           proofs: decoded.proofs,
-          mint: decoded.mint
-        };
-      } else if (decoded.token && decoded.token[0]) {
-        // v1 format
-        return {
-          proofs: decoded.token[0].proofs,
-          mint: decoded.token[0].mint
+          mint: decoded.mint,
+          unit: decoded.unit || null,
+          entries: [{ mint: decoded.mint, proofs: decoded.proofs }]
         };
+      } else if (Array.isArray(decoded.token)) {
+        // v1 format - one entry per mint, entries for the same mint are merged
+        const entries = [];
+        for (const entry of decoded.token) {
+          if (!entry || !entry.mint || !Array.isArray(entry.proofs)) {
+            continue;
+          }
+
+          const existing = entries.find(e => e.mint === entry.mint);
+          if (existing) {
+            existing.proofs.push(...entry.proofs);
+          } else {
+            entries.push({ mint: entry.mint, proofs: [...entry.proofs] });
+          }
+        }
+
+        if (entries.length > 0) {
+          return {
+            proofs: entries.flatMap(entry => entry.proofs),
+            mint: entries[0].mint,
+            unit: decoded.unit || null,
+            entries
+          };
+        }
       }
 
       throw new Error('Invalid token structure');
@@ -77,6 +287,64 @@ class CashuService {
     }
   }
 
+  /**
+   * Encode proofs as a new Cashu token
+   * @param {string} mintUrl - The mint URL the proofs belong to
+   * @param {Array} proofs - Unblinded proofs
+   * @param {string} unit - Unit of the proofs
+   * @returns {string|null} Encoded token or null if there are no proofs
+   */
+  encodeProofsAsToken(mintUrl, proofs, unit = 'sat') {
+    const validProofs = (proofs || []).filter(proof => proof && proof.secret && proof.C && proof.amount > 0);
+
+    if (validProofs.length === 0) {
+      return null;
+    }
+
+    return getEncodedToken({
+      token: [{ mint: mintUrl, proofs: validProofs }],
+      memo: 'Change from Cashu redemption',
+      unit
+    });
+  }
+
+  /**
+   * Merge several tokens into one (multi-mint) token
+   * @param {Array} tokens - Encoded tokens (null entries are skipped)
+   * @returns {string|null} Encoded token or null if there is nothing to merge
+   */
+  mergeTokens(tokens) {
+    const encoded = (tokens || []).filter(Boolean);
+
+    if (encoded.length <= 1) {
+      return encoded[0] || null;
+    }
+
+    // A token has a single unit - tokens in different units cannot be merged
+    const decoded = encoded.map(token => getDecodedToken(token));
+    const units = [...new Set(decoded.map(token => token.unit || 'sat'))];
+    if (units.length > 1) {
+      return null;
+    }
+
+    return getEncodedToken({
+      token: decoded.flatMap(token => token.token),
+      memo: 'Change from Cashu redemption',
+      unit: units[0]
+    });
+  }
+
+  /**
+   * Make sure a parsed token only holds proofs from one mint
+   * @param {Object} parsed - Parsed token data (from parseToken)
+   * @throws {Error} If the token holds proofs from several mints
+   */
+  assertSingleMint(parsed) {
+    if (parsed.multiMint) {
+      throw new Error(`Token contains proofs from ${parsed.mints.length} mints - each mint must be melted separately`);
+    }
+  }
+
   /**
    * Calculate fee according to NUT-05 specification
    * @param {number} amount - Amount in satoshis
@@ -124,12 +392,26 @@ class CashuService {
 
       const denominations = decoded.proofs.map(proof => proof.amount);
 
+      // Per-mint breakdown (a cashuA token can hold proofs from several mints)
+      // Amounts are in the token's unit; `unit` is only set when the token declares it
+      // (resolveUnits looks it up from the keysets otherwise)
+      const mints = decoded.entries.map(entry => ({
+        mint: entry.mint,
+        amount: entry.proofs.reduce((sum, proof) => sum + (proof.amount || 0), 0),
+        numProofs: entry.proofs.length,
+        proofs: entry.proofs,
+        unit: decoded.unit
+      }));
+
       return {
         mint: decoded.mint,
+        unit: decoded.unit,
         totalAmount,
         numProofs: decoded.proofs.length,
         denominations,
         proofs: decoded.proofs,
+        mints,
+        multiMint: mints.length > 1,
         format: token.startsWith('cashuA') ? 'cashuA' : 'cashuB'
       };
     } catch (error) {
@@ -154,10 +436,14 @@ class CashuService {
    */
   async getMint(mintUrl) {
     if (!this.mints.has(mintUrl)) {
+      // Never connect to a mint the policy rejects (the URL comes from untrusted tokens)
+      this.checkMintUrl(mintUrl);
+      await this.checkMintAddress(mintUrl);
+
       try {
         const mint = new CashuMint(mintUrl);
-        // Test connectivity
-        await mint.getInfo();
+        // Fetching the info doubles as a connectivity test
+        await mintRegistry.getInfo(mintUrl, () => this.callMint(mintUrl, () => mint.getInfo()));
         this.mints.set(mintUrl, mint);
       } catch (error) {
         throw new Error(`Failed to connect to mint ${mintUrl}: ${error.message}`);
@@ -166,22 +452,139 @@ class CashuService {
     return this.mints.get(mintUrl);
   }
 
+  /**
+   * Send a request to a mint through its circuit breaker (see mintHealth). When the
+   * mint fails, its cached instances are dropped so the next request reconnects.
+   * @param {string} mintUrl - The mint URL
+   * @param {Function} request - Async function performing the request
+   * @returns {*} The request's result
+   */
+  async callMint(mintUrl, request) {
+    try {
+      return await mintHealth.track(mintUrl, request);
+    } catch (error) {
+      if (mintHealth.isMintFailure(error)) {
+        this.forgetMint(mintUrl);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the cached mint, wallet and keyset instances of a mint
+   * @param {string} mintUrl - The mint URL
+   */
+  forgetMint(mintUrl) {
+    this.mints.delete(mintUrl);
+    this.keysetUnits.delete(mintUrl);
+    for (const walletKey of this.wallets.keys()) {
+      if (walletKey.startsWith(`${mintUrl}|`)) {
+        this.wallets.delete(walletKey);
+      }
+    }
+  }
+
   /**
    * Get or create a wallet instance for a specific mint
    * @param {string} mintUrl - The mint URL
+   * @param {string} unit - Unit of the wallet's keysets
    * @returns {CashuWallet} Wallet instance
    */
-  async getWallet(mintUrl) {
-    if (!this.wallets.has(mintUrl)) {
+  async getWallet(mintUrl, unit = 'sat') {
+    const walletKey = `${mintUrl}|${unit}`;
+
+    if (!this.wallets.has(walletKey)) {
       try {
         const mint = await this.getMint(mintUrl);
-        const wallet = new CashuWallet(mint);
-        this.wallets.set(mintUrl, wallet);
+        const wallet = new CashuWallet(mint, { unit });
+        this.wallets.set(walletKey, wallet);
       } catch (error) {
         throw new Error(`Failed to create wallet for mint ${mintUrl}: ${error.message}`);
       }
     }
-    return this.wallets.get(mintUrl);
+    return this.wallets.get(walletKey);
+  }
+
+  /**
+   * Get the unit of a keyset from the mint (cached)
+   * @param {string} mintUrl - The mint URL
+   * @param {string} keysetId - The keyset ID
+   * @returns {string|null} Keyset unit or null if the mint does not know the keyset
+   */
+  async getKeysetUnit(mintUrl, keysetId) {
+    if (!this.keysetUnits.has(mintUrl) || !this.keysetUnits.get(mintUrl).has(keysetId)) {
+      const mint = await this.getMint(mintUrl);
+      const { keysets } = await this.callMint(mintUrl, () => mint.getKeySets());
+      this.keysetUnits.set(mintUrl, new Map(keysets.map(keyset => [keyset.id, keyset.unit])));
+    }
+    return this.keysetUnits.get(mintUrl).get(keysetId) || null;
+  }
+
+  /**
+   * Resolve the unit of every mint entry of a parsed token: the unit declared by the token
+   * (cashuB, or cashuA with a unit field), else the unit of the proofs' keyset, else sat.
+   * Sets `unit` on each entry of `tokenData.mints` and on `tokenData` itself
+   * (null when the entries use different units).
+   * @param {Object} tokenData - Parsed token data (from parseToken)
+   * @returns {Object} The same token data with units resolved
+   */
+  async resolveUnits(tokenData) {
+    for (const entry of tokenData.mints) {
+      if (!entry.unit) {
+        const keysetIds = [...new Set(entry.proofs.map(proof => proof.id))];
+        const units = [];
+        for (const keysetId of keysetIds) {
+          units.push(await this.getKeysetUnit(entry.mint, keysetId));
+        }
+
+        const knownUnits = [...new Set(units.filter(Boolean))];
+        if (knownUnits.length > 1) {
+          throw new Error(`Token proofs from ${entry.mint} use keysets with different units (${knownUnits.join(', ')})`);
+        }
+        entry.unit = knownUnits[0] || 'sat';
+      }
+    }
+
+    const units = [...new Set(tokenData.mints.map(entry => entry.unit))];
+    tokenData.unit = units.length === 1 ? units[0] : null;
+    return tokenData;
+  }
+
+  /**
+   * Get the value of an amount in sats. msat is converted directly; other units (usd, eur, ...)
+   * are priced by the mint itself through a mint quote (NUT-04) for the amount, which is never paid.
+   * @param {string} mintUrl - The mint URL
+   * @param {string} unit - Unit of the amount
+   * @param {number} amount - Amount in that unit
+   * @returns {number} Value in sats (rounded down)
+   */
+  async convertToSats(mintUrl, unit, amount) {
+    if (unit === 'sat') {
+      return amount;
+    }
+
+    if (unit === 'msat') {
+      return Math.floor(amount / 1000);
+    }
+
+    try {
+      await this.assertMintSupports(mintUrl, 4, unit);
+      const wallet = await this.getWallet(mintUrl, unit);
+      const mintQuote = await this.callMint(mintUrl, () => wallet.createMintQuote(amount));
+      const decoded = bolt11Decoder.decode(mintQuote.request);
+      const msats = decoded.millisatoshis
+        ? parseInt(decoded.millisatoshis)
+        : parseInt(decoded.satoshis) * 1000;
+
+      if (!msats) {
+        throw new Error('mint quote invoice has no amount');
+      }
+
+      logger.info('Exchange rate from mint', { mint: mintUrl, amount, unit, sats: Math.floor(msats / 1000) });
+      return Math.floor(msats / 1000);
+    } catch (error) {
+      throw new Error(`Failed to get ${unit} exchange rate from mint: ${error.message}`);
+    }
   }
 
   /**
@@ -191,14 +594,28 @@ class CashuService {
    * @returns {Object} Melt quote
    */
   async getMeltQuote(token, bolt11) {
+    const parsed = await this.parseToken(token);
+    this.assertSingleMint(parsed);
+    return await this.createMeltQuote(parsed.mint, bolt11);
+  }
+
+  /**
+   * Get melt quote for a Lightning invoice from a specific mint
+   * @param {string} mintUrl - The mint URL
+   * @param {string} bolt11 - Lightning invoice
+   * @param {string} unit - Unit of the proofs that will pay it (quote amounts are in this unit)
+   * @returns {Object} Melt quote
+   */
+  async createMeltQuote(mintUrl, bolt11, unit = 'sat') {
     try {
-      const parsed = await this.parseToken(token);
-      const wallet = await this.getWallet(parsed.mint);
+      await this.assertMintSupports(mintUrl, 5, unit);
+      const wallet = await this.getWallet(mintUrl, unit);
 
       // Create melt quote to get fee estimate
-      const meltQuote = await wallet.createMeltQuote(bolt11);
+      const meltQuote = await this.callMint(mintUrl, () => wallet.createMeltQuote(bolt11));
       
-      console.log('Melt quote created:', {
+      logger.info('Melt quote created', {
+        mint: mintUrl,
         amount: meltQuote.amount,
         fee_reserve: meltQuote.fee_reserve,
         quote: meltQuote.quote
@@ -207,92 +624,130 @@ class CashuService {
       return {
         amount: meltQuote.amount,
         fee_reserve: meltQuote.fee_reserve,
-        quote: meltQuote.quote
+        quote: meltQuote.quote,
+        expiry: meltQuote.expiry,
+        unit
       };
     } catch (error) {
       throw new Error(`Failed to get melt quote: ${error.message}`);
     }
   }
 
+
   /**
    * Melt a Cashu token to pay a Lightning invoice
    * @param {string} token - The encoded Cashu token
    * @param {string} bolt11 - The Lightning invoice
+   * @param {Object|null} existingQuote - Melt quote from getMeltQuote for this invoice (a new one is created if omitted)
    * @returns {Object} Melt result
    */
-  async meltToken(token, bolt11) {
-    try {
-      const parsed = await this.parseToken(token);
-      const wallet = await this.getWallet(parsed.mint);
-
-      // Get the decoded token structure
-      const decoded = await this.decodeTokenStructure(token);
-      const proofs = decoded.proofs;
+  async meltToken(token, bolt11, existingQuote = null) {
+    const parsed = await this.parseToken(token);
+    this.assertSingleMint(parsed);
+    return await this.meltProofs(parsed.mint, parsed.proofs, bolt11, existingQuote);
+  }
 
-      // Step 1: Create melt quote to get fee estimate
-      const meltQuote = await wallet.createMeltQuote(bolt11);
-      console.log('Melt quote created:', {
+  /**
+   * Melt proofs from a single mint to pay a Lightning invoice
+   * @param {string} mintUrl - The mint URL
+   * @param {Array} proofs - Proofs to melt (all from this mint)
+   * @param {string} bolt11 - Lightning invoice
+   * @param {Object|null} existingQuote - Melt quote to reuse (optional, a new one is created otherwise)
+   * @param {string} unit - Unit of the proofs (defaults to the quote's unit)
+   * @param {Function|null} onProofsSelected - Async callback run with { send, keep } after proof
+   *   selection and before the melt. Selection may swap the proofs at the mint, which spends the
+   *   originals - the callback lets the caller save the new proofs first.
+   * @returns {Object} Melt result
+   */
+  async meltProofs(mintUrl, proofs, bolt11, existingQuote = null, unit = (existingQuote && existingQuote.unit) || 'sat', onProofsSelected = null) {
+    let proofsSelected = false;
+    try {
+      await this.assertMintSupports(mintUrl, 5, unit);
+      const wallet = await this.getWallet(mintUrl, unit);
+      const totalAmount = proofs.reduce((sum, proof) => sum + (proof.amount || 0), 0);
+
+      // Step 1: Reuse the existing melt quote, or create one to get the fee estimate
+      const meltQuote = existingQuote || await this.callMint(mintUrl, () => wallet.createMeltQuote(bolt11));
+      logger.info(existingQuote ? 'Using existing melt quote' : 'Melt quote created', {
+        mint: mintUrl,
         amount: meltQuote.amount,
         fee_reserve: meltQuote.fee_reserve,
-        quote: meltQuote.quote
+        quote: meltQuote.quote,
+        bolt11
       });
-      console.log('Paying invoice:', bolt11.substring(0, 50) + '...');
-      console.log('Full invoice being paid:', bolt11);
       
       // Step 2: Calculate total required (amount + fee_reserve)
       const total = meltQuote.amount + meltQuote.fee_reserve;
-      console.log('Total required:', total, 'sats (amount:', meltQuote.amount, '+ fee:', meltQuote.fee_reserve, ')');
-      console.log('Available in token:', parsed.totalAmount, 'sats');
+      logger.debug('Melt amounts', { required: total, amount: meltQuote.amount, fee_reserve: meltQuote.fee_reserve, available: totalAmount, unit });
       
       // Check if we have sufficient funds
-      if (total > parsed.totalAmount) {
-        throw new Error(`Insufficient funds. Required: ${total} sats (including ${meltQuote.fee_reserve} sats fee), Available: ${parsed.totalAmount} sats`);
+      if (total > totalAmount) {
+        throw new Error(`Insufficient funds. Required: ${total} ${unit} (including ${meltQuote.fee_reserve} ${unit} fee), Available: ${totalAmount} ${unit}`);
       }
 
       // Step 3: Send tokens with includeFees: true to get the right proofs
-      console.log('Selecting proofs with includeFees: true for', total, 'sats');
-      const { send: proofsToSend } = await wallet.send(total, proofs, {
+      logger.debug('Selecting proofs with includeFees: true', { amount: total, unit });
+      const { send: proofsToSend, returnChange: keptProofs } = await this.callMint(mintUrl, () => wallet.send(total, proofs, {
         includeFees: true,
-      });
-      console.log('Selected', proofsToSend.length, 'proofs for melting');
+      }));
+      logger.debug('Selected proofs for melting', { numProofs: proofsToSend.length });
+      proofsSelected = true;
+
+      if (onProofsSelected) {
+        await onProofsSelected({ send: proofsToSend, keep: keptProofs || [] });
+      }
 
       // Step 4: Perform the melt operation using the quote and selected proofs
-      console.log('Performing melt operation...');
-      const meltResponse = await wallet.meltTokens(meltQuote, proofsToSend);
+      logger.info('Performing melt operation', { mint: mintUrl, quote: meltQuote.quote });
+      const meltResponse = await this.callMint(mintUrl, () => wallet.meltTokens(meltQuote, proofsToSend));
 
-      // Debug: Log the melt response structure
-      console.log('Melt response:', JSON.stringify(meltResponse, null, 2));
+      // Change proofs and the preimage are redacted by the logger
+      logger.debug('Melt response', { meltResponse });
 
       // Verify payment was successful - check multiple possible indicators
-      const paymentSuccessful = meltResponse.paid === true || 
+      const paymentSuccessful = meltResponse.isPaid === true ||
+                               meltResponse.paid === true || 
                                meltResponse.payment_preimage || 
                                meltResponse.preimage ||
                                (meltResponse.state && meltResponse.state === 'PAID');
 
       if (!paymentSuccessful) {
-        console.warn('Payment verification failed. Response structure:', meltResponse);
+        logger.warn('Payment verification failed - unexpected melt response', { meltResponse });
         // Don't throw error immediately - the payment might have succeeded
         // but the response structure is different than expected
       }
 
-      // Get the actual fee charged from the melt response
-      // The actual fee might be in meltResponse.fee_paid, meltResponse.fee, or calculated from change
-      const actualFeeCharged = meltResponse.fee_paid || 
-                               meltResponse.fee || 
-                               meltQuote.fee_reserve; // fallback to quote fee
+      // Return overpaid fee reserve (NUT-08, unblinded by the wallet) and any proofs
+      // split off during proof selection to the user as a new token
+      const meltChange = meltResponse.change || [];
+      const changeProofs = [...meltChange, ...(keptProofs || [])];
+      const changeToken = this.encodeProofsAsToken(mintUrl, changeProofs, unit);
+      const changeAmount = changeProofs.reduce((sum, proof) => sum + (proof.amount || 0), 0);
+
+      // The fee actually charged: fee_paid if the mint reports it, otherwise whatever was sent
+      // to the mint beyond the invoice amount and did not come back as change
+      const sentAmount = proofsToSend.reduce((sum, proof) => sum + (proof.amount || 0), 0);
+      const returnedAmount = meltChange.reduce((sum, proof) => sum + (proof.amount || 0), 0);
+      const actualFeeCharged = typeof meltResponse.fee_paid === 'number'
+        ? meltResponse.fee_paid
+        : Math.max(0, sentAmount - meltQuote.amount - returnedAmount);
 
       // Calculate net amount based on actual fee charged
-      const actualNetAmount = parsed.totalAmount - actualFeeCharged;
+      const actualNetAmount = totalAmount - actualFeeCharged;
 
       return {
         success: true,
         paid: paymentSuccessful,
         preimage: meltResponse.payment_preimage || meltResponse.preimage,
         change: meltResponse.change || [],
+        changeToken,
+        changeAmount,
         amount: meltQuote.amount,
-        fee: actualFeeCharged, // Use actual fee from melt response
+        fee: actualFeeCharged,
+        actualFee: actualFeeCharged,
         netAmount: actualNetAmount, // Use net amount based on actual fee
         quote: meltQuote.quote,
+        unit,
         rawMeltResponse: meltResponse // Include raw response for debugging
       };
     } catch (error) {
@@ -303,11 +758,12 @@ class CashuService {
         throw error; // Re-throw specific cashu errors
       }
       
-      // Check if it's an already-spent token error
-      if (error.status === 422 || 
+      // Check if it's an already-spent token error. Once proofs are selected, the user's proofs
+      // may have been swapped by this service - an error then says nothing about the token.
+      if (!proofsSelected && (error.status === 422 ||
           error.message.includes('already spent') ||
           error.message.includes('not spendable') ||
-          error.message.includes('invalid proofs')) {
+          error.message.includes('invalid proofs'))) {
         throw new Error('This token has already been spent and cannot be redeemed again');
       }
       
@@ -315,6 +771,55 @@ class CashuService {
     }
   }
 
+  /**
+   * Check the state of an existing melt quote
+   * @param {string} mintUrl - The mint URL
+   * @param {string} quoteId - The melt quote ID
+   * @returns {Object} Melt quote (state is UNPAID, PENDING or PAID)
+   */
+  async checkMeltQuote(mintUrl, quoteId) {
+    try {
+      const wallet = await this.getWallet(mintUrl);
+      return await this.callMint(mintUrl, () => wallet.checkMeltQuote(quoteId));
+    } catch (error) {
+      throw new Error(`Failed to check melt quote: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute the NUT-00 Y value (hash_to_curve of the secret) used to identify a proof
+   * @param {string} secret - The proof secret
+   * @returns {string} Y as compressed hex point
+   */
+  getProofY(secret) {
+    return hashToCurve(new TextEncoder().encode(secret)).toHex(true);
+  }
+
+  /**
+   * Get the NUT-07 state of proofs by their secrets
+   * @param {string} mintUrl - The mint URL
+   * @param {Array<string>} secrets - Proof secrets
+   * @returns {Array<Object>} One { secret, Y, state } entry per secret (state is UNSPENT, PENDING, SPENT or UNKNOWN)
+   */
+  async getProofStates(mintUrl, secrets) {
+    try {
+      const mint = await this.getMint(mintUrl);
+      const Ys = secrets.map(secret => this.getProofY(secret));
+      const { states } = await this.callMint(mintUrl, () => mint.check({ Ys }));
+
+      return secrets.map((secret, i) => {
+        const entry = (states || []).find(state => state.Y === Ys[i]);
+        return {
+          secret,
+          Y: Ys[i],
+          state: entry ? entry.state : 'UNKNOWN'
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to check proof states: ${error.message}`);
+    }
+  }
+
   /**
    * Validate if a token is properly formatted and has valid proofs
    * @param {string} token - The encoded Cashu token
@@ -333,186 +838,184 @@ class CashuService {
     }
   }
 
+  /**
+   * Get a mint's registry entry (info and supported NUTs), refreshed once the TTL has passed
+   * @param {string} mintUrl - The mint URL
+   * @param {boolean} forceRefresh - Fetch the info even if the cached copy is fresh
+   * @returns {Object} Registry entry ({ info, supportedNuts, fetchedAt })
+   */
+  async getMintCapabilities(mintUrl, forceRefresh = false) {
+    try {
+      const mint = await this.getMint(mintUrl);
+      return await mintRegistry.getInfo(mintUrl, () => this.callMint(mintUrl, () => mint.getInfo()), forceRefresh);
+    } catch (error) {
+      throw new Error(`Failed to get mint info: ${error.message}`);
+    }
+  }
+
   /**
    * Get mint info for a given mint URL
    * @param {string} mintUrl - The mint URL
    * @returns {Object} Mint information
    */
   async getMintInfo(mintUrl) {
+    const capabilities = await this.getMintCapabilities(mintUrl);
+    return capabilities.info;
+  }
+
+  /**
+   * Make sure a mint supports an operation before it is attempted
+   * @param {string} mintUrl - The mint URL
+   * @param {number} nut - NUT number of the operation (4 mint, 5 melt, 7 checkstate)
+   * @param {string|null} unit - Unit the operation will use
+   * @throws {Error} If the mint's info says the operation is not supported
+   */
+  async assertMintSupports(mintUrl, nut, unit = null) {
+    const capabilities = await this.getMintCapabilities(mintUrl);
+
+    if (!mintRegistry.supports(capabilities, nut, unit)) {
+      const nutName = `NUT-${String(nut).padStart(2, '0')}`;
+      const operation = NUT_OPERATIONS[nut] || nutName;
+      throw new Error(`Mint ${mintUrl} does not support ${operation}${unit ? ` in ${unit}` : ''} (${nutName})`);
+    }
+  }
+
+  /**
+   * Check that every mint of a token can melt proofs in the token's unit. Mints that
+   * cannot be reached are skipped here - the melt itself reports that - unless their
+   * circuit breaker is open, in which case there is no point in going further.
+   * @param {Object} tokenData - Parsed token data with units resolved
+   * @throws {Error} If a mint's info says it cannot melt the token, or the mint is unavailable
+   */
+  async checkMintCapabilities(tokenData) {
+    for (const entry of tokenData.mints) {
+      try {
+        await this.getMintCapabilities(entry.mint);
+      } catch (error) {
+        if (error.message.includes('Mint unavailable')) {
+          throw error;
+        }
+        logger.warn('Could not get mint info', { mint: entry.mint, error: error.message });
+        continue;
+      }
+
+      await this.assertMintSupports(entry.mint, 5, entry.unit);
+    }
+  }
+
+  /**
+   * Check whether a mint supports NUT-07 proof state checks
+   * @param {string} mintUrl - The mint URL
+   * @returns {boolean} False only when the mint's info says NUT-07 is not supported
+   */
+  async supportsProofStates(mintUrl) {
+    let capabilities;
     try {
-      const mint = await this.getMint(mintUrl);
-      return await mint.getInfo();
+      capabilities = await this.getMintCapabilities(mintUrl);
     } catch (error) {
-      throw new Error(`Failed to get mint info: ${error.message}`);
+      // Without info there is nothing saying the mint lacks NUT-07
+      logger.warn('Could not get mint info', { mint: mintUrl, error: error.message });
+      return true;
+    }
+
+    return mintRegistry.supports(capabilities, 7);
+  }
+
+  /**
+   * Get proof states from a mint that predates NUT-07, through its legacy /check endpoint
+   * @param {string} mintUrl - The mint URL
+   * @param {Array} proofs - Proofs to check
+   * @returns {Array<Object>} One { secret, Y, state } entry per proof (state is UNSPENT, PENDING, SPENT or UNKNOWN)
+   */
+  async getLegacyProofStates(mintUrl, proofs) {
+    try {
+      const response = await this.callMint(mintUrl, () => axios.post(`${mintUrl.replace(/\/+$/, '')}/check`, {
+        proofs: proofs.map(proof => ({ id: proof.id, amount: proof.amount, secret: proof.secret, C: proof.C }))
+      }, {
+        timeout: 10000,
+        maxRedirects: 0, // A redirect could lead to an internal host the SSRF guard never saw
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }));
+
+      const spendable = response.data && Array.isArray(response.data.spendable) ? response.data.spendable : [];
+      const pending = response.data && Array.isArray(response.data.pending) ? response.data.pending : [];
+
+      return proofs.map((proof, i) => {
+        let state = 'UNKNOWN';
+        if (pending[i] === true) {
+          state = 'PENDING';
+        } else if (spendable[i] === true) {
+          state = 'UNSPENT';
+        } else if (spendable[i] === false) {
+          state = 'SPENT';
+        }
+
+        return {
+          secret: proof.secret,
+          Y: this.getProofY(proof.secret),
+          state
+        };
+      });
+    } catch (error) {
+      throw new Error(`Failed to check proof states: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the state of proofs from their mint: NUT-07, or the legacy /check endpoint
+   * when the mint's info says NUT-07 is not supported
+   * @param {string} mintUrl - The mint URL
+   * @param {Array} proofs - Proofs to check (all from this mint)
+   * @returns {Array<Object>} One { secret, Y, amount, state } entry per proof
+   */
+  async checkProofStates(mintUrl, proofs) {
+    // Enforces the mint policy before anything is sent to the mint
+    await this.getMint(mintUrl);
+
+    let states;
+    if (await this.supportsProofStates(mintUrl)) {
+      states = await this.getProofStates(mintUrl, proofs.map(proof => proof.secret));
+    } else {
+      logger.info('Mint does not support NUT-07 - using the legacy /check endpoint', { mint: mintUrl });
+      states = await this.getLegacyProofStates(mintUrl, proofs);
     }
+
+    return states.map((state, i) => ({ ...state, amount: proofs[i].amount }));
   }
 
   /**
-   * Check if proofs are spendable at the mint
+   * Check the state of every proof of a token at the mint(s) that issued them
    * @param {string} token - The encoded Cashu token
-   * @returns {Object} Spendability check result
+   * @returns {Object} Per-proof states and the unspent, pending and spent amounts (in the token's unit)
    */
   async checkTokenSpendable(token) {
     try {
       const parsed = await this.parseToken(token);
-      const mint = await this.getMint(parsed.mint);
-      
-      // Extract secrets from proofs
-      const secrets = parsed.proofs.map(proof => proof.secret);
-      
-      // Log the attempt for debugging
-      console.log(`Checking spendability for ${secrets.length} proofs at mint: ${parsed.mint}`);
-      
-      // Perform the check
-      const checkResult = await mint.check({ secrets });
-      
-      console.log('Spendability check result:', checkResult);
-      
+      const proofStates = [];
+
+      // Proofs can only be checked at the mint that issued them
+      for (const entry of parsed.mints) {
+        logger.debug('Checking proof states', { mint: entry.mint, numProofs: entry.proofs.length });
+        const states = await this.checkProofStates(entry.mint, entry.proofs);
+        proofStates.push(...states.map(state => ({ mint: entry.mint, ...state })));
+      }
+
+      const amountInState = state => proofStates
+        .filter(proof => proof.state === state)
+        .reduce((sum, proof) => sum + (proof.amount || 0), 0);
+
       return {
-        spendable: checkResult.spendable || [],
-        pending: checkResult.pending || [],
+        proofStates,
+        unspentAmount: amountInState('UNSPENT'),
+        pendingAmount: amountInState('PENDING'),
+        spentAmount: amountInState('SPENT'),
         mintUrl: parsed.mint,
         totalAmount: parsed.totalAmount
       };
     } catch (error) {
-      // Enhanced error logging for debugging
-      console.error('Spendability check error details:', {
-        errorType: error.constructor.name,
-        errorMessage: error.message,
-        errorCode: error.code,
-        errorStatus: error.status,
-        errorResponse: error.response,
-        errorData: error.data,
-        errorStack: error.stack,
-        errorString: String(error)
-      });
-      
-      // Handle different types of errors
-      let errorMessage = 'Unknown error occurred';
-      
-      // Handle cashu-ts HttpResponseError specifically
-      if (error.constructor.name === 'HttpResponseError') {
-        // Extract status code first
-        const status = error.status || error.response?.status || error.statusCode;
-        
-        // For 422 errors, we need to be more specific about the reason
-        if (status === 422) {
-          // Try to get more details about the 422 error
-          let responseBody = null;
-          try {
-            responseBody = error.response?.data || error.data || error.body;
-            console.log('HTTP 422 response body:', responseBody);
-          } catch (e) {
-            console.log('Could not extract response body');
-          }
-          
-          // 422 can mean different things, let's be more specific
-          if (responseBody && typeof responseBody === 'object' && responseBody.detail) {
-            errorMessage = `Token validation failed: ${responseBody.detail}`;
-            console.log('422 error with detail:', responseBody.detail);
-          } else {
-            errorMessage = 'Token proofs are not spendable - they may have already been used or are invalid';
-            console.log('Detected 422 status - token validation failed');
-          }
-        } else {
-          // Try to extract useful information from the HTTP response error
-          if (error.response) {
-            const statusText = error.response.statusText;
-            
-            if (status === 404) {
-              errorMessage = 'This mint does not support spendability checking (endpoint not found)';
-            } else if (status === 405) {
-              errorMessage = 'This mint does not support spendability checking (method not allowed)';
-            } else if (status === 501) {
-              errorMessage = 'This mint does not support spendability checking (not implemented)';
-            } else {
-              errorMessage = `Mint returned HTTP ${status}${statusText ? ': ' + statusText : ''}`;
-            }
-          } else if (error.message && error.message !== '[object Object]') {
-            errorMessage = error.message;
-          } else {
-            // Try to extract error details from the error object structure
-            console.log('Attempting to extract error details from object structure...');
-            try {
-              // Check if there's additional error data in the response
-              const errorData = error.data || error.response?.data;
-              if (errorData && typeof errorData === 'string') {
-                errorMessage = errorData;
-              } else if (errorData && errorData.detail) {
-                errorMessage = `Mint error: ${errorData.detail}`;
-              } else if (errorData && errorData.message) {
-                errorMessage = `Mint error: ${errorData.message}`;
-              } else {
-                // Check if we can extract status from anywhere in the error
-                if (status) {
-                  if (status === 422) {
-                    errorMessage = 'Token proofs are not spendable - they have already been used or are invalid';
-                  } else {
-                    errorMessage = `Mint returned HTTP ${status} - spendability checking may not be supported`;
-                  }
-                } else {
-                  errorMessage = 'This mint does not support spendability checking or returned an invalid response';
-                }
-              }
-            } catch (extractError) {
-              console.log('Failed to extract error details:', extractError);
-              errorMessage = 'This mint does not support spendability checking or returned an invalid response';
-            }
-          }
-        }
-      } else if (error && typeof error === 'object') {
-        if (error.message && error.message !== '[object Object]') {
-          errorMessage = error.message;
-        } else if (error.toString && typeof error.toString === 'function') {
-          const stringError = error.toString();
-          if (stringError !== '[object Object]') {
-            errorMessage = stringError;
-          } else {
-            errorMessage = 'Invalid response from mint - spendability checking may not be supported';
-          }
-        } else {
-          errorMessage = 'Invalid response from mint - spendability checking may not be supported';
-        }
-      } else if (typeof error === 'string') {
-        errorMessage = error;
-      }
-      
-      // Log the final extracted error message for debugging
-      console.log('Final extracted error message:', errorMessage);
-      
-      // Check if it's a known error pattern indicating unsupported operation
-      if (errorMessage.includes('not supported') || 
-          errorMessage.includes('404') ||
-          errorMessage.includes('405') ||
-          errorMessage.includes('501') ||
-          errorMessage.includes('Method not allowed') ||
-          errorMessage.includes('endpoint not found') ||
-          errorMessage.includes('not implemented') ||
-          errorMessage.includes('Invalid response from mint')) {
-        throw new Error('This mint does not support spendability checking. Token may still be valid.');
-      }
-      
-      // Check if the error indicates the token is spent (HTTP 422 or specific messages)
-      const status = error.status || error.response?.status || error.statusCode;
-      if (status === 422) {
-        // For 422 errors, we need to be more careful about determining if it's "spent" vs "invalid"
-        // Only mark as spent if we have clear indicators
-        if (errorMessage.includes('already been used') || 
-            errorMessage.includes('already spent') ||
-            errorMessage.includes('not spendable')) {
-          throw new Error('TOKEN_SPENT: Token proofs are not spendable - they have already been used');
-        } else {
-          // For other 422 errors, it might be invalid but not necessarily spent
-          console.log('HTTP 422 but not clearly indicating spent token - treating as validation error');
-          throw new Error(`Token validation failed at mint: ${errorMessage}`);
-        }
-      } else if (errorMessage.includes('Token proofs are not spendable') ||
-                 errorMessage.includes('already been used') ||
-                 errorMessage.includes('invalid proofs')) {
-        throw new Error('TOKEN_SPENT: Token proofs are not spendable - they have already been used');
-      }
-      
-      throw new Error(`Failed to check token spendability: ${errorMessage}`);
+      throw new Error(`Failed to check token spendability: ${error.message}`);
     }
   }
 }
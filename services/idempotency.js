@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { createStore } = require('./storage');
+
+const MAX_KEY_LENGTH = 255;
+
+// Errors that may go away on a retry - their responses are not replayed
+const TRANSIENT_ERROR_TYPES = ['rate_limited', 'quota_exceeded', 'queue_full', 'mint_unavailable', 'token_pending'];
+
+class IdempotencyService {
+  constructor() {
+    this.requests = createStore('idempotency'); // `${scope}:${key}` -> stored request
+    // How long a key is remembered
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+  }
+
+  /**
+   * Validate an Idempotency-Key header value
+   * @param {string} key - Header value
+   * @returns {string|null} Error message or null if the key is valid
+   */
+  validateKey(key) {
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+      return `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a request body so a reused key can be matched against the original request
+   * @param {Object} body - Parsed JSON body
+   * @returns {string} Hex SHA-256 hash
+   */
+  hashBody(body) {
+    const fields = body && typeof body === 'object' ? Object.keys(body).sort() : undefined;
+    return crypto.createHash('sha256').update(JSON.stringify(body || {}, fields)).digest('hex');
+  }
+
+  /**
+   * Check whether a stored request is older than the TTL
+   * @param {Object} entry - Stored request
+   * @returns {boolean} Whether the entry has expired
+   */
+  isExpired(entry) {
+    return Date.now() - new Date(entry.createdAt).getTime() >= this.ttlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Start a request under an idempotency key, or find the request that already used it.
+   * Keys are scoped per API key (or client IP without one), so different clients cannot see
+   * each other's requests. Keys are claimed in a store transaction, so two concurrent requests
+   * with the same key cannot both start (not even on two instances sharing file storage).
+   * @param {string} scope - API key ID (or 'anonymous:<client IP>')
+   * @param {string} key - Idempotency key
+   * @param {string} bodyHash - Hash of the request body
+   * @param {string} redeemId - Redemption ID the new request will use
+   * @returns {Object} { state: 'new'|'mismatch'|'in_progress'|'completed', entry }
+   */
+  async begin(scope, key, bodyHash, redeemId) {
+    return await this.requests.transaction(async (requests) => {
+      const storeKey = `${scope}:${key}`;
+      const existing = await requests.get(storeKey);
+
+      if (existing && !this.isExpired(existing)) {
+        if (existing.bodyHash !== bodyHash) {
+          return { state: 'mismatch', entry: existing };
+        }
+        return { state: existing.state, entry: existing };
+      }
+
+      const entry = {
+        state: 'in_progress',
+        bodyHash,
+        redeemId,
+        statusCode: null,
+        response: null,
+        createdAt: new Date().toISOString()
+      };
+      await requests.set(storeKey, entry);
+      return { state: 'new', entry };
+    });
+  }
+
+  /**
+   * Check whether a response is a final outcome worth replaying. Server errors, 429s and
+   * errors that may clear up (rate limits, quotas, a full queue, an unavailable mint or
+   * pending proofs) are not, so the request can be retried with the same key.
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} response - Response body
+   * @returns {boolean} Whether the response should be stored
+   */
+  isFinalResponse(statusCode, response) {
+    if (statusCode >= 500 || statusCode === 429) {
+      return false;
+    }
+    return !(response && TRANSIENT_ERROR_TYPES.includes(response.errorType));
+  }
+
+  /**
+   * Store the response of a finished request so retries get the same answer. Queued (202)
+   * requests keep only their redeemId - retries get the redemption's current status.
+   * @param {string} scope - API key ID (or 'anonymous:<client IP>')
+   * @param {string} key - Idempotency key
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} response - Response body
+   */
+  async complete(scope, key, statusCode, response) {
+    const storeKey = `${scope}:${key}`;
+    await this.requests.transaction(async (requests) => {
+      const entry = await requests.get(storeKey);
+      if (!entry) {
+        return;
+      }
+
+      await requests.set(storeKey, {
+        ...entry,
+        state: 'completed',
+        redeemId: response.redeemId || entry.redeemId,
+        queued: statusCode === 202,
+        statusCode,
+        response: statusCode === 202 ? null : response,
+        completedAt: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Forget a request that ended without an outcome worth replaying (see isFinalResponse),
+   * so it can be retried with the same key
+   * @param {string} scope - API key ID (or 'anonymous:<client IP>')
+   * @param {string} key - Idempotency key
+   */
+  async release(scope, key) {
+    await this.requests.delete(`${scope}:${key}`);
+  }
+
+  /**
+   * Remove expired keys (should be called periodically)
+   * @returns {number} Number of keys removed
+   */
+  async cleanup() {
+    let removed = 0;
+    for (const [storeKey, entry] of await this.requests.entries()) {
+      if (this.isExpired(entry)) {
+        await this.requests.delete(storeKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new IdempotencyService();
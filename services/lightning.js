@@ -1,5 +1,13 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const bech32 = require('bech32');
 const bolt11 = require('bolt11');
+const addressPolicy = require('./addressPolicy');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+// Comment sent with invoices when the caller does not provide one (only if the provider allows it)
+const DEFAULT_COMMENT = 'Cashu token redemption';
 
 class LightningService {
   constructor() {
@@ -7,6 +15,8 @@ class LightningService {
       ? process.env.ALLOW_REDEEM_DOMAINS.split(',').map(d => d.trim())
       : [];
     this.defaultLightningAddress = process.env.DEFAULT_LIGHTNING_ADDRESS;
+    this.verifyAttempts = parseInt(process.env.LNURL_VERIFY_ATTEMPTS) || 3;
+    this.verifyIntervalMs = parseInt(process.env.LNURL_VERIFY_INTERVAL_MS) || 2000;
   }
 
   /**
@@ -20,14 +30,15 @@ class LightningService {
   /**
    * Get Lightning address to use - provided address or default
    * @param {string|null} providedAddress - The provided Lightning address
+   * @param {string|null} keyDefaultAddress - Default address of the caller's API key (overrides the server default)
    * @returns {string} Lightning address to use
    */
-  getLightningAddressToUse(providedAddress) {
+  getLightningAddressToUse(providedAddress, keyDefaultAddress = null) {
     if (providedAddress && providedAddress.trim()) {
       return providedAddress.trim();
     }
     
-    const defaultAddress = this.getDefaultLightningAddress();
+    const defaultAddress = keyDefaultAddress || this.getDefaultLightningAddress();
     if (!defaultAddress) {
       throw new Error('No Lightning address provided and no default Lightning address configured');
     }
@@ -67,6 +78,17 @@ class LightningService {
     return this.allowedDomains.includes(domain.toLowerCase());
   }
 
+  /**
+   * Domain to label metrics with. Destinations come from callers, so only domains listed in
+   * ALLOW_REDEEM_DOMAINS get their own series and every other domain is counted as 'other'.
+   * @param {string} domain - Domain of the Lightning address or LNURL
+   * @returns {string} Domain or 'other'
+   */
+  getMetricsDomain(domain) {
+    const normalized = (domain || '').toLowerCase();
+    return this.allowedDomains.some(entry => entry.toLowerCase() === normalized) ? normalized : 'other';
+  }
+
   /**
    * Parse Lightning Address into username and domain
    * @param {string} lightningAddress - The Lightning address
@@ -96,6 +118,96 @@ class LightningService {
     return `https://${domain}/.well-known/lnurlp/${username}`;
   }
 
+  /**
+   * Decode a bech32-encoded LNURL (lnurl1...) into its URL
+   * @param {string} lnurl - The bech32 LNURL
+   * @returns {string} Decoded URL
+   */
+  decodeLNURL(lnurl) {
+    try {
+      // LNURLs are longer than the 90 character bech32 limit
+      const { prefix, words } = bech32.decode(lnurl.toLowerCase(), 2000);
+      if (prefix !== 'lnurl') {
+        throw new Error(`unexpected prefix "${prefix}"`);
+      }
+      return Buffer.from(bech32.fromWords(words)).toString('utf8');
+    } catch (error) {
+      throw new Error(`Invalid LNURL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a payment destination: Lightning address, bech32 LNURL (lnurl1...),
+   * LUD-17 URL (lnurlp://...) or any of these behind a lightning: URI prefix
+   * @param {string} destination - The destination
+   * @returns {Object} { type, destination, url, domain } where type is 'lightning_address' or 'lnurl'
+   */
+  parseDestination(destination) {
+    if (!destination || typeof destination !== 'string') {
+      throw new Error('Invalid Lightning address or LNURL');
+    }
+
+    const normalized = destination.trim().replace(/^lightning:/i, '');
+
+    if (this.validateLightningAddress(normalized)) {
+      const { domain } = this.parseLightningAddress(normalized);
+      return {
+        type: 'lightning_address',
+        destination: normalized,
+        url: this.getLNURLpEndpoint(normalized),
+        domain
+      };
+    }
+
+    let url;
+    if (/^lnurl1/i.test(normalized)) {
+      url = this.decodeLNURL(normalized);
+    } else if (/^lnurlp:\/\//i.test(normalized)) {
+      url = normalized.replace(/^lnurlp:\/\//i, 'https://');
+    } else if (/^lnurlw:\/\//i.test(normalized)) {
+      throw new Error('LNURL-withdraw links cannot receive payments - provide a Lightning address or LNURL-pay link');
+    } else {
+      throw new Error('Invalid Lightning address or LNURL');
+    }
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid LNURL: decoded value is not a URL');
+    }
+
+    if (parsedUrl.protocol !== 'https:') {
+      throw new Error('Invalid LNURL: only https URLs are supported');
+    }
+
+    const domain = parsedUrl.hostname.toLowerCase();
+    if (!this.isDomainAllowed(domain)) {
+      throw new Error(`Domain ${domain} is not allowed for redemption`);
+    }
+
+    return {
+      type: 'lnurl',
+      destination: normalized,
+      url: parsedUrl.toString(),
+      domain
+    };
+  }
+
+  /**
+   * Check whether a destination is a valid Lightning address or LNURL
+   * @param {string} destination - The destination
+   * @returns {boolean} Whether the destination is valid
+   */
+  isValidDestination(destination) {
+    try {
+      this.parseDestination(destination);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Fetch LNURLp response from endpoint
    * @param {string} lnurlpUrl - The LNURLp endpoint URL
@@ -103,8 +215,12 @@ class LightningService {
    */
   async fetchLNURLpResponse(lnurlpUrl) {
     try {
+      // The URL comes from the caller's destination, so it must not reach internal hosts
+      await addressPolicy.assertPublicUrl(lnurlpUrl, 'LNURLp URL');
+
       const response = await axios.get(lnurlpUrl, {
         timeout: 10000,
+        maxRedirects: 0, // A redirect could lead to an internal host the SSRF guard never saw
         headers: {
           'User-Agent': 'Cashu-Redeem-API/1.0.0'
         }
@@ -120,6 +236,14 @@ class LightningService {
         throw new Error(data.reason || 'LNURLp endpoint returned error');
       }
 
+      if (data.tag === 'withdrawRequest') {
+        throw new Error('LNURL-withdraw links cannot receive payments - provide a Lightning address or LNURL-pay link');
+      }
+
+      if (data.tag && data.tag !== 'payRequest') {
+        throw new Error(`Unsupported LNURL type "${data.tag}" - expected payRequest`);
+      }
+
       if (!data.callback || !data.minSendable || !data.maxSendable) {
         throw new Error('Invalid LNURLp response - missing required fields');
       }
@@ -145,12 +269,17 @@ class LightningService {
       const url = new URL(callbackUrl);
       url.searchParams.set('amount', amount.toString());
       
+      // Comment length is validated against commentAllowed before getting here
       if (comment && comment.length > 0) {
-        url.searchParams.set('comment', comment.substring(0, 144)); // LN comment limit
+        url.searchParams.set('comment', comment);
       }
 
+      // The callback comes from the recipient's server, so it must not reach internal hosts
+      await addressPolicy.assertPublicUrl(url.toString(), 'Callback URL');
+
       const response = await axios.get(url.toString(), {
         timeout: 10000,
+        maxRedirects: 0,
         headers: {
           'User-Agent': 'Cashu-Redeem-API/1.0.0'
         }
@@ -180,6 +309,161 @@ class LightningService {
     }
   }
 
+  /**
+   * Process an LNURLp successAction (LUD-09) after a successful payment.
+   * AES actions (LUD-10) are decrypted with the payment preimage.
+   * @param {Object|null} successAction - successAction from the LNURLp callback
+   * @param {string|null} preimage - Payment preimage (hex)
+   * @returns {Object|null} Processed success action or null if none was provided
+   */
+  processSuccessAction(successAction, preimage) {
+    if (!successAction || typeof successAction !== 'object') {
+      return null;
+    }
+
+    switch (successAction.tag) {
+      case 'message':
+        return {
+          tag: 'message',
+          message: successAction.message
+        };
+
+      case 'url':
+        return {
+          tag: 'url',
+          description: successAction.description,
+          url: successAction.url
+        };
+
+      case 'aes': {
+        const result = {
+          tag: 'aes',
+          description: successAction.description
+        };
+
+        if (!preimage) {
+          result.error = 'Payment preimage not available - cannot decrypt success action';
+          return result;
+        }
+
+        try {
+          result.decrypted = this.decryptSuccessAction(successAction.ciphertext, successAction.iv, preimage);
+        } catch (error) {
+          logger.error('Failed to decrypt AES success action', { error: error.message });
+          result.error = `Failed to decrypt success action: ${error.message}`;
+        }
+
+        return result;
+      }
+
+      default:
+        return {
+          tag: successAction.tag,
+          error: `Unsupported success action "${successAction.tag}"`
+        };
+    }
+  }
+
+  /**
+   * Decrypt an AES success action payload (LUD-10): AES-256-CBC keyed by the preimage
+   * @param {string} ciphertext - Base64 ciphertext
+   * @param {string} iv - Base64 initialization vector (16 bytes)
+   * @param {string} preimage - Payment preimage (hex, 32 bytes)
+   * @returns {string} Decrypted plaintext
+   */
+  decryptSuccessAction(ciphertext, iv, preimage) {
+    const key = Buffer.from(preimage, 'hex');
+    if (key.length !== 32) {
+      throw new Error('Invalid preimage length');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.from(iv, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Check that a preimage hashes to the invoice's payment hash
+   * @param {string} bolt11Invoice - The Lightning invoice
+   * @param {string} preimage - Payment preimage (hex)
+   * @returns {boolean} Whether sha256(preimage) equals the payment hash
+   */
+  verifyPreimage(bolt11Invoice, preimage) {
+    try {
+      const decoded = bolt11.decode(bolt11Invoice);
+      const paymentHash = decoded.tags.find(tag => tag.tagName === 'payment_hash');
+      if (!paymentHash) {
+        return false;
+      }
+
+      const preimageHash = crypto.createHash('sha256').update(Buffer.from(preimage, 'hex')).digest('hex');
+      return preimageHash === paymentHash.data;
+    } catch (error) {
+      logger.error('Preimage verification failed', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Check settlement of an invoice through its LUD-21 verify URL
+   * @param {string} verifyUrl - The verify URL from the LNURLp callback
+   * @returns {Object} { settled, preimage }
+   */
+  async checkSettlement(verifyUrl) {
+    try {
+      // The verify URL comes from the recipient's server, so it must not reach internal hosts
+      await addressPolicy.assertPublicUrl(verifyUrl, 'Verify URL');
+
+      const response = await axios.get(verifyUrl, {
+        timeout: 10000,
+        maxRedirects: 0,
+        headers: {
+          'User-Agent': 'Cashu-Redeem-API/1.0.0'
+        }
+      });
+
+      const data = response.data;
+
+      if (data.status === 'ERROR') {
+        throw new Error(data.reason || 'Verify endpoint returned error');
+      }
+
+      return {
+        settled: data.settled === true,
+        preimage: data.preimage || null
+      };
+    } catch (error) {
+      throw new Error(`Settlement verification failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Poll a LUD-21 verify URL until the invoice is reported settled
+   * (up to LNURL_VERIFY_ATTEMPTS times, LNURL_VERIFY_INTERVAL_MS apart)
+   * @param {string} verifyUrl - The verify URL from the LNURLp callback
+   * @returns {Object} Last result of checkSettlement
+   */
+  async pollSettlement(verifyUrl) {
+    let result = null;
+
+    for (let attempt = 1; attempt <= this.verifyAttempts; attempt++) {
+      result = await this.checkSettlement(verifyUrl);
+      logger.info('Settlement check', { attempt, attempts: this.verifyAttempts, settled: result.settled });
+
+      if (result.settled) {
+        return result;
+      }
+
+      if (attempt < this.verifyAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.verifyIntervalMs));
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Convert satoshis to millisatoshis
    * @param {number} sats - Amount in satoshis
@@ -213,47 +497,106 @@ class LightningService {
   }
 
   /**
-   * Full Lightning address to invoice resolution
-   * @param {string} lightningAddress - The Lightning address
-   * @param {number} amount - Amount in satoshis
-   * @param {string} comment - Optional comment
-   * @returns {Object} Invoice and metadata
+   * Resolve a Lightning address or LNURL to its LNURLp pay request (fetched once, reusable for several invoices)
+   * @param {string} destination - The Lightning address or LNURL
+   * @returns {Object} Pay request with callback, sendable range in sats and comment allowance
    */
-  async resolveInvoice(lightningAddress, amount, comment = 'Cashu token redemption') {
+  async resolvePayRequest(destination) {
     try {
-      console.log(`Resolving Lightning address: ${lightningAddress} for ${amount} sats`);
+      logger.info('Resolving Lightning destination', { destination });
       
       // Get LNURLp endpoint
-      const lnurlpUrl = this.getLNURLpEndpoint(lightningAddress);
-      console.log(`LNURLp endpoint: ${lnurlpUrl}`);
+      const { type, destination: lightningAddress, url: lnurlpUrl, domain } = this.parseDestination(destination);
+      logger.debug('LNURLp endpoint', { type, url: lnurlpUrl });
       
       // Fetch LNURLp response
-      const lnurlpResponse = await this.fetchLNURLpResponse(lnurlpUrl);
-      console.log('LNURLp response:', {
+      const lnurlpResponse = await metrics.timeLnurlp(this.getMetricsDomain(domain), () => this.fetchLNURLpResponse(lnurlpUrl));
+      logger.debug('LNURLp response', {
         callback: lnurlpResponse.callback,
         minSendable: lnurlpResponse.minSendable,
         maxSendable: lnurlpResponse.maxSendable
       });
-      
+
+      return {
+        lightningAddress,
+        destinationType: type,
+        domain,
+        callback: lnurlpResponse.callback,
+        minSendable: Math.ceil(parseInt(lnurlpResponse.minSendable) / 1000),
+        maxSendable: this.millisatsToSats(parseInt(lnurlpResponse.maxSendable)),
+        commentAllowed: lnurlpResponse.commentAllowed || 0,
+        lnurlpResponse
+      };
+    } catch (error) {
+      logger.error('Lightning address resolution failed', { destination, error: error.message });
+      throw new Error(`Lightning address resolution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a caller-supplied comment against the provider's commentAllowed (LUD-12)
+   * @param {Object} payRequest - Pay request from resolvePayRequest
+   * @param {string|null} comment - The comment
+   * @throws {Error} If the provider does not accept comments or the comment is too long
+   */
+  validateComment(payRequest, comment) {
+    if (!comment) {
+      return;
+    }
+
+    if (!payRequest.commentAllowed) {
+      throw new Error(`Comment not allowed - ${payRequest.lightningAddress} does not accept comments`);
+    }
+
+    if (comment.length > payRequest.commentAllowed) {
+      throw new Error(`Comment is too long (${comment.length} characters) - ${payRequest.lightningAddress} allows at most ${payRequest.commentAllowed} characters`);
+    }
+  }
+
+  /**
+   * Get the comment to send with an invoice request
+   * @param {Object} payRequest - Pay request from resolvePayRequest
+   * @param {string|null} comment - Caller-supplied comment
+   * @returns {string|null} Comment to send, or null if none should be sent
+   */
+  getInvoiceComment(payRequest, comment) {
+    if (comment) {
+      this.validateComment(payRequest, comment);
+      return comment;
+    }
+
+    // Only send the default comment if the provider accepts it in full
+    return payRequest.commentAllowed >= DEFAULT_COMMENT.length ? DEFAULT_COMMENT : null;
+  }
+
+  /**
+   * Request an invoice from a resolved pay request
+   * @param {Object} payRequest - Pay request from resolvePayRequest
+   * @param {number} amount - Amount in satoshis
+   * @param {string|null} comment - Optional comment (validated against commentAllowed)
+   * @returns {Object} Invoice and metadata
+   */
+  async requestInvoice(payRequest, amount, comment = null) {
+    try {
+      const { lnurlpResponse, lightningAddress } = payRequest;
+      const invoiceComment = this.getInvoiceComment(payRequest, comment);
+
       // Validate amount
       if (!this.validateAmount(amount, lnurlpResponse)) {
-        const minSats = this.millisatsToSats(lnurlpResponse.minSendable);
-        const maxSats = this.millisatsToSats(lnurlpResponse.maxSendable);
-        throw new Error(`Amount ${amount} sats is outside allowed range: ${minSats}-${maxSats} sats`);
+        throw new Error(`Amount ${amount} sats is outside allowed range: ${payRequest.minSendable}-${payRequest.maxSendable} sats`);
       }
 
       // Get invoice
       const amountMsats = this.satsToMillisats(amount);
-      console.log(`Requesting invoice for ${amountMsats} millisats (${amount} sats)`);
-      console.log(`Using callback URL: ${lnurlpResponse.callback}`);
-      const invoiceResponse = await this.getInvoice(lnurlpResponse.callback, amountMsats, comment);
+      logger.info('Requesting invoice', { amount, amountMsats, callback: payRequest.callback });
+      const invoiceResponse = await this.getInvoice(payRequest.callback, amountMsats, invoiceComment);
       
-      console.log('Invoice created successfully:', {
-        bolt11: invoiceResponse.bolt11.substring(0, 50) + '...',
+      logger.info('Invoice created successfully', {
+        bolt11: invoiceResponse.bolt11,
         lightningAddress,
         amount,
         amountMsats,
-        callback: lnurlpResponse.callback
+        callback: payRequest.callback
       });
 
       return {
@@ -261,16 +604,29 @@ class LightningService {
         amount,
         amountMsats,
         lightningAddress,
-        domain: this.parseLightningAddress(lightningAddress).domain,
+        domain: payRequest.domain,
         successAction: invoiceResponse.successAction,
+        verify: invoiceResponse.verify,
         lnurlpResponse
       };
     } catch (error) {
-      console.error('Lightning address resolution failed:', error.message);
+      logger.error('Invoice request failed', { error: error.message });
       throw new Error(`Lightning address resolution failed: ${error.message}`);
     }
   }
 
+  /**
+   * Full Lightning address to invoice resolution
+   * @param {string} lightningAddress - The Lightning address
+   * @param {number} amount - Amount in satoshis
+   * @param {string|null} comment - Optional comment
+   * @returns {Object} Invoice and metadata
+   */
+  async resolveInvoice(lightningAddress, amount, comment = null) {
+    const payRequest = await this.resolvePayRequest(lightningAddress);
+    return this.requestInvoice(payRequest, amount, comment);
+  }
+
   /**
    * Decode Lightning invoice (basic parsing)
    * @param {string} bolt11 - Lightning invoice
@@ -292,6 +648,47 @@ class LightningService {
     }
   }
 
+  /**
+   * Decode a BOLT11 invoice with the bolt11 library and check that it can be paid
+   * @param {string} invoice - The BOLT11 invoice (optionally prefixed with lightning:)
+   * @returns {Object} Decoded invoice with amount in sats, payment hash and expiry
+   */
+  decodeInvoice(invoice) {
+    if (!invoice || typeof invoice !== 'string') {
+      throw new Error('Invoice is required and must be a string');
+    }
+
+    const normalizedInvoice = invoice.trim().replace(/^lightning:/i, '');
+
+    let decoded;
+    try {
+      decoded = bolt11.decode(normalizedInvoice);
+    } catch (error) {
+      throw new Error(`Invalid Lightning invoice: ${error.message}`);
+    }
+
+    const amountMsats = decoded.millisatoshis ? parseInt(decoded.millisatoshis) : 0;
+    if (!amountMsats) {
+      throw new Error('Invoice must specify an amount (amountless invoices are not supported)');
+    }
+
+    if (decoded.timeExpireDate && decoded.timeExpireDate < Date.now() / 1000) {
+      throw new Error('Invoice has expired');
+    }
+
+    const paymentHashTag = decoded.tags.find(tag => tag.tagName === 'payment_hash');
+    const descriptionTag = decoded.tags.find(tag => tag.tagName === 'description');
+
+    return {
+      bolt11: normalizedInvoice,
+      amount: Math.ceil(amountMsats / 1000),
+      amountMsats,
+      paymentHash: paymentHashTag ? paymentHashTag.data : null,
+      description: descriptionTag ? descriptionTag.data : null,
+      expiresAt: decoded.timeExpireDate ? new Date(decoded.timeExpireDate * 1000).toISOString() : null
+    };
+  }
+
   /**
    * Verify that a Lightning invoice is valid and for the expected amount
    * @param {string} bolt11Invoice - The Lightning invoice to verify
@@ -301,26 +698,25 @@ class LightningService {
    */
   verifyInvoiceDestination(bolt11Invoice, expectedLightningAddress, expectedAmount = null) {
     try {
-      console.log(`Verifying invoice destination for: ${expectedLightningAddress}`);
-      console.log(`Invoice: ${bolt11Invoice.substring(0, 50)}...`);
+      logger.debug('Verifying invoice destination', { destination: expectedLightningAddress, bolt11: bolt11Invoice });
       
       // Decode the invoice using the bolt11 library
       const decoded = bolt11.decode(bolt11Invoice);
       
       // Basic validation checks
       if (!decoded.complete) {
-        console.error('Invoice verification failed: Invoice is incomplete');
+        logger.error('Invoice verification failed: Invoice is incomplete');
         return false;
       }
       
       if (!decoded.paymentRequest) {
-        console.error('Invoice verification failed: No payment request found');
+        logger.error('Invoice verification failed: No payment request found');
         return false;
       }
       
       // Check if the invoice has expired
       if (decoded.timeExpireDate && decoded.timeExpireDate < Date.now() / 1000) {
-        console.error('Invoice verification failed: Invoice has expired');
+        logger.error('Invoice verification failed: Invoice has expired');
         return false;
       }
       
@@ -328,13 +724,12 @@ class LightningService {
       if (expectedAmount !== null) {
         const invoiceAmount = decoded.satoshis || (decoded.millisatoshis ? Math.floor(decoded.millisatoshis / 1000) : 0);
         if (invoiceAmount !== expectedAmount) {
-          console.error(`Invoice verification failed: Amount mismatch. Expected: ${expectedAmount} sats, Got: ${invoiceAmount} sats`);
+          logger.error('Invoice verification failed: Amount mismatch', { expectedAmount, invoiceAmount });
           return false;
         }
       }
       
-      console.log('Invoice verification: All checks passed');
-      console.log('Invoice details:', {
+      logger.debug('Invoice verification: All checks passed', {
         amount: decoded.satoshis || (decoded.millisatoshis ? Math.floor(decoded.millisatoshis / 1000) : 0),
         timestamp: decoded.timestamp,
         expiry: decoded.expiry,
@@ -343,7 +738,7 @@ class LightningService {
       
       return true;
     } catch (error) {
-      console.error('Invoice verification failed:', error.message);
+      logger.error('Invoice verification failed', { error: error.message });
       return false;
     }
   }
@@ -0,0 +1,199 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// Fields that are never logged: proof secrets, signatures and preimages
+const SECRET_KEYS = ['secret', 'secrets', 'proofsecrets', 'c', 'witness', 'preimage', 'payment_preimage', 'authorization', 'apikey', 'signature'];
+// Fields holding tokens, invoices or proofs - only a short prefix (or the count) is kept
+const TRUNCATED_KEYS = ['token', 'changetoken', 'bolt11', 'invoice', 'pr', 'paymentrequest', 'request'];
+const PROOF_KEYS = ['proofs', 'change', 'proofstosend', 'keptproofs'];
+
+// Tokens and invoices can also show up inside messages
+const TOKEN_PATTERN = /cashu[AB][A-Za-z0-9_\-+/=]{20,}/g;
+const INVOICE_PATTERN = /\bln(?:bcrt|bc|tbs|tb)[0-9]*[a-z0-9]{20,}/gi;
+const PREFIX_LENGTH = 12;
+
+class Logger {
+  constructor() {
+    const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+    this.level = LEVELS[level] !== undefined ? level : 'info';
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * Run a function with log context (e.g. a redeemId) that is added to every
+   * line logged while it runs, including from async code it starts
+   * @param {Object} fields - Context fields, merged over the current context
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's result
+   */
+  withContext(fields, fn) {
+    return this.context.run({ ...this.getContext(), ...fields }, fn);
+  }
+
+  /**
+   * Add fields to the current context (no-op outside withContext)
+   * @param {Object} fields - Context fields
+   */
+  addContext(fields) {
+    const store = this.context.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  /**
+   * Get the current log context
+   * @returns {Object} Context fields
+   */
+  getContext() {
+    return this.context.getStore() || {};
+  }
+
+  /**
+   * Shorten a token or invoice to a prefix that is still recognizable
+   * @param {string} value - Sensitive string
+   * @returns {string} Redacted string
+   */
+  truncate(value) {
+    return `${value.substring(0, PREFIX_LENGTH)}...[redacted]`;
+  }
+
+  /**
+   * Redact tokens and invoices embedded in a string
+   * @param {string} value - String to clean
+   * @returns {string} Redacted string
+   */
+  redactString(value) {
+    return value
+      .replace(TOKEN_PATTERN, match => this.truncate(match))
+      .replace(INVOICE_PATTERN, match => this.truncate(match));
+  }
+
+  /**
+   * Copy a value with secrets, proofs, preimages, tokens and invoices redacted
+   * @param {*} value - Value to log
+   * @param {string|null} key - Field name of the value
+   * @param {WeakSet} seen - Objects already visited (guards against cycles)
+   * @returns {*} Redacted copy
+   */
+  redact(value, key = null, seen = new WeakSet()) {
+    const field = key ? key.toLowerCase() : null;
+
+    if (value === null || value === undefined) {
+      return value;
+    }
+
+    if (field && SECRET_KEYS.includes(field)) {
+      return '[redacted]';
+    }
+
+    if (field && PROOF_KEYS.includes(field) && Array.isArray(value)) {
+      return `[${value.length} redacted]`;
+    }
+
+    if (typeof value === 'string') {
+      return field && TRUNCATED_KEYS.includes(field) && value.length > PREFIX_LENGTH
+        ? this.truncate(value)
+        : this.redactString(value);
+    }
+
+    if (value instanceof Error) {
+      return {
+        name: value.name,
+        message: this.redactString(value.message || ''),
+        ...(value.status ? { status: value.status } : {}),
+        ...(value.stack ? { stack: this.redactString(value.stack) } : {})
+      };
+    }
+
+    if (typeof value !== 'object') {
+      return value;
+    }
+
+    if (seen.has(value)) {
+      return '[circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, null, seen));
+    }
+
+    const copy = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      copy[childKey] = this.redact(childValue, childKey, seen);
+    }
+    return copy;
+  }
+
+  /**
+   * Write a log line as JSON
+   * @param {string} level - Log level
+   * @param {string} msg - Message
+   * @param {Object|Error} fields - Extra fields (an Error is logged as `error`)
+   */
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] > LEVELS[this.level]) {
+      return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg: this.redactString(String(msg)),
+      ...this.redact(this.getContext()),
+      ...this.redact(extra)
+    });
+
+    if (LEVELS[level] <= LEVELS.warn) {
+      process.stderr.write(line + '\n');
+    } else {
+      process.stdout.write(line + '\n');
+    }
+  }
+
+  /**
+   * Log an error
+   * @param {string} msg - Message
+   * @param {Object|Error} fields - Extra fields
+   */
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Log a warning
+   * @param {string} msg - Message
+   * @param {Object|Error} fields - Extra fields
+   */
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  /**
+   * Log an informational message
+   * @param {string} msg - Message
+   * @param {Object|Error} fields - Extra fields
+   */
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  /**
+   * Log a debug message
+   * @param {string} msg - Message
+   * @param {Object|Error} fields - Extra fields
+   */
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+}
+
+module.exports = new Logger();
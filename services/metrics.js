@@ -0,0 +1,170 @@
+const client = require('prom-client');
+const cashuService = require('./cashu');
+
+const PREFIX = 'cashu_redeem_';
+
+// Units that get their own label value - mints can name their units freely
+const KNOWN_UNITS = ['sat', 'msat', 'btc', 'usd', 'eur'];
+
+class Metrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+    this.redemptions = new client.Counter({
+      name: `${PREFIX}redemptions_total`,
+      help: 'Redemptions that reached a final status, by status and error type',
+      labelNames: ['status', 'error_type'],
+      registers: [this.registry]
+    });
+
+    this.redeemedSats = new client.Counter({
+      name: `${PREFIX}redeemed_sats_total`,
+      help: 'Sats paid out to recipients, by mint',
+      labelNames: ['mint'],
+      registers: [this.registry]
+    });
+
+    this.feesPaid = new client.Counter({
+      name: `${PREFIX}fees_paid_total`,
+      help: 'Lightning fees paid to mints, by mint and token unit',
+      labelNames: ['mint', 'unit'],
+      registers: [this.registry]
+    });
+
+    this.meltDuration = new client.Histogram({
+      name: `${PREFIX}melt_duration_seconds`,
+      help: 'Duration of melt requests, by mint and outcome (paid, unpaid or error)',
+      labelNames: ['mint', 'outcome'],
+      buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+      registers: [this.registry]
+    });
+
+    this.lnurlpDuration = new client.Histogram({
+      name: `${PREFIX}lnurlp_resolve_duration_seconds`,
+      help: 'Duration of LNURLp resolutions, by domain',
+      labelNames: ['domain'],
+      buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+      registers: [this.registry]
+    });
+
+    this.lnurlpFailures = new client.Counter({
+      name: `${PREFIX}lnurlp_resolve_failures_total`,
+      help: 'Failed LNURLp resolutions, by domain',
+      labelNames: ['domain'],
+      registers: [this.registry]
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: `${PREFIX}rate_limit_rejections_total`,
+      help: 'Requests rejected by the rate limiter, by route group',
+      labelNames: ['group'],
+      registers: [this.registry]
+    });
+  }
+
+  /**
+   * Label value for a mint. Mint URLs come from tokens, so only allowlisted mints get their
+   * own series and every other mint is counted as 'other'.
+   * @param {string} mintUrl - The mint URL
+   * @returns {string} Normalized mint URL or 'other'
+   */
+  getMintLabel(mintUrl) {
+    return cashuService.isMintAllowlisted(mintUrl) ? cashuService.normalizeMintUrl(mintUrl) : 'other';
+  }
+
+  /**
+   * Label value for a token unit (unknown units are counted as 'other')
+   * @param {string|null} unit - The token unit
+   * @returns {string} Unit or 'other'
+   */
+  getUnitLabel(unit) {
+    return KNOWN_UNITS.includes(unit || 'sat') ? (unit || 'sat') : 'other';
+  }
+
+  /**
+   * Record a redemption that reached a final status. Multi-mint redemptions count
+   * the sats and fees of each paid mint part.
+   * @param {Object} redemption - Stored redemption record
+   */
+  recordRedemption(redemption) {
+    this.redemptions.inc({
+      status: redemption.status,
+      error_type: redemption.status === 'failed' ? (redemption.errorType || 'unknown') : ''
+    });
+
+    const parts = redemption.mintParts || [redemption];
+    for (const part of parts) {
+      if (!part.paid || !part.mint) {
+        continue;
+      }
+      const mint = this.getMintLabel(part.mint);
+      this.redeemedSats.inc({ mint }, part.invoiceAmount || 0);
+      // actualFee is what the mint kept; `fee` of a mint part is only the reserve (older records lack actualFee)
+      const fee = typeof part.actualFee === 'number' ? part.actualFee : (part.fee || 0);
+      this.feesPaid.inc({ mint, unit: this.getUnitLabel(part.unit) }, fee);
+    }
+  }
+
+  /**
+   * Time a melt request
+   * @param {string} mintUrl - The mint URL
+   * @param {Function} melt - Async function performing the melt (resolves to a result with `paid`)
+   * @returns {*} The melt result
+   */
+  async timeMelt(mintUrl, melt) {
+    const end = this.meltDuration.startTimer({ mint: this.getMintLabel(mintUrl) });
+    try {
+      const result = await melt();
+      end({ outcome: result.paid || result.preimage ? 'paid' : 'unpaid' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  }
+
+  /**
+   * Time an LNURLp resolution and count its failures
+   * @param {string} domain - Label value for the domain (see lightningService.getMetricsDomain)
+   * @param {Function} resolve - Async function performing the resolution
+   * @returns {*} The resolution result
+   */
+  async timeLnurlp(domain, resolve) {
+    const end = this.lnurlpDuration.startTimer({ domain });
+    try {
+      return await resolve();
+    } catch (error) {
+      this.lnurlpFailures.inc({ domain });
+      throw error;
+    } finally {
+      end();
+    }
+  }
+
+  /**
+   * Count a request rejected by the rate limiter
+   * @param {string} group - Route group
+   */
+  recordRateLimitRejection(group) {
+    this.rateLimitRejections.inc({ group });
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Metrics
+   */
+  async render() {
+    return await this.registry.metrics();
+  }
+
+  /**
+   * Content type of the rendered metrics
+   * @returns {string} Content type header value
+   */
+  getContentType() {
+    return this.registry.contentType;
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,222 @@
+const logger = require('./logger');
+
+class MintHealth {
+  constructor() {
+    // Consecutive failures before requests to a mint are refused
+    this.failureThreshold = parseInt(process.env.MINT_FAILURE_THRESHOLD) || 5;
+    // How long an open circuit refuses requests before a probe is let through
+    this.cooldownMs = parseInt(process.env.MINT_COOLDOWN_MS) || 60000;
+    // Mint URLs come from tokens and requests, so only the most recently used mints are tracked
+    this.maxEntries = parseInt(process.env.MINT_CACHE_SIZE) || 500;
+    this.mints = new Map(); // mintUrl -> health entry, least recently used first
+  }
+
+  /**
+   * Get the health entry of a mint, creating it on first use
+   * @param {string} mintUrl - The mint URL
+   * @returns {Object} Health entry
+   */
+  getEntry(mintUrl) {
+    let entry = this.mints.get(mintUrl);
+    if (!entry) {
+      entry = {
+        state: 'closed', // closed (healthy), open (refusing requests) or half_open (probing)
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        totalLatencyMs: 0,
+        lastLatencyMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        openedAt: null,
+        probing: false
+      };
+    }
+
+    // Move the mint to the most recently used end
+    this.mints.delete(mintUrl);
+    this.mints.set(mintUrl, entry);
+    this.evict(mintUrl);
+    return entry;
+  }
+
+  /**
+   * Drop the least recently used entries beyond MINT_CACHE_SIZE. Healthy mints go first,
+   * so that a flood of new mint URLs does not reset the circuit of a failing mint.
+   * @param {string} current - The mint being used, which is kept
+   */
+  evict(current) {
+    while (this.mints.size > this.maxEntries) {
+      let oldest = null;
+      for (const [mintUrl, entry] of this.mints) {
+        if (entry.state === 'closed' && mintUrl !== current) {
+          oldest = mintUrl;
+          break;
+        }
+      }
+      this.mints.delete(oldest || this.mints.keys().next().value);
+    }
+  }
+
+  /**
+   * Check whether an error means the mint is unhealthy: a server error or no
+   * response at all. Rejections such as spent proofs are normal answers, and
+   * errors raised locally (e.g. not enough proofs) say nothing about the mint.
+   * @param {Error} error - Error from a mint request
+   * @returns {boolean} Whether the error counts as a mint failure
+   */
+  isMintFailure(error) {
+    const status = error.status || (error.response && error.response.status);
+    if (status) {
+      return status >= 500;
+    }
+
+    // fetch (cashu-ts) rejects with a TypeError when the mint cannot be reached,
+    // axios flags its own network errors and timeouts
+    return error instanceof TypeError ||
+      error.isAxiosError === true ||
+      error.name === 'AbortError' ||
+      error.name === 'TimeoutError';
+  }
+
+  /**
+   * Make sure a request may be sent to the mint. After the cooldown an open
+   * circuit lets a single probe through; its outcome closes or reopens it.
+   * @param {string} mintUrl - The mint URL
+   * @throws {Error} If the circuit is open
+   */
+  beforeRequest(mintUrl) {
+    const entry = this.getEntry(mintUrl);
+
+    if (entry.state === 'open' && Date.now() - entry.openedAt >= this.cooldownMs) {
+      logger.info('Mint cooldown over - probing', { mint: mintUrl });
+      entry.state = 'half_open';
+      entry.probing = false;
+    }
+
+    if (entry.state === 'half_open' && !entry.probing) {
+      entry.probing = true;
+      return;
+    }
+
+    if (entry.state !== 'closed') {
+      const retryIn = Math.max(1, Math.ceil((entry.openedAt + this.cooldownMs - Date.now()) / 1000));
+      throw new Error(`Mint unavailable: ${mintUrl} failed ${entry.consecutiveFailures} request${entry.consecutiveFailures === 1 ? '' : 's'} in a row (${entry.lastError}) - retry in ${retryIn}s`);
+    }
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} mintUrl - The mint URL
+   * @param {number} latencyMs - Request duration
+   */
+  recordSuccess(mintUrl, latencyMs) {
+    const entry = this.getEntry(mintUrl);
+
+    if (entry.state !== 'closed') {
+      logger.info('Mint responding again - circuit closed', { mint: mintUrl });
+    }
+
+    entry.state = 'closed';
+    entry.probing = false;
+    entry.openedAt = null;
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.totalLatencyMs += latencyMs;
+    entry.lastLatencyMs = latencyMs;
+    entry.lastSuccessAt = new Date().toISOString();
+  }
+
+  /**
+   * Record a failed request and open the circuit once the threshold is reached
+   * (or straight away when a probe fails)
+   * @param {string} mintUrl - The mint URL
+   * @param {number} latencyMs - Request duration
+   * @param {Error} error - The failure
+   */
+  recordFailure(mintUrl, latencyMs, error) {
+    const entry = this.getEntry(mintUrl);
+
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.totalLatencyMs += latencyMs;
+    entry.lastLatencyMs = latencyMs;
+    entry.lastError = error.message;
+    entry.lastErrorAt = new Date().toISOString();
+    entry.probing = false;
+
+    if (entry.state === 'half_open' || entry.consecutiveFailures >= this.failureThreshold) {
+      if (entry.state !== 'open') {
+        logger.warn('Mint circuit open', { mint: mintUrl, consecutiveFailures: entry.consecutiveFailures, cooldownMs: this.cooldownMs });
+      }
+      entry.state = 'open';
+      entry.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Run a request to a mint through the circuit breaker and record its outcome
+   * @param {string} mintUrl - The mint URL
+   * @param {Function} request - Async function performing the request
+   * @returns {*} The request's result
+   */
+  async track(mintUrl, request) {
+    this.beforeRequest(mintUrl);
+
+    const startedAt = Date.now();
+    try {
+      const result = await request();
+      this.recordSuccess(mintUrl, Date.now() - startedAt);
+      return result;
+    } catch (error) {
+      if (this.isMintFailure(error)) {
+        this.recordFailure(mintUrl, Date.now() - startedAt, error);
+      } else if (error.status || error.response) {
+        // The mint answered - it is up, even if it rejected the request
+        this.recordSuccess(mintUrl, Date.now() - startedAt);
+      } else {
+        // Local error - says nothing about the mint, but frees a probe slot
+        this.getEntry(mintUrl).probing = false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count the tracked mints by circuit state
+   * @returns {Object} { tracked, closed, open, half_open }
+   */
+  getSummary() {
+    const summary = { tracked: this.mints.size, closed: 0, open: 0, half_open: 0 };
+    for (const entry of this.mints.values()) {
+      summary[entry.state]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Get health stats for every mint that has been contacted
+   * @returns {Array<Object>} One entry per mint
+   */
+  getStats() {
+    return Array.from(this.mints.entries()).map(([mint, entry]) => {
+      const requests = entry.successes + entry.failures;
+      return {
+        mint,
+        state: entry.state,
+        successes: entry.successes,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        avgLatencyMs: requests > 0 ? Math.round(entry.totalLatencyMs / requests) : null,
+        lastLatencyMs: entry.lastLatencyMs,
+        lastError: entry.lastError,
+        lastErrorAt: entry.lastErrorAt,
+        lastSuccessAt: entry.lastSuccessAt,
+        retryAt: entry.state === 'open' ? new Date(entry.openedAt + this.cooldownMs).toISOString() : null
+      };
+    });
+  }
+}
+
+module.exports = new MintHealth();
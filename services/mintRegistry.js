@@ -0,0 +1,160 @@
+// NUTs every mint implements - they are not always listed in the info's `nuts` object
+const MANDATORY_NUTS = [0, 1, 2, 3, 6];
+
+class MintRegistry {
+  constructor() {
+    // How long mint info is reused before it is fetched again
+    this.ttlSeconds = parseInt(process.env.MINT_INFO_TTL) || 3600;
+    // Mint URLs come from tokens and requests, so only the most recently used mints are kept
+    this.maxEntries = parseInt(process.env.MINT_CACHE_SIZE) || 500;
+    this.entries = new Map(); // mintUrl -> { info, supportedNuts, fetchedAt }, least recently used first
+    this.refreshing = new Map(); // mintUrl -> in-flight fetch
+  }
+
+  /**
+   * Check whether a registry entry is older than the TTL
+   * @param {Object} entry - Registry entry
+   * @returns {boolean} Whether the entry needs to be fetched again
+   */
+  isStale(entry) {
+    return Date.now() - entry.fetchedAt >= this.ttlSeconds * 1000;
+  }
+
+  /**
+   * Get a mint's info, fetching it when it is missing or stale. Concurrent
+   * requests for the same mint share one fetch.
+   * @param {string} mintUrl - The mint URL
+   * @param {Function} fetchInfo - Async function returning the mint's NUT-06 info
+   * @param {boolean} forceRefresh - Fetch even if the cached info is still fresh
+   * @returns {Object} Registry entry ({ info, supportedNuts, fetchedAt })
+   */
+  async getInfo(mintUrl, fetchInfo, forceRefresh = false) {
+    const cached = this.entries.get(mintUrl);
+    if (cached && !forceRefresh && !this.isStale(cached)) {
+      this.store(mintUrl, cached);
+      return cached;
+    }
+
+    if (!this.refreshing.has(mintUrl)) {
+      const refresh = Promise.resolve()
+        .then(fetchInfo)
+        .then(info => {
+          const entry = {
+            info,
+            supportedNuts: this.getSupportedNuts(info),
+            fetchedAt: Date.now()
+          };
+          this.store(mintUrl, entry);
+          return entry;
+        })
+        .finally(() => this.refreshing.delete(mintUrl));
+
+      this.refreshing.set(mintUrl, refresh);
+    }
+
+    return this.refreshing.get(mintUrl);
+  }
+
+  /**
+   * Save an entry as the most recently used one and drop the least recently used
+   * entries beyond MINT_CACHE_SIZE
+   * @param {string} mintUrl - The mint URL
+   * @param {Object} entry - Registry entry
+   */
+  store(mintUrl, entry) {
+    this.entries.delete(mintUrl);
+    this.entries.set(mintUrl, entry);
+
+    for (const oldest of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(oldest);
+    }
+  }
+
+  /**
+   * List the NUTs a mint's info reports as supported
+   * @param {Object} info - NUT-06 mint info
+   * @returns {Array<number>} Supported NUT numbers, sorted
+   */
+  getSupportedNuts(info) {
+    const supported = new Set(MANDATORY_NUTS);
+    const nuts = (info && info.nuts) || {};
+
+    for (const [nut, settings] of Object.entries(nuts)) {
+      if (this.isNutEnabled(settings)) {
+        supported.add(parseInt(nut));
+      }
+    }
+
+    return [...supported].filter(nut => !isNaN(nut)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Check a single NUT settings object from the info. NUT-04/05 list methods and
+   * can be disabled, the optional NUTs have a `supported` flag.
+   * @param {Object} settings - Settings for one NUT
+   * @returns {boolean} Whether the NUT is enabled
+   */
+  isNutEnabled(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return false;
+    }
+    if (Array.isArray(settings.methods)) {
+      return settings.disabled !== true;
+    }
+    return Boolean(settings.supported);
+  }
+
+  /**
+   * Check whether a mint supports a NUT, optionally for a specific unit (NUT-04/05 methods)
+   * @param {Object} entry - Registry entry
+   * @param {number} nut - NUT number
+   * @param {string|null} unit - Unit the operation will use
+   * @returns {boolean} Whether the operation is supported
+   */
+  supports(entry, nut, unit = null) {
+    // Info without a `nuts` object says nothing about the mint's capabilities
+    if (!entry.info || !entry.info.nuts) {
+      return true;
+    }
+
+    if (!entry.supportedNuts.includes(nut)) {
+      return false;
+    }
+
+    const settings = entry.info.nuts[String(nut)];
+    if (unit && settings && Array.isArray(settings.methods) && settings.methods.length > 0) {
+      return settings.methods.some(method => method.method === 'bolt11' && method.unit === unit);
+    }
+
+    return true;
+  }
+
+  /**
+   * Describe a registry entry for API responses, including cache age
+   * @param {string} mintUrl - The mint URL
+   * @param {Object} entry - Registry entry
+   * @returns {Object} Mint info with cache metadata
+   */
+  describe(mintUrl, entry) {
+    const ageSeconds = Math.floor((Date.now() - entry.fetchedAt) / 1000);
+
+    return {
+      mint: mintUrl,
+      name: entry.info && entry.info.name ? entry.info.name : null,
+      version: entry.info && entry.info.version ? entry.info.version : null,
+      supportedNuts: entry.supportedNuts,
+      info: entry.info,
+      cache: {
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        ageSeconds,
+        ttlSeconds: this.ttlSeconds,
+        expiresIn: Math.max(0, this.ttlSeconds - ageSeconds)
+      }
+    };
+  }
+}
+
+module.exports = new MintRegistry();
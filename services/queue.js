@@ -0,0 +1,68 @@
+const { AsyncResource } = require('async_hooks');
+const logger = require('./logger');
+
+class RedemptionQueue {
+  constructor() {
+    this.concurrency = parseInt(process.env.REDEMPTION_CONCURRENCY) || 2;
+    this.maxQueueSize = parseInt(process.env.REDEMPTION_QUEUE_LIMIT) || 100;
+    this.pending = []; // Jobs waiting for a free worker
+    this.running = 0;
+  }
+
+  /**
+   * Check whether the queue can accept another job
+   * @returns {boolean} Whether a job can be enqueued
+   */
+  hasCapacity() {
+    return this.pending.length < this.maxQueueSize;
+  }
+
+  /**
+   * Add a job to the queue. Jobs run in order, at most `concurrency` at a time, in the
+   * async context they were enqueued from (so they log with the enqueuing request's context,
+   * not that of whichever request happens to free a worker).
+   * @param {Function} job - Async function to run
+   * @throws {Error} If the queue is full
+   */
+  enqueue(job) {
+    if (!this.hasCapacity()) {
+      throw new Error(`Redemption queue is full (${this.maxQueueSize} pending) - please try again later`);
+    }
+
+    this.pending.push(AsyncResource.bind(job));
+    this.runNext();
+  }
+
+  /**
+   * Start pending jobs while workers are available
+   */
+  runNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(job)
+        .catch(error => logger.error('Queued redemption job failed', error))
+        .finally(() => {
+          this.running--;
+          this.runNext();
+        });
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Queue stats
+   */
+  getStats() {
+    return {
+      running: this.running,
+      pending: this.pending.length,
+      concurrency: this.concurrency,
+      maxQueueSize: this.maxQueueSize
+    };
+  }
+}
+
+module.exports = new RedemptionQueue();
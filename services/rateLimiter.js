@@ -0,0 +1,123 @@
+const { createStore } = require('./storage');
+const logger = require('./logger');
+
+// Buckets refill over this window: a limit of N allows N requests per minute, with bursts up to N
+const WINDOW_SECONDS = 60;
+
+// Routes with their own limit - every other route uses RATE_LIMIT
+const ROUTE_GROUPS = [
+  { name: 'redeem', methods: ['POST'], paths: ['/api/redeem', '/api/redeem/batch', '/api/pay-invoice'], envVar: 'RATE_LIMIT_REDEEM', defaultLimit: 20 },
+  { name: 'decode', methods: ['POST'], paths: ['/api/decode', '/api/validate-address'], envVar: 'RATE_LIMIT_DECODE', defaultLimit: 60 },
+  { name: 'docs', prefix: '/docs', envVar: 'RATE_LIMIT_DOCS', defaultLimit: 300 }
+];
+
+class RateLimiter {
+  constructor() {
+    this.limits = { default: parseInt(process.env.RATE_LIMIT) || 100 };
+    for (const group of ROUTE_GROUPS) {
+      this.limits[group.name] = parseInt(process.env[group.envVar]) || group.defaultLimit;
+    }
+    // Buckets live in a store (RATE_LIMIT_STORE, memory or file) so that instances sharing
+    // STORAGE_PATH share their limits
+    this.buckets = createStore('rate-limits', process.env.RATE_LIMIT_STORE || 'memory');
+    this.evictionTimer = null;
+  }
+
+  /**
+   * Find the route group of a request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path
+   * @returns {string} Group name ('default' when no group matches)
+   */
+  getGroup(method, path) {
+    const group = ROUTE_GROUPS.find(candidate => candidate.prefix
+      ? path.startsWith(candidate.prefix)
+      : candidate.methods.includes(method) && candidate.paths.includes(path));
+    return group ? group.name : 'default';
+  }
+
+  /**
+   * Take a token from a client's bucket for a route group. Buckets hold up to `limit`
+   * tokens and refill at `limit` per minute.
+   * @param {string} clientId - Client identifier (IP address)
+   * @param {string} group - Route group
+   * @returns {Object} { allowed, limit, window, remaining, resetSeconds, retryAfter }
+   */
+  async consume(clientId, group) {
+    const limit = this.limits[group] || this.limits.default;
+    const refillPerMs = limit / (WINDOW_SECONDS * 1000);
+    const key = `${group}:${clientId}`;
+    const now = Date.now();
+
+    // Read and write the bucket in one transaction, so that concurrent requests (from any
+    // instance) each take their own token
+    const { allowed, tokens } = await this.buckets.transaction(async (buckets) => {
+      const bucket = await buckets.get(key);
+      let tokens = bucket
+        ? Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+        : limit;
+
+      const allowed = tokens >= 1;
+      if (allowed) {
+        tokens -= 1;
+      }
+
+      await buckets.set(key, { tokens, updatedAt: now });
+      return { allowed, tokens };
+    });
+
+    return {
+      allowed,
+      limit,
+      window: WINDOW_SECONDS,
+      remaining: Math.floor(tokens),
+      // Seconds until the bucket is full again
+      resetSeconds: Math.ceil((limit - tokens) / refillPerMs / 1000),
+      // Seconds until the next token is available
+      retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000)
+    };
+  }
+
+  /**
+   * Remove buckets that have been idle long enough to be full again - they hold
+   * nothing a fresh bucket would not
+   * @returns {number} Number of buckets removed
+   */
+  async evictIdle() {
+    const cutoff = Date.now() - WINDOW_SECONDS * 1000;
+
+    return await this.buckets.transaction(async (buckets) => {
+      let evicted = 0;
+      for (const [key, bucket] of await buckets.entries()) {
+        if (bucket.updatedAt <= cutoff) {
+          await buckets.delete(key);
+          evicted++;
+        }
+      }
+      return evicted;
+    });
+  }
+
+  /**
+   * Evict idle buckets periodically
+   * @param {number} intervalMs - Time between sweeps
+   */
+  startEviction(intervalMs = WINDOW_SECONDS * 1000) {
+    if (this.evictionTimer) {
+      return;
+    }
+
+    this.evictionTimer = setInterval(() => {
+      this.evictIdle()
+        .then(evicted => {
+          if (evicted > 0) {
+            logger.debug('Evicted idle rate limit buckets', { evicted });
+          }
+        })
+        .catch(error => logger.error('Error evicting rate limit buckets', error));
+    }, intervalMs);
+    this.evictionTimer.unref();
+  }
+}
+
+module.exports = new RateLimiter();
@@ -1,51 +1,145 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const cashuService = require('./cashu');
 const lightningService = require('./lightning');
+const redemptionQueue = require('./queue');
+const logger = require('./logger');
+const webhookService = require('./webhook');
+const apiKeyService = require('./apiKeys');
+const metrics = require('./metrics');
+const { createStore } = require('./storage');
 
-class RedemptionService {
+// Maximum number of invoice/melt quote rounds when the fee estimate is too low
+const MAX_QUOTE_ATTEMPTS = 3;
+
+// Maximum number of tokens in one batch redemption
+const MAX_BATCH_TOKENS = 50;
+
+// Statuses after which a redemption will not change anymore
+const TERMINAL_STATUSES = ['paid', 'failed', 'needs_review', 'partial'];
+
+/**
+ * Strip internal fields (quote IDs, proof secrets, preimages) from per-mint parts
+ * @param {Array} parts - Stored mint parts of a multi-mint redemption
+ * @param {boolean} includeSecrets - Keep the change token and success action
+ * @returns {Array} Parts safe to return from the API
+ */
+function publicMintParts(parts, includeSecrets = false) {
+  return parts.map(({ meltQuoteId, proofSecrets, proofsToSend, keptProofs, preimage, changeToken, successAction, ...part }) =>
+    (includeSecrets ? { ...part, changeToken, successAction } : part));
+}
+
+class RedemptionService extends EventEmitter {
   constructor() {
-    // In-memory storage for redemption status
-    // In production, use Redis or a proper database
-    this.redemptions = new Map();
-    this.tokenHashes = new Map(); // Map token hashes to redemption IDs
+    super();
+    this.setMaxListeners(0); // One listener per open SSE stream
+    // Storage backend is selected by STORAGE_BACKEND (memory or file)
+    this.redemptions = createStore('redemptions');
+    this.proofIndex = createStore('proofs'); // Map proof Ys to redemption IDs
+    // Token hashes of redemptions stored before proof Ys were indexed (emptied as they are cleaned up)
+    this.legacyTokenHashes = createStore('token-hashes');
+    this.settlementQueue = Promise.resolve();
+    // Redemptions this process is working on (queued or running) - recovery leaves them alone
+    this.inFlight = new Map(); // redeemId -> number of tasks holding it
+    // Instances that are running, with the time they last reported (see heartbeat)
+    this.instances = createStore('instances');
+    // Records are stamped with the instance running them, so recovery leaves other instances' work alone
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+    // Records of other instances are only recovered once they have not changed for this long
+    this.recoveryStaleMs = (parseInt(process.env.RECOVERY_STALE_MINUTES) || 10) * 60 * 1000;
   }
 
   /**
-   * Generate a simple hash for a token (for duplicate detection)
-   * @param {string} token - The Cashu token
-   * @returns {string} Hash of the token
+   * Get the NUT-00 Y points identifying a set of proofs. Unlike the encoded token, they do not
+   * change when the proofs are re-encoded (cashuA/cashuB), reordered or sent with another memo.
+   * @param {Array} proofs - Proofs
+   * @returns {Array<string>} Unique Y points
+   */
+  getProofYs(proofs) {
+    return [...new Set(proofs.map(proof => cashuService.getProofY(proof.secret)))];
+  }
+
+  /**
+   * Mark a redemption as being worked on by this process
+   * @param {string} redeemId - The redemption ID
+   */
+  markInFlight(redeemId) {
+    this.inFlight.set(redeemId, (this.inFlight.get(redeemId) || 0) + 1);
+  }
+
+  /**
+   * Undo a markInFlight call (the redemption stays in flight while other tasks still hold it)
+   * @param {string} redeemId - The redemption ID
    */
-  generateTokenHash(token) {
-    const crypto = require('crypto');
-    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+  unmarkInFlight(redeemId) {
+    const count = (this.inFlight.get(redeemId) || 0) - 1;
+    if (count > 0) {
+      this.inFlight.set(redeemId, count);
+    } else {
+      this.inFlight.delete(redeemId);
+    }
+  }
+
+  /**
+   * Record that this instance is running, so other instances sharing the storage leave its
+   * redemptions alone (should be called more often than RECOVERY_STALE_MINUTES)
+   */
+  async heartbeat() {
+    await this.instances.set(this.instanceId, { lastSeenAt: new Date().toISOString() });
   }
 
   /**
-   * Store redemption status
+   * Store redemption status and emit an 'update' event
    * @param {string} redeemId - The redemption ID
    * @param {Object} status - The redemption status object
    */
-  storeRedemption(redeemId, status) {
-    this.redemptions.set(redeemId, {
+  async storeRedemption(redeemId, status) {
+    // Keep the original creation time when a queued redemption starts processing
+    const existing = await this.redemptions.get(redeemId);
+    const redemption = {
+      ...existing,
       ...status,
-      createdAt: new Date().toISOString(),
+      instanceId: this.instanceId,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    });
+    };
+    await this.redemptions.set(redeemId, redemption);
+    this.recordFinalStatus(existing, redemption);
+    this.emit('update', redeemId, redemption);
   }
 
   /**
-   * Update redemption status
+   * Update redemption status and emit an 'update' event
    * @param {string} redeemId - The redemption ID
    * @param {Object} updates - Updates to apply
    */
-  updateRedemption(redeemId, updates) {
-    const existing = this.redemptions.get(redeemId);
+  async updateRedemption(redeemId, updates) {
+    const existing = await this.redemptions.get(redeemId);
     if (existing) {
-      this.redemptions.set(redeemId, {
+      const redemption = {
         ...existing,
         ...updates,
         updatedAt: new Date().toISOString()
-      });
+      };
+      await this.redemptions.set(redeemId, redemption);
+      this.recordFinalStatus(existing, redemption);
+      this.emit('update', redeemId, redemption);
+    }
+  }
+
+  /**
+   * Count a redemption in the metrics when it reaches a final status
+   * @param {Object|null} previous - The record before the change
+   * @param {Object} redemption - The record after the change
+   */
+  recordFinalStatus(previous, redemption) {
+    const wasFinal = previous && this.isTerminalStatus(previous.status);
+    if (!wasFinal && this.isTerminalStatus(redemption.status)) {
+      metrics.recordRedemption(redemption.status === 'failed' && !redemption.errorType
+        ? { ...redemption, errorType: this.getErrorType(redemption.error) }
+        : redemption);
     }
   }
 
@@ -54,37 +148,110 @@ class RedemptionService {
    * @param {string} redeemId - The redemption ID
    * @returns {Object|null} Redemption status or null if not found
    */
-  getRedemption(redeemId) {
-    return this.redemptions.get(redeemId) || null;
+  async getRedemption(redeemId) {
+    return await this.redemptions.get(redeemId);
+  }
+
+  /**
+   * Find a redemption that already holds any of these proofs. Failed redemptions release
+   * their proofs, so a token can be redeemed again after a failure.
+   * @param {Array} proofs - Proofs of the token being redeemed
+   * @param {string|null} exceptRedeemId - Redemption to ignore (the one claiming the proofs)
+   * @returns {Object|null} Existing redemption (with its redeemId) or null
+   */
+  async findRedemptionByProofs(proofs, exceptRedeemId = null) {
+    for (const Y of this.getProofYs(proofs)) {
+      const redeemId = await this.proofIndex.get(Y);
+      if (!redeemId || redeemId === exceptRedeemId) {
+        continue;
+      }
+
+      const redemption = await this.getRedemption(redeemId);
+      if (redemption && redemption.status !== 'failed') {
+        return { redeemId, ...redemption };
+      }
+    }
+    return null;
   }
 
   /**
-   * Get redemption ID by token hash
-   * @param {string} tokenHash - The token hash
-   * @returns {string|null} Redemption ID or null if not found
+   * Find a redemption stored before duplicate detection used proof Ys. Those were indexed by
+   * a hash of the token string, so only the exact same encoding is recognized.
+   * @param {string} token - The Cashu token
+   * @returns {Object|null} Existing redemption (with its redeemId) or null
    */
-  getRedemptionByTokenHash(tokenHash) {
-    const redeemId = this.tokenHashes.get(tokenHash);
-    return redeemId ? this.getRedemption(redeemId) : null;
+  async findLegacyRedemption(token) {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+    const redeemId = await this.legacyTokenHashes.get(tokenHash);
+    if (!redeemId) {
+      return null;
+    }
+
+    const redemption = await this.getRedemption(redeemId);
+    if (redemption && redemption.status !== 'failed') {
+      return { redeemId, ...redemption };
+    }
+    return null;
   }
 
   /**
-   * Check if a token has already been redeemed
+   * Find a redemption that already holds a token, by its proofs or by its legacy token hash
    * @param {string} token - The Cashu token
-   * @returns {Object|null} Existing redemption or null
+   * @param {Array} proofs - Proofs of the token
+   * @returns {Object|null} Existing redemption (with its redeemId) or null
+   */
+  async findExistingRedemption(token, proofs) {
+    return await this.findRedemptionByProofs(proofs) || await this.findLegacyRedemption(token);
+  }
+
+  /**
+   * Release proofs claimed by a redemption, unless another redemption has claimed them since
+   * @param {string} redeemId - The redemption ID
+   * @param {Array<string>} proofYs - Y points of the proofs
    */
-  checkExistingRedemption(token) {
-    const tokenHash = this.generateTokenHash(token);
-    return this.getRedemptionByTokenHash(tokenHash);
+  async releaseProofs(redeemId, proofYs) {
+    await this.proofIndex.transaction(async (index) => {
+      for (const Y of proofYs) {
+        if (await index.get(Y) === redeemId) {
+          await index.delete(Y);
+        }
+      }
+    });
+  }
+
+  /**
+   * Claim proofs for a redemption so no other redemption can use them. Claims run in a
+   * transaction on the proof index, so two concurrent requests for the same proofs cannot
+   * both pass the check - not even on two instances sharing file storage.
+   * @param {string} redeemId - The redemption ID
+   * @param {Array} proofs - Proofs to claim
+   * @returns {Array<string>} Y points of the claimed proofs
+   * @throws {Error} If another redemption already holds any of the proofs
+   */
+  async claimProofs(redeemId, proofs) {
+    return await this.proofIndex.transaction(async (index) => {
+      const existing = await this.findRedemptionByProofs(proofs, redeemId);
+      if (existing) {
+        throw new Error('Token has already been redeemed');
+      }
+
+      const proofYs = this.getProofYs(proofs);
+      for (const Y of proofYs) {
+        await index.set(Y, redeemId);
+      }
+      return proofYs;
+    });
   }
 
   /**
    * Validate redemption request
    * @param {string} token - The Cashu token
    * @param {string} lightningAddress - The Lightning address (optional)
+   * @param {string} comment - Comment for the recipient (optional)
+   * @param {Object|null} apiKey - API key the request was made with (its default address is used first)
    * @returns {Object} Validation result
    */
-  async validateRedemptionRequest(token, lightningAddress) {
+  async validateRedemptionRequest(token, lightningAddress, comment, apiKey = null) {
     const errors = [];
 
     // Validate token format
@@ -92,290 +259,1833 @@ class RedemptionService {
       errors.push('Token is required and must be a string');
     }
 
+    // Comment length is checked against the provider's commentAllowed during redemption
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      errors.push('Comment must be a string');
+    }
+
     // Lightning address is now optional - we'll use default if not provided
+    // Accepts Lightning addresses, bech32 LNURLs and lightning: URIs
     let addressToUse = null;
     try {
-      addressToUse = lightningService.getLightningAddressToUse(lightningAddress);
-      
-      if (!lightningService.validateLightningAddress(addressToUse)) {
-        errors.push('Invalid Lightning address format');
-      }
+      addressToUse = lightningService.getLightningAddressToUse(lightningAddress, apiKey && apiKey.defaultLightningAddress);
+      lightningService.parseDestination(addressToUse);
     } catch (error) {
-      errors.push(error.message);
+      errors.push(error.message === 'Invalid Lightning address or LNURL'
+        ? 'Invalid Lightning address format'
+        : error.message);
+    }
+
+    // Try to parse token
+    let tokenData = null;
+    let errorType = null;
+    if (token && errors.length === 0) {
+      try {
+        tokenData = await cashuService.parseToken(token);
+        if (tokenData.totalAmount <= 0) {
+          errors.push('Token has no value');
+        }
+      } catch (error) {
+        errors.push(`Invalid token: ${error.message}`);
+      }
     }
 
-    // Check for existing redemption
-    if (token) {
-      const existing = this.checkExistingRedemption(token);
+    // Check for an existing redemption holding any of the token's proofs
+    let originalRedeemId = null;
+    if (tokenData) {
+      const existing = await this.findExistingRedemption(token, tokenData.proofs);
       if (existing) {
         errors.push('Token has already been redeemed');
+        errorType = 'token_already_redeemed';
+        originalRedeemId = this.canViewSecrets(existing, apiKey) ? existing.redeemId : null;
       }
     }
 
-    // Try to parse token
+    // Check the token's mints against the mint policy and their maximum amounts
+    if (tokenData && !errorType) {
+      try {
+        await this.checkTokenMints(tokenData);
+      } catch (error) {
+        errors.push(error.message);
+        errorType = 'mint_not_allowed';
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      errorType,
+      originalRedeemId,
+      tokenData,
+      lightningAddressToUse: addressToUse
+    };
+  }
+
+  /**
+   * Check a parsed token's mints against the mint policy and the per-mint maximum amounts
+   * (MINT_MAX_AMOUNTS) before a redemption is accepted. If the units or prices cannot be looked
+   * up, the amounts are left to the checks the redemption itself runs.
+   * @param {Object} tokenData - Parsed token data (units are resolved in place)
+   * @throws {Error} "Mint not allowed: ..." if a mint is rejected or an amount is over its maximum
+   */
+  async checkTokenMints(tokenData) {
+    cashuService.checkMintPolicy(tokenData);
+
+    try {
+      await cashuService.resolveUnits(tokenData);
+      await cashuService.checkMintAmounts(tokenData);
+    } catch (error) {
+      if (error.message.startsWith('Mint not allowed')) {
+        throw error;
+      }
+      logger.warn('Mint amount check failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Validate batch redemption request
+   * @param {Array} tokens - The Cashu tokens
+   * @param {string} lightningAddress - The Lightning address or LNURL (optional)
+   * @param {string} comment - Comment for the recipient (optional)
+   * @param {Object|null} apiKey - API key the request was made with (its default address is used first)
+   * @returns {Object} Validation result
+   */
+  validateBatchRequest(tokens, lightningAddress, comment, apiKey = null) {
+    const errors = [];
+
+    if (!Array.isArray(tokens) || tokens.length === 0) {
+      errors.push('Tokens are required and must be a non-empty array');
+    } else if (tokens.length > MAX_BATCH_TOKENS) {
+      errors.push(`Too many tokens - at most ${MAX_BATCH_TOKENS} can be redeemed in one batch`);
+    } else if (tokens.some(token => !token || typeof token !== 'string')) {
+      errors.push('Every token must be a non-empty string');
+    }
+
+    if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+      errors.push('Comment must be a string');
+    }
+
+    let addressToUse = null;
+    try {
+      addressToUse = lightningService.getLightningAddressToUse(lightningAddress, apiKey && apiKey.defaultLightningAddress);
+      lightningService.parseDestination(addressToUse);
+    } catch (error) {
+      errors.push(error.message === 'Invalid Lightning address or LNURL'
+        ? 'Invalid Lightning address format'
+        : error.message);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      lightningAddressToUse: addressToUse
+    };
+  }
+
+  /**
+   * Validate an invoice payment request
+   * @param {string} token - The Cashu token
+   * @param {string} invoice - The BOLT11 invoice
+   * @param {Object|null} apiKey - API key the request was made with
+   * @returns {Object} Validation result
+   */
+  async validateInvoicePaymentRequest(token, invoice, apiKey = null) {
+    const errors = [];
+
+    // Validate token format
+    if (!token || typeof token !== 'string') {
+      errors.push('Token is required and must be a string');
+    }
+
+    // Decode the invoice (checks format, amount and expiry)
+    let invoiceData = null;
+    try {
+      invoiceData = lightningService.decodeInvoice(invoice);
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    // Try to parse token and make sure it can cover at least the invoice amount
     let tokenData = null;
     if (token && errors.length === 0) {
       try {
         tokenData = await cashuService.parseToken(token);
-        if (tokenData.totalAmount <= 0) {
-          errors.push('Token has no value');
+        if (tokenData.multiMint) {
+          errors.push('Token contains proofs from several mints - an invoice can only be paid from a single mint');
+        } else if (tokenData.unit === 'sat' && tokenData.totalAmount < invoiceData.amount) {
+          // Only comparable up front for sat tokens - other units are checked against the melt quote
+          errors.push(`Token amount (${tokenData.totalAmount} sats) is insufficient to pay the invoice (${invoiceData.amount} sats)`);
         }
       } catch (error) {
         errors.push(`Invalid token: ${error.message}`);
       }
     }
 
+    // Check for an existing redemption holding any of the token's proofs
+    let errorType = null;
+    let originalRedeemId = null;
+    if (tokenData) {
+      const existing = await this.findExistingRedemption(token, tokenData.proofs);
+      if (existing) {
+        errors.push('Token has already been redeemed');
+        errorType = 'token_already_redeemed';
+        originalRedeemId = this.canViewSecrets(existing, apiKey) ? existing.redeemId : null;
+      }
+    }
+
+    // Check the token's mint against the mint policy and its maximum amount
+    if (tokenData && !errorType) {
+      try {
+        await this.checkTokenMints(tokenData);
+      } catch (error) {
+        errors.push(error.message);
+        errorType = 'mint_not_allowed';
+      }
+    }
+
     return {
       valid: errors.length === 0,
       errors,
+      errorType,
+      originalRedeemId,
       tokenData,
-      lightningAddressToUse: addressToUse
+      invoiceData
     };
   }
 
   /**
    * Perform the complete redemption process
    * @param {string} token - The Cashu token
-   * @param {string} lightningAddress - The Lightning address (optional)
+   * @param {string} lightningAddress - The Lightning address or LNURL (optional)
+   * @param {string} comment - Comment for the recipient (optional, must fit the provider's commentAllowed)
+   * @param {string} redeemId - Redemption ID (optional, set when the redemption was queued)
+   * @param {Object|null} apiKey - API key the redemption was requested with (optional)
    * @returns {Object} Redemption result
    */
-  async performRedemption(token, lightningAddress) {
-    const redeemId = uuidv4();
-    const tokenHash = this.generateTokenHash(token);
+  async performRedemption(token, lightningAddress, comment = null, redeemId = uuidv4(), apiKey = null) {
+    logger.addContext({ redeemId });
+    this.markInFlight(redeemId);
 
     try {
-      // Determine which Lightning address to use
-      const lightningAddressToUse = lightningService.getLightningAddressToUse(lightningAddress);
+      // Determine which destination to use
       const isUsingDefault = !lightningAddress || !lightningAddress.trim();
+      const destination = lightningService.parseDestination(
+        lightningService.getLightningAddressToUse(lightningAddress, apiKey && apiKey.defaultLightningAddress)
+      );
+      const lightningAddressToUse = destination.destination;
 
-      // Store initial status
-      this.storeRedemption(redeemId, {
-        status: 'processing',
-        token: token.substring(0, 50) + '...', // Store partial token for reference
-        tokenHash,
+      // Step 1: Store initial status, parse the token and check it is spendable
+      const tokenData = await this.startRedemption(redeemId, token, {
+        destinationType: destination.type,
         lightningAddress: lightningAddressToUse,
         usingDefaultAddress: isUsingDefault,
-        amount: null,
-        paid: false,
-        error: null
+        comment: comment || null,
+        apiKeyId: apiKey ? apiKey.id : null
       });
 
-      // Also map token hash to redemption ID
-      this.tokenHashes.set(tokenHash, redeemId);
+      // Step 2: Resolve the Lightning address once (LNURLp metadata is reused for every invoice)
+      await this.updateRedemption(redeemId, { status: 'resolving_invoice' });
+      const payRequest = await lightningService.resolvePayRequest(lightningAddressToUse);
 
-      // Step 1: Parse and validate token
-      this.updateRedemption(redeemId, { status: 'parsing_token' });
-      const tokenData = await cashuService.parseToken(token);
+      // Reject comments the provider would not accept instead of trimming them
+      lightningService.validateComment(payRequest, comment);
 
-      this.updateRedemption(redeemId, { 
-        amount: tokenData.totalAmount,
-        mint: tokenData.mint,
-        numProofs: tokenData.numProofs,
-        format: tokenData.format
-      });
+      // Tokens with proofs from several mints are paid with one invoice per mint
+      if (tokenData.multiMint) {
+        const result = await this.redeemMintParts(redeemId, tokenData, payRequest, comment, apiKey);
+        return {
+          ...result,
+          to: lightningAddressToUse,
+          destinationType: destination.type,
+          usingDefaultAddress: isUsingDefault,
+          format: tokenData.format
+        };
+      }
 
-      // Check if token is spendable
-      this.updateRedemption(redeemId, { status: 'checking_spendability' });
-      try {
-        const spendabilityCheck = await cashuService.checkTokenSpendable(token);
-        if (!spendabilityCheck.spendable || spendabilityCheck.spendable.length === 0) {
-          throw new Error('Token proofs are not spendable - they have already been used or are invalid');
-        }
-      } catch (spendError) {
-        // Check if the error indicates tokens are already spent (422 status)
-        if (spendError.message.includes('not spendable') || 
-            spendError.message.includes('already been used') ||
-            spendError.message.includes('invalid proofs') ||
-            spendError.message.includes('422')) {
-          // This is likely an already-spent token - fail the redemption with clear message
-          throw new Error('This token has already been spent and cannot be redeemed again');
-        }
-        // For other errors, log but continue - some mints might not support this check
-        console.warn('Spendability check failed:', spendError.message);
-        console.log('Continuing with redemption despite spendability check failure...');
-      }
-
-      // Step 2: Get melt quote first to determine exact fees
-      this.updateRedemption(redeemId, { status: 'getting_melt_quote' });
-      
-      // Create a temporary invoice to get the melt quote (we'll create the real one after)
-      console.log(`Getting melt quote for ${tokenData.totalAmount} sats to determine exact fees`);
-      const tempInvoiceData = await lightningService.resolveInvoice(
-        lightningAddressToUse, 
-        tokenData.totalAmount, // Use full amount initially
-        'Cashu redemption'
-      );
-      
-      // Get melt quote to determine exact fee
-      const meltQuote = await cashuService.getMeltQuote(token, tempInvoiceData.bolt11);
+      // Step 3: Get an invoice for the estimated net amount and a melt quote for it
+      await this.updateRedemption(redeemId, { status: 'getting_melt_quote' });
+      const { invoiceData, meltQuote } = await this.quoteRedemption(tokenData.mint, tokenData.totalAmount, payRequest, comment, tokenData.unit);
       const exactFee = meltQuote.fee_reserve;
-      const finalInvoiceAmount = tokenData.totalAmount - exactFee;
-      
-      console.log(`Melt quote: amount=${meltQuote.amount}, fee=${exactFee}, net to user=${finalInvoiceAmount}`);
-      
-      // Step 3: Create final invoice for the correct amount (total - exact fee)
-      this.updateRedemption(redeemId, { status: 'resolving_invoice' });
-      
-      if (finalInvoiceAmount <= 0) {
-        throw new Error(`Token amount (${tokenData.totalAmount} sats) is insufficient to cover the fee (${exactFee} sats)`);
-      }
-      
-      console.log(`Creating final invoice for ${finalInvoiceAmount} sats (${tokenData.totalAmount} - ${exactFee} fee)`);
-      
-      const invoiceData = await lightningService.resolveInvoice(
-        lightningAddressToUse, 
-        finalInvoiceAmount, // Use amount minus exact fee
-        'Cashu redemption'
-      );
+      const finalInvoiceAmount = invoiceData.amount;
 
-      this.updateRedemption(redeemId, { 
+      await this.updateRedemption(redeemId, { 
         bolt11: invoiceData.bolt11.substring(0, 50) + '...',
         domain: invoiceData.domain,
         invoiceAmount: finalInvoiceAmount,
         exactFee: exactFee
       });
 
-      // Verify the invoice is valid and for the correct amount
-      const invoiceVerified = lightningService.verifyInvoiceDestination(invoiceData.bolt11, lightningAddressToUse, finalInvoiceAmount);
-      if (!invoiceVerified) {
-        throw new Error('Invoice verification failed - invalid invoice or amount mismatch');
-      }
-
-      // Step 4: Melt the token to pay the invoice
-      this.updateRedemption(redeemId, { status: 'melting_token' });
-      const meltResult = await cashuService.meltToken(token, invoiceData.bolt11);
-
-      // Log melt result for debugging
-      console.log(`Redemption ${redeemId}: Melt result:`, {
-        paid: meltResult.paid,
-        hasPreimage: !!meltResult.preimage,
-        amount: meltResult.amount,
-        fee: meltResult.fee
-      });
+      // Step 4: Melt the token to pay the invoice, reusing the melt quote
+      const meltResult = await this.meltWithinQuota(apiKey, finalInvoiceAmount, () =>
+        this.meltRedemption(redeemId, tokenData.mint, tokenData.proofs, invoiceData.bolt11, meltQuote, invoiceData.verify)
+      );
 
-      // Determine if payment was successful
-      // Consider it successful if we have a preimage, even if 'paid' flag is unclear
-      const paymentSuccessful = meltResult.paid || !!meltResult.preimage;
+      // Step 5: Handle the recipient's successAction (message, url or AES-encrypted receipt)
+      const successAction = meltResult.paid
+        ? lightningService.processSuccessAction(invoiceData.successAction, meltResult.preimage)
+        : null;
 
-      // Step 4: Update final status
-      this.updateRedemption(redeemId, {
-        status: paymentSuccessful ? 'paid' : 'failed',
-        paid: paymentSuccessful,
-        preimage: meltResult.preimage,
-        fee: meltResult.fee,
-        actualFee: meltResult.actualFee,
-        netAmount: meltResult.netAmount,
-        change: meltResult.change,
-        paidAt: paymentSuccessful ? new Date().toISOString() : null,
-        rawMeltResponse: meltResult.rawMeltResponse // Store for debugging
-      });
+      if (successAction) {
+        await this.updateRedemption(redeemId, { successAction });
+      }
 
       return {
         success: true,
         redeemId,
-        paid: paymentSuccessful,
+        status: meltResult.status,
+        paid: meltResult.paid,
+        settlementVerified: meltResult.settlementVerified,
+        reviewReason: meltResult.reviewReason,
         amount: tokenData.totalAmount,
-        invoiceAmount: finalInvoiceAmount, // Amount actually sent in the invoice
+        unit: tokenData.unit,
+        invoiceAmount: finalInvoiceAmount, // Amount actually sent in the invoice (sats)
         to: lightningAddressToUse,
+        destinationType: destination.type,
         usingDefaultAddress: isUsingDefault,
         fee: exactFee, // Use the exact fee from the melt quote
         actualFee: meltResult.actualFee,
         netAmount: finalInvoiceAmount, // This is the net amount the user receives
         preimage: meltResult.preimage,
-        change: meltResult.change,
+        changeToken: meltResult.changeToken,
+        changeAmount: meltResult.changeAmount,
+        successAction,
         mint: tokenData.mint,
         format: tokenData.format
       };
 
     } catch (error) {
-      // Update redemption with error
-      this.updateRedemption(redeemId, {
-        status: 'failed',
-        paid: false,
-        error: error.message
-      });
-
-      return {
-        success: false,
-        redeemId,
-        error: error.message
-      };
+      return await this.failRedemption(redeemId, error);
+    } finally {
+      this.unmarkInFlight(redeemId);
     }
   }
 
   /**
-   * Get redemption status for API response
+   * Redeem a multi-mint token: each mint's proofs are melted with their own invoice and the
+   * results are added up. Per-mint progress is stored in `mintParts` so that every part can be
+   * reconciled after a crash.
    * @param {string} redeemId - The redemption ID
-   * @returns {Object|null} Status response or null if not found
+   * @param {Object} tokenData - Parsed token data (with more than one entry in `mints`)
+   * @param {Object} payRequest - Resolved LNURLp pay request
+   * @param {string|null} comment - Comment for the recipient
+   * @param {Object|null} apiKey - API key the redemption was requested with (its sat volume is reserved per part)
+   * @returns {Object} Redemption result with a per-mint breakdown in `mints`
    */
-  getRedemptionStatus(redeemId) {
-    const redemption = this.getRedemption(redeemId);
-    
-    if (!redemption) {
-      return null;
-    }
+  async redeemMintParts(redeemId, tokenData, payRequest, comment = null, apiKey = null) {
+    const parts = tokenData.mints.map(entry => ({
+      mint: entry.mint,
+      amount: entry.amount,
+      unit: entry.unit,
+      status: 'pending',
+      paid: false,
+      error: null
+    }));
 
-    const response = {
-      success: true,
-      status: redemption.status,
-      details: {
-        amount: redemption.amount,
-        to: redemption.lightningAddress,
-        paid: redemption.paid,
-        createdAt: redemption.createdAt,
-        updatedAt: redemption.updatedAt
-      }
+    const savePart = async (index, updates, status = undefined) => {
+      Object.assign(parts[index], updates);
+      await this.updateRedemption(redeemId, status ? { status, mintParts: parts } : { mintParts: parts });
     };
 
-    if (redemption.paidAt) {
-      response.details.paidAt = redemption.paidAt;
-    }
+    await this.updateRedemption(redeemId, { mintParts: parts });
+    const settlementChecks = [];
 
-    if (redemption.fee) {
-      response.details.fee = redemption.fee;
-    }
+    for (const [index, entry] of tokenData.mints.entries()) {
+      try {
+        await savePart(index, { status: 'getting_melt_quote' }, 'getting_melt_quote');
+        const { invoiceData, meltQuote } = await this.quoteRedemption(entry.mint, entry.amount, payRequest, comment, entry.unit);
 
-    if (redemption.error) {
-      response.details.error = redemption.error;
-    }
+        // Save the quote and proof secrets first so an interrupted melt can be reconciled on restart
+        await savePart(index, {
+          status: 'melting_token',
+          invoiceAmount: invoiceData.amount,
+          fee: meltQuote.fee_reserve,
+          meltQuoteId: meltQuote.quote,
+          proofSecrets: entry.proofs.map(proof => proof.secret)
+        }, 'melting_token');
 
-    if (redemption.mint) {
-      response.details.mint = redemption.mint;
+        // Save the proofs left after a swap during proof selection (see meltRedemption)
+        const saveSelectedProofs = ({ send, keep }) => savePart(index, {
+          proofSecrets: send.map(proof => proof.secret),
+          proofsToSend: send,
+          keptProofs: keep
+        });
+
+        const { meltResult, paymentSuccessful, settlement, status, settlementCheck } = await this.meltWithinQuota(apiKey, invoiceData.amount, () =>
+          this.executeMelt(redeemId, entry.mint, entry.proofs, invoiceData.bolt11, meltQuote, invoiceData.verify, saveSelectedProofs)
+        );
+
+        await savePart(index, {
+          status,
+          paid: paymentSuccessful,
+          settlementVerified: settlement.settlementVerified,
+          preimage: meltResult.preimage,
+          actualFee: meltResult.actualFee,
+          changeToken: meltResult.changeToken,
+          changeAmount: meltResult.changeAmount,
+          successAction: paymentSuccessful
+            ? lightningService.processSuccessAction(invoiceData.successAction, meltResult.preimage)
+            : null,
+          error: settlement.reviewReason,
+          paidAt: paymentSuccessful ? new Date().toISOString() : null
+        });
+        settlementChecks.push([settlementCheck, index]);
+      } catch (error) {
+        logger.error('Melting proofs from mint failed', { mint: entry.mint, error: error.message });
+        const meltOutcome = error.meltOutcome || { status: 'failed', changeToken: null, changeAmount: null };
+        await savePart(index, {
+          status: meltOutcome.status,
+          paid: false,
+          changeToken: meltOutcome.changeToken,
+          changeAmount: meltOutcome.changeAmount,
+          error: error.message
+        });
+        // The rest of the redemption may be paid - free this mint's proofs so they can be redeemed again
+        if (meltOutcome.status === 'failed') {
+          await this.releaseProofs(redeemId, this.getProofYs(entry.proofs));
+        }
+      }
     }
 
-    if (redemption.domain) {
-      response.details.domain = redemption.domain;
+    const outcome = this.combineMintParts(parts);
+    const paidParts = parts.filter(part => part.paid);
+    const invoiceAmount = paidParts.reduce((sum, part) => sum + part.invoiceAmount, 0);
+    // Token-unit totals only add up when every mint uses the same unit (see `mints` otherwise)
+    const sameUnit = tokenData.unit !== null;
+    const fee = sameUnit ? paidParts.reduce((sum, part) => sum + part.fee, 0) : null;
+    // Change of paid parts and proofs returned by parts whose melt failed after proof selection
+    const changeToken = cashuService.mergeTokens(parts.map(part => part.changeToken));
+    const changeAmount = sameUnit ? parts.reduce((sum, part) => sum + (part.changeAmount || 0), 0) : null;
+
+    await this.updateRedemption(redeemId, {
+      ...outcome,
+      mintParts: parts,
+      invoiceAmount,
+      fee,
+      changeToken,
+      changeAmount,
+      paidAt: outcome.paid ? new Date().toISOString() : null
+    });
+    // Started after the final update, which would otherwise overwrite their results
+    settlementChecks.forEach(([check, index]) => this.scheduleSettlementCheck(redeemId, check, index));
+
+    if (outcome.status === 'failed') {
+      return {
+        success: false,
+        redeemId,
+        status: 'failed',
+        error: outcome.error,
+        changeToken,
+        changeAmount,
+        mints: publicMintParts(parts)
+      };
     }
 
-    return response;
+    return {
+      success: true,
+      redeemId,
+      status: outcome.status,
+      paid: outcome.paid,
+      settlementVerified: parts.every(part => part.settlementVerified === true)
+        ? true
+        : (parts.some(part => part.settlementVerified === false) ? false : null),
+      reviewReason: outcome.status === 'paid' ? null : outcome.error,
+      amount: sameUnit ? tokenData.totalAmount : null,
+      unit: tokenData.unit,
+      invoiceAmount,
+      fee,
+      actualFee: sameUnit ? paidParts.reduce((sum, part) => sum + (part.actualFee || 0), 0) : null,
+      netAmount: invoiceAmount,
+      changeToken,
+      changeAmount,
+      mint: tokenData.mint,
+      mints: publicMintParts(parts, true)
+    };
   }
 
   /**
-   * Get all redemptions (for admin/debugging)
-   * @returns {Array} All redemptions
+   * Combine the outcomes of a multi-mint redemption's parts into one status
+   * @param {Array} parts - Mint parts with their final status
+   * @returns {Object} { status, paid, error }
    */
-  getAllRedemptions() {
-    return Array.from(this.redemptions.entries()).map(([id, data]) => ({
-      redeemId: id,
-      ...data
-    }));
+  combineMintParts(parts) {
+    const paidCount = parts.filter(part => part.status === 'paid').length;
+    const failedCount = parts.filter(part => part.status === 'failed').length;
+    const errors = parts
+      .filter(part => part.error)
+      .map(part => `${part.mint}: ${part.error}`)
+      .join('; ');
+
+    let status = 'partial';
+    if (paidCount === parts.length) {
+      status = 'paid';
+    } else if (failedCount === parts.length) {
+      status = 'failed';
+    } else if (parts.some(part => part.status === 'needs_review')) {
+      status = 'needs_review';
+    }
+
+    return {
+      status,
+      paid: parts.some(part => part.paid),
+      error: errors || null
+    };
   }
 
   /**
-   * Clean up old redemptions (should be called periodically)
-   * @param {number} maxAgeMs - Maximum age in milliseconds
+   * Queue a redemption to run in the background and return its ID immediately
+   * @param {string} token - The Cashu token
+   * @param {string} lightningAddress - The Lightning address or LNURL (optional)
+   * @param {string} comment - Comment for the recipient (optional)
+   * @param {string|null} callbackUrl - URL to POST a signed webhook to when the redemption finishes (optional)
+   * @param {Object|null} apiKey - API key the redemption was requested with (optional)
+   * @param {string} redeemId - Redemption ID (optional, set for requests with an Idempotency-Key)
+   * @returns {Object} Queued redemption ({ redeemId, status })
+   * @throws {Error} If the queue is full or another redemption already holds the token's proofs
    */
-  cleanupOldRedemptions(maxAgeMs = 24 * 60 * 60 * 1000) { // 24 hours default
-    const cutoff = new Date(Date.now() - maxAgeMs);
-    
-    for (const [redeemId, redemption] of this.redemptions.entries()) {
-      const createdAt = new Date(redemption.createdAt);
-      if (createdAt < cutoff) {
-        this.redemptions.delete(redeemId);
-        // Also clean up token hash mapping
-        if (redemption.tokenHash) {
-          this.tokenHashes.delete(redemption.tokenHash);
-        }
+  async queueRedemption(token, lightningAddress, comment = null, callbackUrl = null, apiKey = null, redeemId = uuidv4()) {
+    if (!redemptionQueue.hasCapacity()) {
+      throw new Error('Redemption queue is full - please try again later');
+    }
+
+    // Claim the proofs right away so the same token cannot be queued twice
+    const tokenData = await cashuService.parseToken(token);
+    const proofYs = await this.claimProofs(redeemId, tokenData.proofs);
+    // In flight from now on - waiting jobs must not be picked up by recovery
+    this.markInFlight(redeemId);
+
+    await this.storeRedemption(redeemId, {
+      status: 'queued',
+      mode: 'async',
+      token: token.substring(0, 50) + '...',
+      proofYs,
+      lightningAddress: lightningAddress || null,
+      callbackUrl,
+      apiKeyId: apiKey ? apiKey.id : null,
+      amount: null,
+      paid: false,
+      error: null
+    });
+
+    // Queued jobs get their own log context - they outlive the request
+    try {
+      redemptionQueue.enqueue(() => logger.withContext({ redeemId }, async () => {
+        try {
+          await this.performRedemption(token, lightningAddress, comment, redeemId, apiKey);
+        } finally {
+          this.unmarkInFlight(redeemId);
+        }
+
+        if (callbackUrl) {
+          // Delivered outside the worker slot - retries with backoff must not hold up redemptions
+          this.sendWebhook(redeemId, callbackUrl)
+            .catch(error => logger.error('Webhook delivery failed', error));
+        }
+      }));
+    } catch (error) {
+      // The queue filled up since the capacity check - forget the redemption so the token can be retried
+      this.unmarkInFlight(redeemId);
+      await this.redemptions.delete(redeemId);
+      await this.releaseProofs(redeemId, proofYs);
+      throw error;
+    }
+
+    return { redeemId, status: 'queued' };
+  }
+
+  /**
+   * Deliver the final redemption status to the caller's callback URL and record the outcome
+   * @param {string} redeemId - The redemption ID
+   * @param {string} callbackUrl - The callback URL
+   */
+  async sendWebhook(redeemId, callbackUrl) {
+    // The callback URL was chosen by the caller who redeemed, so it gets the change token
+    const statusResponse = await this.getRedemptionStatus(redeemId, true);
+
+    const delivery = await webhookService.deliver(callbackUrl, {
+      event: 'redemption.completed',
+      redeemId,
+      status: statusResponse.status,
+      details: statusResponse.details,
+      timestamp: new Date().toISOString()
+    });
+
+    await this.updateRedemption(redeemId, {
+      webhook: {
+        delivered: delivery.delivered,
+        attempts: delivery.attempts,
+        error: delivery.error,
+        deliveredAt: delivery.delivered ? new Date().toISOString() : null
+      }
+    });
+  }
+
+  /**
+   * Redeem several tokens to one destination. Proofs are grouped by mint and each mint's
+   * proofs are melted into a single invoice, so the routing fee is paid once per mint.
+   * Every mint group is stored as its own redemption record, linked by batchId.
+   * @param {Array} tokens - The Cashu tokens
+   * @param {string} lightningAddress - The Lightning address or LNURL (optional)
+   * @param {string} comment - Comment for the recipient (optional)
+   * @param {Object|null} apiKey - API key the batch was requested with (optional)
+   * @returns {Object} Batch result with per-mint and per-token outcomes
+   */
+  async performBatchRedemption(tokens, lightningAddress, comment = null, apiKey = null) {
+    const batchId = uuidv4();
+    logger.addContext({ batchId });
+    const isUsingDefault = !lightningAddress || !lightningAddress.trim();
+    const destination = lightningService.parseDestination(
+      lightningService.getLightningAddressToUse(lightningAddress, apiKey && apiKey.defaultLightningAddress)
+    );
+
+    // Per-token outcome, filled in as the batch progresses
+    const tokenResults = tokens.map((token, index) => ({
+      index,
+      status: 'pending',
+      redeemId: null,
+      mint: null,
+      amount: null,
+      unit: null,
+      error: null
+    }));
+
+    // Step 1: Parse every token and group them by mint
+    const groups = new Map();
+    const seenYs = new Set();
+
+    for (const [index, token] of tokens.entries()) {
+      const result = tokenResults[index];
+
+      try {
+        const tokenData = await cashuService.parseToken(token);
+
+        // Tokens overlap when they share any proof, however they are encoded
+        const proofYs = this.getProofYs(tokenData.proofs);
+        if (proofYs.some(Y => seenYs.has(Y))) {
+          throw new Error('Duplicate token in batch');
+        }
+        proofYs.forEach(Y => seenYs.add(Y));
+
+        if (await this.findExistingRedemption(token, tokenData.proofs)) {
+          throw new Error('Token has already been redeemed');
+        }
+
+        result.mint = tokenData.mint;
+        result.amount = tokenData.totalAmount;
+        cashuService.checkMintPolicy(tokenData);
+        await cashuService.resolveUnits(tokenData);
+        await cashuService.checkMintAmounts(tokenData);
+        result.unit = tokenData.unit;
+
+        // A multi-mint token joins the group of every mint it holds proofs from.
+        // Proofs in different units cannot be melted together, so groups are per mint and unit.
+        for (const entry of tokenData.mints) {
+          const groupKey = `${entry.mint}|${entry.unit}`;
+          if (!groups.has(groupKey)) {
+            groups.set(groupKey, { mint: entry.mint, unit: entry.unit, tokens: [] });
+          }
+          groups.get(groupKey).tokens.push({
+            index,
+            tokenData: { totalAmount: entry.amount, proofs: entry.proofs }
+          });
+        }
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+    }
+
+    // Step 2: Resolve the destination once for all mints
+    let payRequest = null;
+    let resolveError = null;
+    if (groups.size > 0) {
+      try {
+        payRequest = await lightningService.resolvePayRequest(destination.destination);
+        lightningService.validateComment(payRequest, comment);
+      } catch (error) {
+        resolveError = error;
+      }
+    }
+
+    // Step 3: Redeem each mint's proofs with a single invoice
+    const mintResults = [];
+    for (const group of groups.values()) {
+      if (resolveError) {
+        for (const { index } of group.tokens) {
+          tokenResults[index].status = 'failed';
+          tokenResults[index].error = resolveError.message;
+        }
+        continue;
+      }
+
+      // Each mint group logs under its own redeemId
+      mintResults.push(await logger.withContext({ batchId }, () =>
+        this.redeemMintGroup(batchId, group, destination, isUsingDefault, payRequest, comment, tokenResults, apiKey)
+      ));
+    }
+
+    const redeemed = mintResults.filter(result => result.paid);
+    const invoiceAmount = redeemed.reduce((sum, result) => sum + result.invoiceAmount, 0);
+    const paidTokens = tokenResults.filter(result => result.status === 'paid').length;
+    const units = [...new Set(redeemed.map(result => result.unit))];
+    const unit = units.length === 1 ? units[0] : null;
+
+    let status = 'failed';
+    if (paidTokens === tokens.length) {
+      status = 'paid';
+    } else if (redeemed.length > 0 || mintResults.some(result => result.status === 'needs_review')) {
+      status = 'partial';
+    }
+
+    return {
+      success: redeemed.length > 0,
+      batchId,
+      status,
+      to: destination.destination,
+      destinationType: destination.type,
+      usingDefaultAddress: isUsingDefault,
+      // Token amounts and fees only add up when all redeemed groups share a unit
+      amount: unit || redeemed.length === 0 ? redeemed.reduce((sum, result) => sum + result.amount, 0) : null,
+      unit,
+      invoiceAmount,
+      fee: unit || redeemed.length === 0 ? redeemed.reduce((sum, result) => sum + result.fee, 0) : null,
+      mints: mintResults,
+      tokens: tokenResults,
+      error: resolveError ? resolveError.message : null
+    };
+  }
+
+  /**
+   * Redeem the combined proofs of one mint within a batch
+   * @param {string} batchId - The batch ID
+   * @param {Object} group - { mint, unit, tokens: [{ index, tokenData }] }
+   * @param {Object} destination - Parsed destination (from lightningService.parseDestination)
+   * @param {boolean} isUsingDefault - Whether the default Lightning address is used
+   * @param {Object} payRequest - Resolved LNURLp pay request
+   * @param {string|null} comment - Comment for the recipient
+   * @param {Array} tokenResults - Per-token outcomes, updated in place
+   * @param {Object|null} apiKey - API key the batch was requested with
+   * @returns {Object} Result for this mint
+   */
+  async redeemMintGroup(batchId, group, destination, isUsingDefault, payRequest, comment, tokenResults, apiKey = null) {
+    const redeemId = uuidv4();
+    logger.addContext({ redeemId });
+    this.markInFlight(redeemId);
+    let included = group.tokens;
+
+    // A multi-mint token is part of several groups - mixed outcomes are reported as partial
+    const setTokenResults = (entries, status, error = null) => {
+      for (const { index } of entries) {
+        const result = tokenResults[index];
+
+        if (result.status === 'pending') {
+          Object.assign(result, { status, redeemId, error });
+        } else if (result.status !== status) {
+          result.status = 'partial';
+          result.error = [result.error, error].filter(Boolean).join('; ') || null;
+        }
+      }
+    };
+
+    try {
+      await this.storeRedemption(redeemId, {
+        status: 'processing',
+        batchId,
+        destinationType: destination.type,
+        lightningAddress: destination.destination,
+        usingDefaultAddress: isUsingDefault,
+        comment: comment || null,
+        apiKeyId: apiKey ? apiKey.id : null,
+        mint: group.mint,
+        amount: included.reduce((sum, entry) => sum + entry.tokenData.totalAmount, 0),
+        unit: group.unit,
+        paid: false,
+        error: null
+      });
+
+      const proofYs = await this.claimProofs(redeemId, included.flatMap(entry => entry.tokenData.proofs));
+      await this.updateRedemption(redeemId, { proofYs });
+
+      // Make sure the mint can melt this unit before asking for an invoice
+      await cashuService.assertMintSupports(group.mint, 5, group.unit);
+
+      // Check all proofs of this mint in one request and drop tokens that are already spent
+      await this.updateRedemption(redeemId, { status: 'checking_spendability' });
+      try {
+        const allProofs = included.flatMap(entry => entry.tokenData.proofs);
+        const states = await cashuService.checkProofStates(group.mint, allProofs);
+        const unavailable = new Set(states
+          .filter(state => state.state === 'SPENT' || state.state === 'PENDING')
+          .map(state => state.secret));
+
+        const spent = included.filter(entry => entry.tokenData.proofs.some(proof => unavailable.has(proof.secret)));
+        setTokenResults(spent, 'failed', 'This token has already been spent and cannot be redeemed again');
+        included = included.filter(entry => !spent.includes(entry));
+        // Pending proofs may come back unspent - do not keep them claimed by this redemption
+        await this.releaseProofs(redeemId, this.getProofYs(spent.flatMap(entry => entry.tokenData.proofs)));
+      } catch (stateError) {
+        // The mint could not be asked - the melt will fail for spent proofs
+        logger.warn('Spendability check failed', { mint: group.mint, error: stateError.message });
+      }
+
+      if (included.length === 0) {
+        throw new Error('All tokens for this mint have already been spent');
+      }
+
+      const proofs = included.flatMap(entry => entry.tokenData.proofs);
+      const totalAmount = proofs.reduce((sum, proof) => sum + proof.amount, 0);
+
+      await this.updateRedemption(redeemId, {
+        status: 'getting_melt_quote',
+        amount: totalAmount,
+        numProofs: proofs.length
+      });
+
+      const { invoiceData, meltQuote } = await this.quoteRedemption(group.mint, totalAmount, payRequest, comment, group.unit);
+
+      await this.updateRedemption(redeemId, {
+        bolt11: invoiceData.bolt11.substring(0, 50) + '...',
+        domain: invoiceData.domain,
+        invoiceAmount: invoiceData.amount,
+        exactFee: meltQuote.fee_reserve
+      });
+
+      const meltResult = await this.meltWithinQuota(apiKey, invoiceData.amount, () =>
+        this.meltRedemption(redeemId, group.mint, proofs, invoiceData.bolt11, meltQuote, invoiceData.verify)
+      );
+      setTokenResults(included, meltResult.status, meltResult.reviewReason || null);
+
+      return {
+        redeemId,
+        mint: group.mint,
+        status: meltResult.status,
+        paid: meltResult.paid,
+        settlementVerified: meltResult.settlementVerified,
+        amount: totalAmount,
+        unit: group.unit,
+        invoiceAmount: invoiceData.amount,
+        fee: meltQuote.fee_reserve,
+        preimage: meltResult.preimage,
+        changeToken: meltResult.changeToken,
+        changeAmount: meltResult.changeAmount,
+        tokens: included.map(entry => entry.index),
+        error: meltResult.reviewReason || null
+      };
+    } catch (error) {
+      const failure = await this.failRedemption(redeemId, error);
+      setTokenResults(included, failure.status, error.message);
+
+      return {
+        redeemId,
+        mint: group.mint,
+        status: failure.status,
+        paid: false,
+        changeToken: failure.changeToken,
+        changeAmount: failure.changeAmount,
+        amount: included.reduce((sum, entry) => sum + entry.tokenData.totalAmount, 0),
+        unit: group.unit,
+        tokens: included.map(entry => entry.index),
+        error: error.message
+      };
+    } finally {
+      this.unmarkInFlight(redeemId);
+    }
+  }
+
+  /**
+   * Pay a BOLT11 invoice directly from a Cashu token
+   * @param {string} token - The Cashu token
+   * @param {string} invoice - The BOLT11 invoice to pay
+   * @param {Object|null} apiKey - API key the payment was requested with (optional)
+   * @returns {Object} Payment result
+   */
+  async performInvoicePayment(token, invoice, apiKey = null) {
+    const redeemId = uuidv4();
+    logger.addContext({ redeemId });
+    this.markInFlight(redeemId);
+
+    try {
+      const invoiceData = lightningService.decodeInvoice(invoice);
+
+      // Step 1: Store initial status, parse the token and check it is spendable
+      const tokenData = await this.startRedemption(redeemId, token, {
+        destinationType: 'bolt11',
+        lightningAddress: null,
+        usingDefaultAddress: false,
+        bolt11: invoiceData.bolt11.substring(0, 50) + '...',
+        paymentHash: invoiceData.paymentHash,
+        invoiceAmount: invoiceData.amount,
+        apiKeyId: apiKey ? apiKey.id : null
+      });
+
+      // Step 2: Get a melt quote and make sure the token covers amount + fee reserve
+      await this.updateRedemption(redeemId, { status: 'getting_melt_quote' });
+      const meltQuote = await cashuService.createMeltQuote(tokenData.mint, invoiceData.bolt11, tokenData.unit);
+      const required = meltQuote.amount + meltQuote.fee_reserve;
+      const unit = tokenData.unit;
+
+      if (required > tokenData.totalAmount) {
+        throw new Error(`Token amount (${tokenData.totalAmount} ${unit}) is insufficient to pay the invoice (${meltQuote.amount} ${unit} + ${meltQuote.fee_reserve} ${unit} fee reserve)`);
+      }
+
+      await this.updateRedemption(redeemId, { exactFee: meltQuote.fee_reserve });
+
+      // Step 3: Melt the token to pay the invoice
+      const meltResult = await this.meltWithinQuota(apiKey, invoiceData.amount, () =>
+        this.meltRedemption(redeemId, tokenData.mint, tokenData.proofs, invoiceData.bolt11, meltQuote)
+      );
+
+      return {
+        success: true,
+        redeemId,
+        status: meltResult.status,
+        paid: meltResult.paid,
+        settlementVerified: meltResult.settlementVerified,
+        reviewReason: meltResult.reviewReason,
+        amount: tokenData.totalAmount,
+        unit: tokenData.unit,
+        invoiceAmount: invoiceData.amount,
+        paymentHash: invoiceData.paymentHash,
+        fee: meltQuote.fee_reserve,
+        netAmount: invoiceData.amount,
+        preimage: meltResult.preimage,
+        changeToken: meltResult.changeToken,
+        changeAmount: meltResult.changeAmount,
+        mint: tokenData.mint,
+        format: tokenData.format
+      };
+
+    } catch (error) {
+      return await this.failRedemption(redeemId, error);
+    } finally {
+      this.unmarkInFlight(redeemId);
+    }
+  }
+
+  /**
+   * Store the initial redemption record, then parse the token and check that it is spendable
+   * @param {string} redeemId - The redemption ID
+   * @param {string} token - The Cashu token
+   * @param {Object} destination - Destination fields (and the API key ID) to store on the record
+   * @returns {Object} Parsed token data
+   */
+  async startRedemption(redeemId, token, destination) {
+    // Store initial status
+    await this.storeRedemption(redeemId, {
+      status: 'processing',
+      token: token.substring(0, 50) + '...', // Store partial token for reference
+      ...destination,
+      amount: null,
+      paid: false,
+      error: null
+    });
+
+    // Parse and validate token
+    await this.updateRedemption(redeemId, { status: 'parsing_token' });
+    const tokenData = await cashuService.parseToken(token);
+
+    // Map the proofs to this redemption (a queued redemption has claimed them already)
+    const proofYs = await this.claimProofs(redeemId, tokenData.proofs);
+    await this.updateRedemption(redeemId, { proofYs });
+    cashuService.checkMintPolicy(tokenData);
+    await cashuService.resolveUnits(tokenData);
+    await cashuService.checkMintAmounts(tokenData);
+    await cashuService.checkMintCapabilities(tokenData);
+
+    await this.updateRedemption(redeemId, { 
+      amount: tokenData.totalAmount,
+      unit: tokenData.unit,
+      mint: tokenData.mint,
+      numProofs: tokenData.numProofs,
+      format: tokenData.format
+    });
+
+    // Check the state of the token's proofs (NUT-07)
+    await this.updateRedemption(redeemId, { status: 'checking_spendability' });
+    let spendability = null;
+    try {
+      spendability = await cashuService.checkTokenSpendable(token);
+    } catch (spendError) {
+      // The mint could not be asked - a spent token is still rejected by the melt
+      logger.warn('Spendability check failed - continuing with redemption', { error: spendError.message });
+    }
+
+    if (spendability && spendability.spentAmount > 0) {
+      if (spendability.spentAmount === tokenData.totalAmount) {
+        throw new Error('This token has already been spent and cannot be redeemed again');
+      }
+      throw new Error(`This token has already been partially spent (${spendability.spentAmount} of ${tokenData.totalAmount} ${tokenData.unit || 'units'}) and cannot be redeemed`);
+    }
+
+    if (spendability && spendability.pendingAmount > 0) {
+      throw new Error('This token is pending in another payment at the mint and cannot be redeemed right now');
+    }
+
+    return tokenData;
+  }
+
+  /**
+   * Reserve the invoice amount against the API key's daily sat volume and melt. The reservation
+   * is given back when the payment fails, so concurrent redemptions cannot overshoot the quota.
+   * @param {Object|null} apiKey - API key the redemption was requested with
+   * @param {number} sats - Invoice amount in sats
+   * @param {Function} melt - Async function performing the melt (resolves to a result with `status`)
+   * @returns {*} The melt result
+   * @throws {Error} "Quota exceeded: ..." if the key's volume cannot cover the amount
+   */
+  async meltWithinQuota(apiKey, sats, melt) {
+    const reservation = await apiKeyService.reserveVolume(apiKey, sats);
+
+    let result;
+    try {
+      result = await melt();
+    } catch (error) {
+      // A melt that may have been paid (see recoverSelectedProofs) keeps its reservation
+      if (!error.meltOutcome || error.meltOutcome.status !== 'needs_review') {
+        await apiKeyService.releaseVolume(apiKey, reservation);
+      }
+      throw error;
+    }
+
+    // Paid and needs_review payments keep their reservation
+    if (result.status === 'failed') {
+      await apiKeyService.releaseVolume(apiKey, reservation);
+    }
+    return result;
+  }
+
+  /**
+   * Melt proofs and confirm settlement, without storing the outcome
+   * @param {string} redeemId - The redemption ID (for logging)
+   * @param {string} mintUrl - The mint the proofs belong to
+   * @param {Array} proofs - Proofs to melt
+   * @param {string} bolt11 - The Lightning invoice being paid
+   * @param {Object} meltQuote - Melt quote for the invoice
+   * @param {string|null} verifyUrl - LUD-21 verify URL from the LNURLp callback (if offered)
+   * @param {Function|null} onProofsSelected - Called with { send, keep } before the melt (see cashuService.meltProofs)
+   * @returns {Object} { meltResult, paymentSuccessful, settlement, status, settlementCheck } - settlementCheck
+   *   is set when a verify URL should be polled (see scheduleSettlementCheck)
+   * @throws {Error} If the melt fails. After proof selection the error carries `meltOutcome`
+   *   (see recoverSelectedProofs), which failRedemption stores.
+   */
+  async executeMelt(redeemId, mintUrl, proofs, bolt11, meltQuote, verifyUrl = null, onProofsSelected = null) {
+    let selected = null;
+    const recordSelection = async (selection) => {
+      selected = selection;
+      if (onProofsSelected) {
+        await onProofsSelected(selection);
+      }
+    };
+
+    let meltResult;
+    try {
+      meltResult = await metrics.timeMelt(mintUrl, () =>
+        cashuService.meltProofs(mintUrl, proofs, bolt11, meltQuote, meltQuote.unit || 'sat', recordSelection)
+      );
+    } catch (error) {
+      if (!selected) {
+        throw error;
+      }
+      // The user's proofs may have been swapped for the selected ones - find out what is left
+      const outcome = await this.recoverSelectedProofs(mintUrl, meltQuote.unit || 'sat', proofs, selected, error);
+      throw Object.assign(new Error(outcome.error), { meltOutcome: outcome });
+    }
+
+    logger.info('Melt result', {
+      paid: meltResult.paid,
+      hasPreimage: !!meltResult.preimage,
+      amount: meltResult.amount,
+      fee: meltResult.fee
+    });
+
+    // Determine if payment was successful
+    // Consider it successful if we have a preimage, even if 'paid' flag is unclear
+    const paymentSuccessful = meltResult.paid || !!meltResult.preimage;
+
+    // Independently confirm settlement with the preimage - the LUD-21 verify URL is polled
+    // in the background once the outcome is stored
+    const settlement = this.verifySettlement(bolt11, meltResult.preimage, paymentSuccessful);
+
+    let status = paymentSuccessful ? 'paid' : 'failed';
+    if (settlement.reviewReason) {
+      logger.warn('Redemption marked for review', { reason: settlement.reviewReason });
+      status = 'needs_review';
+    }
+
+    const settlementCheck = verifyUrl
+      ? { bolt11, verifyUrl, preimage: meltResult.preimage, mintClaimsPaid: paymentSuccessful }
+      : null;
+
+    return { meltResult, paymentSuccessful, settlement, status, settlementCheck };
+  }
+
+  /**
+   * Work out what is left of a token whose melt failed after proof selection. Selection may
+   * have swapped the user's proofs at the mint, so the original token can be spent while the
+   * new proofs exist only in this service. Like recovery (see reconcileRedemption), the
+   * selected proofs are checked with NUT-07: if none was spent the payment was not made and
+   * swapped proofs are returned as a change token; otherwise the melt may have gone through
+   * and the redemption needs review. Proofs split off during selection are returned either way.
+   * @param {string} mintUrl - The mint URL
+   * @param {string} unit - Unit of the proofs
+   * @param {Array} proofs - The user's original proofs
+   * @param {Object} selected - { send, keep } from proof selection
+   * @param {Error} error - The melt error
+   * @returns {Object} { status: 'failed'|'needs_review', changeToken, changeAmount, error }
+   */
+  async recoverSelectedProofs(mintUrl, unit, proofs, { send, keep }, error) {
+    const originalSecrets = new Set(proofs.map(proof => proof.secret));
+    const swapped = keep.length > 0 || send.some(proof => !originalSecrets.has(proof.secret));
+
+    let states = null;
+    try {
+      states = await cashuService.getProofStates(mintUrl, send.map(proof => proof.secret));
+    } catch (stateError) {
+      logger.warn('Could not check proofs after a failed melt', { mint: mintUrl, error: stateError.message });
+    }
+
+    const sum = list => list.reduce((total, proof) => total + proof.amount, 0);
+
+    if (states && states.every(state => state.state === 'UNSPENT')) {
+      if (!swapped) {
+        // The original proofs were sent as they are - the token is still valid
+        return { status: 'failed', changeToken: null, changeAmount: null, error: error.message };
+      }
+
+      const returned = [...send, ...keep];
+      return {
+        status: 'failed',
+        changeToken: cashuService.encodeProofsAsToken(mintUrl, returned, unit),
+        changeAmount: sum(returned),
+        error: `${error.message} - payment was not made; the token had been swapped and its value is returned as changeToken`
+      };
+    }
+
+    const detail = states
+      ? `${states.filter(state => state.state === 'SPENT').length} proof(s) are spent and ${states.filter(state => state.state === 'PENDING').length} pending`
+      : 'their state could not be checked';
+    return {
+      status: 'needs_review',
+      changeToken: cashuService.encodeProofsAsToken(mintUrl, keep, unit),
+      changeAmount: keep.length > 0 ? sum(keep) : null,
+      error: `${error.message} - the payment may have been made: ${detail}`
+    };
+  }
+
+  /**
+   * Melt proofs with an existing melt quote and store the final status
+   * @param {string} redeemId - The redemption ID
+   * @param {string} mintUrl - The mint the proofs belong to
+   * @param {Array} proofs - Proofs to melt
+   * @param {string} bolt11 - The Lightning invoice being paid
+   * @param {Object} meltQuote - Melt quote for the invoice
+   * @param {string|null} verifyUrl - LUD-21 verify URL from the LNURLp callback (if offered)
+   * @returns {Object} Melt result with the resolved paid flag, status and settlement verification
+   */
+  async meltRedemption(redeemId, mintUrl, proofs, bolt11, meltQuote, verifyUrl = null) {
+    // Save the quote and proof secrets first so an interrupted melt can be reconciled on restart
+    await this.updateRedemption(redeemId, {
+      status: 'melting_token',
+      meltQuoteId: meltQuote.quote,
+      proofSecrets: proofs.map(proof => proof.secret)
+    });
+
+    // Proof selection may swap the proofs at the mint (spending the originals) - save the
+    // new proofs before melting so they are not lost if the process dies mid-melt
+    const saveSelectedProofs = ({ send, keep }) => this.updateRedemption(redeemId, {
+      proofSecrets: send.map(proof => proof.secret),
+      proofsToSend: send,
+      keptProofs: keep
+    });
+
+    const { meltResult, paymentSuccessful, settlement, status, settlementCheck } = await this.executeMelt(
+      redeemId, mintUrl, proofs, bolt11, meltQuote, verifyUrl, saveSelectedProofs
+    );
+
+    // Update final status
+    await this.updateRedemption(redeemId, {
+      status,
+      paid: paymentSuccessful,
+      settlementVerified: settlement.settlementVerified,
+      preimageValid: settlement.preimageValid,
+      settlementError: settlement.error,
+      error: settlement.reviewReason,
+      preimage: meltResult.preimage,
+      fee: meltResult.fee,
+      actualFee: meltResult.actualFee,
+      netAmount: meltResult.netAmount,
+      changeToken: meltResult.changeToken,
+      changeAmount: meltResult.changeAmount,
+      paidAt: paymentSuccessful ? new Date().toISOString() : null,
+      rawMeltResponse: meltResult.rawMeltResponse // Store for debugging
+    });
+    this.scheduleSettlementCheck(redeemId, settlementCheck);
+
+    return {
+      ...meltResult,
+      paid: paymentSuccessful,
+      status,
+      settlementVerified: settlement.settlementVerified,
+      reviewReason: settlement.reviewReason
+    };
+  }
+
+  /**
+   * Confirm that an invoice was settled, independently of the mint's melt response.
+   * The preimage must hash to the invoice's payment hash, and the recipient's own report
+   * (from a LUD-21 verify URL, see scheduleSettlementCheck) must agree with the mint.
+   * @param {string} bolt11 - The Lightning invoice that was paid
+   * @param {string|null} preimage - Payment preimage returned by the mint
+   * @param {boolean} mintClaimsPaid - Whether the mint reported the payment as successful
+   * @param {boolean|null} settled - Settlement reported by the verify URL (null if not checked)
+   * @param {string|null} error - Why the verify URL could not be checked
+   * @returns {Object} { settlementVerified, preimageValid, reviewReason, error }
+   */
+  verifySettlement(bolt11, preimage, mintClaimsPaid, settled = null, error = null) {
+    const preimageValid = preimage ? lightningService.verifyPreimage(bolt11, preimage) : null;
+
+    let reviewReason = null;
+    if (preimageValid === false) {
+      reviewReason = 'Preimage returned by the mint does not match the invoice payment hash';
+    } else if (settled !== null && settled !== mintClaimsPaid) {
+      reviewReason = mintClaimsPaid
+        ? 'Mint reported the payment as paid but the recipient reports it as not settled'
+        : 'Mint reported the payment as failed but the recipient reports it as settled';
+    }
+
+    let settlementVerified = null;
+    if (preimageValid === false || settled === false) {
+      settlementVerified = false;
+    } else if (settled === true) {
+      settlementVerified = true;
+    }
+
+    return { settlementVerified, preimageValid, reviewReason, error };
+  }
+
+  /**
+   * Poll the recipient's LUD-21 verify URL in the background and store the outcome. Polling
+   * takes several seconds, so the caller does not wait for it - the status endpoint shows
+   * the result once it is in.
+   * @param {string} redeemId - The redemption ID
+   * @param {Object|null} check - { bolt11, verifyUrl, preimage, mintClaimsPaid } from executeMelt
+   * @param {number|null} partIndex - Mint part the check belongs to (multi-mint redemptions)
+   */
+  scheduleSettlementCheck(redeemId, check, partIndex = null) {
+    if (!check) {
+      return;
+    }
+
+    logger.withContext({ redeemId }, async () => {
+      let settled = null;
+      let error = null;
+      try {
+        settled = (await lightningService.pollSettlement(check.verifyUrl)).settled;
+      } catch (verifyError) {
+        logger.warn('Settlement verification failed', { error: verifyError.message });
+        error = verifyError.message;
+      }
+
+      const settlement = this.verifySettlement(check.bolt11, check.preimage, check.mintClaimsPaid, settled, error);
+
+      // Parts of a multi-mint redemption update the same record - apply one result at a time
+      const apply = () => this.applySettlementCheck(redeemId, settlement, partIndex);
+      const result = this.settlementQueue.catch(() => {}).then(apply);
+      this.settlementQueue = result;
+      await result;
+    }).catch(error => logger.error('Error storing settlement verification', error));
+  }
+
+  /**
+   * Store the outcome of a verify URL check. A recipient that contradicts the mint puts
+   * the redemption (or its mint part) up for review.
+   * @param {string} redeemId - The redemption ID
+   * @param {Object} settlement - Result of verifySettlement
+   * @param {number|null} partIndex - Mint part the check belongs to (multi-mint redemptions)
+   */
+  async applySettlementCheck(redeemId, settlement, partIndex = null) {
+    const redemption = await this.getRedemption(redeemId);
+    if (!redemption) {
+      return;
+    }
+
+    if (settlement.reviewReason) {
+      logger.warn('Redemption marked for review', { reason: settlement.reviewReason });
+    }
+    const review = settlement.reviewReason ? { status: 'needs_review', error: settlement.reviewReason } : {};
+
+    if (partIndex === null) {
+      await this.updateRedemption(redeemId, {
+        settlementVerified: settlement.settlementVerified,
+        settlementError: settlement.error,
+        ...review
+      });
+      return;
+    }
+
+    const parts = redemption.mintParts.map((part, index) => (index === partIndex
+      ? { ...part, settlementVerified: settlement.settlementVerified, ...review }
+      : part));
+    await this.updateRedemption(redeemId, {
+      mintParts: parts,
+      ...(settlement.reviewReason ? this.combineMintParts(parts) : {})
+    });
+  }
+
+  /**
+   * Mark a redemption as failed
+   * @param {string} redeemId - The redemption ID
+   * @param {Error} error - The error that ended the redemption
+   * @returns {Object} Failed redemption result
+   */
+  async failRedemption(redeemId, error) {
+    const errorType = this.getErrorType(error.message);
+    // A melt that failed after proof selection may need review and may return proofs as change
+    const outcome = error.meltOutcome || { status: 'failed', changeToken: null, changeAmount: null };
+
+    // Update redemption with error
+    await this.updateRedemption(redeemId, {
+      status: outcome.status,
+      paid: false,
+      error: error.message,
+      errorType,
+      ...(outcome.changeToken ? { changeToken: outcome.changeToken, changeAmount: outcome.changeAmount } : {})
+    });
+
+    return {
+      success: false,
+      redeemId,
+      status: outcome.status,
+      error: error.message,
+      errorType,
+      changeToken: outcome.changeToken,
+      changeAmount: outcome.changeAmount
+    };
+  }
+
+  /**
+   * Classify a redemption error for API responses and metrics
+   * @param {string|null} message - The error message
+   * @returns {string} Error type (e.g. token_already_spent, mint_unavailable)
+   */
+  getErrorType(message) {
+    const error = message || '';
+
+    if (error.includes('Mint not allowed')) {
+      return 'mint_not_allowed';
+    }
+    if (error.includes('Quota exceeded')) {
+      // The API key's daily sat volume cannot cover the payment
+      return 'quota_exceeded';
+    }
+    if (error.includes('Mint unavailable')) {
+      // The mint's circuit breaker is open
+      return 'mint_unavailable';
+    }
+    if (error.includes('does not support')) {
+      // The mint's info says it cannot perform the operation
+      return 'mint_unsupported';
+    }
+    if (error.includes('pending in another payment')) {
+      return 'token_pending';
+    }
+    if (error.includes('already been redeemed')) {
+      // Another redemption holds some of the token's proofs
+      return 'token_already_redeemed';
+    }
+    if (error.includes('cannot be redeemed') ||
+        error.includes('already been used') ||
+        error.includes('not spendable') ||
+        error.includes('already spent') ||
+        error.includes('invalid proofs')) {
+      return 'token_already_spent';
+    }
+    if (error.includes('insufficient')) {
+      return 'insufficient_funds';
+    }
+    return 'validation_error';
+  }
+
+  /**
+   * Check whether a redemption status is final
+   * @param {string} status - The redemption status
+   * @returns {boolean} Whether the status is terminal
+   */
+  isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Get an invoice and a matching melt quote so that amount + fee reserve fits in the token.
+   * The fee is first estimated locally; if the mint's fee reserve turns out higher, a new
+   * invoice is requested for the smaller amount (up to MAX_QUOTE_ATTEMPTS times).
+   * @param {string} mintUrl - The mint that will pay the invoice
+   * @param {number} totalAmount - Amount available at the mint, in the token's unit
+   * @param {Object} payRequest - Resolved LNURLp pay request (from lightningService.resolvePayRequest)
+   * @param {string|null} comment - Comment for the recipient
+   * @param {string} unit - The token's unit (non-sat amounts are priced by the mint)
+   * @returns {Object} { invoiceData, meltQuote }
+   */
+  async quoteRedemption(mintUrl, totalAmount, payRequest, comment = null, unit = 'sat') {
+    // Fees and melt quotes are in the token's unit, the invoice is always in sats
+    const satsPerUnit = unit === 'sat'
+      ? 1
+      : await cashuService.convertToSats(mintUrl, unit, totalAmount) / totalAmount;
+    let feeEstimate = cashuService.calculateFee(totalAmount);
+
+    for (let attempt = 1; attempt <= MAX_QUOTE_ATTEMPTS; attempt++) {
+      // Never ask for more than the recipient accepts - any remainder is returned as change
+      const invoiceAmount = Math.min(Math.floor((totalAmount - feeEstimate) * satsPerUnit), payRequest.maxSendable);
+
+      if (invoiceAmount <= 0) {
+        throw new Error(`Token amount (${totalAmount} ${unit}) is insufficient to cover the fee (${feeEstimate} ${unit})`);
+      }
+
+      logger.info('Requesting invoice for quote', { attempt, invoiceAmount, totalAmount, feeEstimate, unit });
+      const invoiceData = await lightningService.requestInvoice(payRequest, invoiceAmount, comment);
+
+      // Verify the invoice is valid and for the correct amount
+      const invoiceVerified = lightningService.verifyInvoiceDestination(invoiceData.bolt11, payRequest.lightningAddress, invoiceAmount);
+      if (!invoiceVerified) {
+        throw new Error('Invoice verification failed - invalid invoice or amount mismatch');
+      }
+
+      const meltQuote = await cashuService.createMeltQuote(mintUrl, invoiceData.bolt11, unit);
+      const required = meltQuote.amount + meltQuote.fee_reserve;
+
+      logger.info('Melt quote', { amount: meltQuote.amount, fee_reserve: meltQuote.fee_reserve, required, available: totalAmount, unit });
+
+      if (required <= totalAmount) {
+        return { invoiceData, meltQuote };
+      }
+
+      // Estimate was too low - retry with the shortfall added to the fee
+      feeEstimate += required - totalAmount;
+    }
+
+    throw new Error(`Token amount (${totalAmount} ${unit}) is insufficient to cover the mint fee reserve after ${MAX_QUOTE_ATTEMPTS} quote attempts`);
+  }
+
+  /**
+   * Check whether a non-terminal redemption was abandoned. Redemptions this process has in
+   * flight (queued or running, however slow) never are. Otherwise: on startup, one run by this
+   * instance before the restart (needs a stable INSTANCE_ID); later, one of this instance that
+   * no task holds any more, or one of another instance that has stopped sending heartbeats -
+   * in both cases only once it has not changed for RECOVERY_STALE_MINUTES.
+   * @param {string} redeemId - The redemption ID
+   * @param {Object} redemption - The stored redemption record
+   * @param {boolean} onStartup - Whether this instance has just started (none of its own work is running)
+   * @param {Object} lastSeen - Last heartbeat time (ms) per instance ID
+   * @returns {boolean} Whether the redemption should be recovered
+   */
+  isAbandoned(redeemId, redemption, onStartup = false, lastSeen = {}) {
+    if (this.inFlight.has(redeemId)) {
+      return false;
+    }
+
+    const isOwn = redemption.instanceId === this.instanceId;
+    if (onStartup && isOwn) {
+      return true;
+    }
+
+    const ownerAlive = !isOwn && redemption.instanceId &&
+      Date.now() - (lastSeen[redemption.instanceId] || 0) < this.recoveryStaleMs;
+    if (ownerAlive) {
+      return false;
+    }
+    return Date.now() - new Date(redemption.updatedAt).getTime() >= this.recoveryStaleMs;
+  }
+
+  /**
+   * Reconcile redemptions left in a non-terminal state (e.g. after a crash) against the mint.
+   * Should be called on startup and periodically.
+   * @param {boolean} onStartup - Whether this instance has just started
+   * @returns {Array} Reconciliation results ({ redeemId, status })
+   */
+  async recoverInterruptedRedemptions(onStartup = false) {
+    const results = [];
+    const lastSeen = {};
+    for (const [instanceId, instance] of await this.instances.entries()) {
+      lastSeen[instanceId] = new Date(instance.lastSeenAt).getTime();
+    }
+
+    for (const [redeemId, redemption] of await this.redemptions.entries()) {
+      if (this.isTerminalStatus(redemption.status) || !this.isAbandoned(redeemId, redemption, onStartup, lastSeen)) {
+        continue;
+      }
+
+      let outcome;
+      try {
+        outcome = await logger.withContext({ redeemId }, () => this.reconcileRedemption(redemption));
+      } catch (error) {
+        outcome = {
+          status: 'needs_review',
+          error: `Recovery failed: ${error.message}`
+        };
+      }
+
+      await this.updateRedemption(redeemId, {
+        ...outcome,
+        recoveredAt: new Date().toISOString(),
+        recoveredFromStatus: redemption.status
+      });
+      results.push({ redeemId, status: outcome.status });
+
+      // Async callers still expect a webhook for redemptions that were interrupted
+      if (redemption.callbackUrl) {
+        logger.withContext({ redeemId }, () => this.sendWebhook(redeemId, redemption.callbackUrl))
+          .catch(error => logger.error('Webhook for recovered redemption failed', { redeemId, error }));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Determine the final state of an interrupted redemption
+   * @param {Object} redemption - The stored redemption record
+   * @returns {Object} Updates to apply to the redemption record
+   */
+  async reconcileRedemption(redemption) {
+    if (redemption.mintParts) {
+      return await this.reconcileMintParts(redemption);
+    }
+
+    const interruptedError = `Redemption was interrupted during ${redemption.status}`;
+
+    // Interrupted before anything was sent to the mint - the token was never spent
+    if (!redemption.meltQuoteId && !redemption.proofSecrets) {
+      return {
+        status: 'failed',
+        paid: false,
+        error: `${interruptedError} before melting - token was not spent`
+      };
+    }
+
+    if (redemption.meltQuoteId) {
+      const meltQuote = await cashuService.checkMeltQuote(redemption.mint, redemption.meltQuoteId);
+
+      if (meltQuote.state === 'PAID') {
+        // Proofs split off during proof selection were not melted and belong to the redeemer
+        const changeToken = cashuService.encodeProofsAsToken(redemption.mint, redemption.keptProofs, redemption.unit || 'sat');
+        return {
+          status: 'paid',
+          paid: true,
+          preimage: meltQuote.payment_preimage || null,
+          paidAt: new Date().toISOString(),
+          error: null,
+          ...(changeToken ? { changeToken, changeAmount: redemption.keptProofs.reduce((sum, proof) => sum + proof.amount, 0) } : {})
+        };
+      }
+
+      if (meltQuote.state === 'PENDING') {
+        return {
+          status: 'needs_review',
+          paid: false,
+          error: `${interruptedError} - melt quote ${redemption.meltQuoteId} is still pending at the mint`
+        };
+      }
+    }
+
+    const proofStates = await cashuService.getProofStates(redemption.mint, redemption.proofSecrets || []);
+    const allUnspent = proofStates.length > 0 && proofStates.every(proof => proof.state === 'UNSPENT');
+
+    if (allUnspent && redemption.proofsToSend) {
+      // The original token was swapped before the melt - hand the new proofs back as change
+      const proofs = [...redemption.proofsToSend, ...(redemption.keptProofs || [])];
+      return {
+        status: 'failed',
+        paid: false,
+        changeToken: cashuService.encodeProofsAsToken(redemption.mint, proofs, redemption.unit || 'sat'),
+        changeAmount: proofs.reduce((sum, proof) => sum + proof.amount, 0),
+        error: `${interruptedError} - payment was not made; the token had been swapped and its value is returned as changeToken`
+      };
+    }
+
+    if (allUnspent) {
+      return {
+        status: 'failed',
+        paid: false,
+        error: `${interruptedError} - payment was not made and the token is still unspent`
+      };
+    }
+
+    const spentCount = proofStates.filter(proof => proof.state === 'SPENT').length;
+    const pendingCount = proofStates.filter(proof => proof.state === 'PENDING').length;
+
+    return {
+      status: 'needs_review',
+      paid: false,
+      error: `${interruptedError} - melt quote is not paid but ${spentCount} proof(s) are spent and ${pendingCount} pending`
+    };
+  }
+
+  /**
+   * Reconcile each unfinished part of an interrupted multi-mint redemption
+   * @param {Object} redemption - The stored redemption record
+   * @returns {Object} Updates to apply to the record
+   */
+  async reconcileMintParts(redemption) {
+    const parts = [];
+
+    for (const part of redemption.mintParts) {
+      if (this.isTerminalStatus(part.status)) {
+        parts.push(part);
+        continue;
+      }
+
+      const outcome = await this.reconcileRedemption({
+        status: part.status,
+        mint: part.mint,
+        unit: part.unit,
+        meltQuoteId: part.meltQuoteId,
+        proofSecrets: part.proofSecrets,
+        proofsToSend: part.proofsToSend,
+        keptProofs: part.keptProofs
+      });
+      parts.push({ ...part, ...outcome });
+    }
+
+    const changeToken = cashuService.mergeTokens(parts.map(part => part.changeToken));
+    return {
+      ...this.combineMintParts(parts),
+      mintParts: parts,
+      ...(changeToken ? { changeToken } : {})
+    };
+  }
+
+  /**
+   * Get redemption status for API response
+   * @param {string} redeemId - The redemption ID
+   * @param {boolean} includeSecrets - Include the change token and success action
+   * @returns {Object|null} Status response or null if not found
+   */
+  async getRedemptionStatus(redeemId, includeSecrets = false) {
+    const redemption = await this.getRedemption(redeemId);
+    
+    if (!redemption) {
+      return null;
+    }
+
+    return this.formatRedemptionStatus(redeemId, redemption, includeSecrets);
+  }
+
+  /**
+   * Check whether an API key may see a redemption's change token and success action, or be
+   * told its ID. The change token is a bearer token, so only the key that redeemed (or an admin) gets it.
+   * @param {Object} redemption - The stored redemption record
+   * @param {Object|null} apiKey - API key the status was requested with
+   * @returns {boolean} Whether secrets may be included
+   */
+  canViewSecrets(redemption, apiKey) {
+    if (!apiKey) {
+      return false;
+    }
+    return apiKey.scopes.includes('admin') || (!!redemption.apiKeyId && redemption.apiKeyId === apiKey.id);
+  }
+
+  /**
+   * Build the public status response from a stored redemption record
+   * @param {string} redeemId - The redemption ID
+   * @param {Object} redemption - The stored redemption record
+   * @param {boolean} includeSecrets - Include the change token and success action
+   * @returns {Object} Status response
+   */
+  formatRedemptionStatus(redeemId, redemption, includeSecrets = false) {
+    const response = {
+      success: true,
+      redeemId,
+      status: redemption.status,
+      details: {
+        amount: redemption.amount,
+        unit: redemption.unit !== undefined ? redemption.unit : 'sat', // null for mixed-unit multi-mint tokens
+        to: redemption.lightningAddress,
+        destinationType: redemption.destinationType,
+        paid: redemption.paid,
+        createdAt: redemption.createdAt,
+        updatedAt: redemption.updatedAt
+      }
+    };
+
+    if (redemption.paidAt) {
+      response.details.paidAt = redemption.paidAt;
+    }
+
+    if (redemption.fee) {
+      response.details.fee = redemption.fee;
+    }
+
+    if (redemption.error) {
+      response.details.error = redemption.error;
+    }
+
+    if (redemption.errorType) {
+      response.details.errorType = redemption.errorType;
+    }
+
+    if (redemption.mint) {
+      response.details.mint = redemption.mint;
+    }
+
+    if (redemption.domain) {
+      response.details.domain = redemption.domain;
+    }
+
+    if (redemption.changeAmount) {
+      response.details.changeAmount = redemption.changeAmount;
+    }
+
+    if (includeSecrets && redemption.changeToken) {
+      response.details.changeToken = redemption.changeToken;
+    }
+
+    if (includeSecrets && redemption.successAction) {
+      response.details.successAction = redemption.successAction;
+    }
+
+    if (redemption.settlementVerified !== undefined) {
+      response.details.settlementVerified = redemption.settlementVerified;
+    }
+
+    if (redemption.webhook) {
+      response.details.webhook = redemption.webhook;
+    }
+
+    if (redemption.batchId) {
+      response.details.batchId = redemption.batchId;
+    }
+
+    if (redemption.mintParts) {
+      response.details.mints = publicMintParts(redemption.mintParts, includeSecrets);
+    }
+
+    return response;
+  }
+
+  /**
+   * Get all redemptions (for admin/debugging)
+   * @returns {Array} All redemptions
+   */
+  async getAllRedemptions() {
+    const entries = await this.redemptions.entries();
+    return entries.map(([id, data]) => ({
+      redeemId: id,
+      ...data
+    }));
+  }
+
+  /**
+   * List redemptions with filtering and pagination (for admin/support lookups)
+   * @param {Object} filters - Query filters
+   * @param {string} filters.status - Only include redemptions with this status
+   * @param {string} filters.mint - Only include redemptions from this mint URL
+   * @param {string} filters.lightningAddress - Only include redemptions paid to this Lightning address
+   * @param {string} filters.apiKeyId - Only include redemptions created with this API key
+   * @param {string} filters.from - Only include redemptions created at or after this ISO date
+   * @param {string} filters.to - Only include redemptions created at or before this ISO date
+   * @param {number} filters.page - Page number (1-based)
+   * @param {number} filters.limit - Page size
+   * @returns {Object} Matching redemptions and pagination info
+   */
+  async listRedemptions(filters = {}) {
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      throw new Error('Invalid date range - from/to must be ISO 8601 dates');
+    }
+
+    const matches = (await this.getAllRedemptions())
+      .filter(redemption => {
+        if (filters.status && redemption.status !== filters.status) {
+          return false;
+        }
+        if (filters.mint && redemption.mint !== filters.mint &&
+            !(redemption.mintParts || []).some(part => part.mint === filters.mint)) {
+          return false;
+        }
+        if (filters.lightningAddress &&
+            (redemption.lightningAddress || '').toLowerCase() !== filters.lightningAddress.toLowerCase()) {
+          return false;
+        }
+        if (filters.apiKeyId && redemption.apiKeyId !== filters.apiKeyId) {
+          return false;
+        }
+        const createdAt = new Date(redemption.createdAt);
+        if (from && createdAt < from) {
+          return false;
+        }
+        if (to && createdAt > to) {
+          return false;
+        }
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const start = (page - 1) * limit;
+
+    return {
+      redemptions: matches.slice(start, start + limit).map(redemption => ({
+        redeemId: redemption.redeemId,
+        status: redemption.status,
+        amount: redemption.amount,
+        unit: redemption.unit !== undefined ? redemption.unit : 'sat',
+        invoiceAmount: redemption.invoiceAmount,
+        fee: redemption.fee,
+        to: redemption.lightningAddress,
+        destinationType: redemption.destinationType,
+        usingDefaultAddress: redemption.usingDefaultAddress,
+        mint: redemption.mint,
+        domain: redemption.domain,
+        format: redemption.format,
+        paid: redemption.paid,
+        settlementVerified: redemption.settlementVerified,
+        error: redemption.error,
+        errorType: redemption.errorType || null,
+        createdAt: redemption.createdAt,
+        updatedAt: redemption.updatedAt,
+        paidAt: redemption.paidAt,
+        apiKeyId: redemption.apiKeyId || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        totalPages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Clean up old redemptions (should be called periodically). Redemptions that need manual
+   * review and unfinished ones (not recovered yet) are kept.
+   * @param {number} maxAgeMs - Maximum age in milliseconds
+   */
+  async cleanupOldRedemptions(maxAgeMs = 24 * 60 * 60 * 1000) { // 24 hours default
+    const cutoff = new Date(Date.now() - maxAgeMs);
+    
+    for (const [redeemId, redemption] of await this.redemptions.entries()) {
+      if (redemption.status === 'needs_review' || !this.isTerminalStatus(redemption.status)) {
+        continue;
+      }
+
+      const createdAt = new Date(redemption.createdAt);
+      if (createdAt < cutoff) {
+        await this.redemptions.delete(redeemId);
+        // Also clean up the proof mappings, unless a later redemption has claimed the proofs
+        await this.releaseProofs(redeemId, redemption.proofYs || []);
+        // and the token hashes of redemptions stored before proof Ys were indexed
+        for (const tokenHash of redemption.tokenHashes || [redemption.tokenHash].filter(Boolean)) {
+          await this.legacyTokenHashes.delete(tokenHash);
+        }
+      }
+    }
+
+    // Forget instances that stopped long ago
+    for (const [instanceId, instance] of await this.instances.entries()) {
+      if (new Date(instance.lastSeenAt) < cutoff) {
+        await this.instances.delete(instanceId);
       }
     }
   }
@@ -0,0 +1,208 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const Store = require('./store');
+
+// A lock held this long belongs to a process that died without releasing it
+const LOCK_STALE_MS = 10 * 1000;
+// Give up waiting for a lock after this long
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const LOCK_RETRY_MS = 10;
+
+/**
+ * Check whether a process on this host is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} Whether the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * File-backed store. The namespace is one JSON file; reads use an in-memory copy that is
+ * reloaded whenever the file changes. Every change is made in a transaction: it takes a lock
+ * file next to the data file, reloads the data and writes it back atomically (via a temp file
+ * and rename). Several instances pointed at the same STORAGE_PATH therefore never overwrite
+ * each other's records, and their transactions (e.g. proof claims) exclude each other.
+ */
+class FileStore extends Store {
+  /**
+   * @param {string} filePath - Path of the JSON file backing this store
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.data = new Map();
+    this.version = null; // Identifies the file the data was read from (inode, mtime and size)
+    this.lockQueue = Promise.resolve();
+  }
+
+  /**
+   * Load the file from disk if it changed since the last read
+   */
+  async load() {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.data = new Map();
+        this.version = null;
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      // Writes replace the file (rename), so the open handle always reads one complete version
+      const stat = await handle.stat();
+      const version = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+      if (version === this.version) {
+        return;
+      }
+
+      const raw = await handle.readFile('utf8');
+      this.data = new Map(Object.entries(raw.trim() ? JSON.parse(raw) : {}));
+      this.version = version;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Write the current data to disk (only called while holding the lock)
+   */
+  async persist() {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.data)));
+    await fs.rename(tmpPath, this.filePath);
+
+    const stat = await fs.stat(this.filePath);
+    this.version = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+  }
+
+  /**
+   * Take the lock file, waiting for other instances to release it
+   * @throws {Error} If the lock is not released within LOCK_TIMEOUT_MS
+   */
+  async acquireLock() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const startedAt = Date.now();
+
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockPath, `${os.hostname()} ${process.pid}`, { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (await this.breakStaleLock()) {
+        continue;
+      }
+      if (Date.now() - startedAt >= LOCK_TIMEOUT_MS) {
+        throw new Error(`Storage lock ${this.lockPath} was not released within ${LOCK_TIMEOUT_MS / 1000} seconds`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  /**
+   * Remove a lock left behind by a process that died: one whose owner no longer runs on
+   * this host, or one older than LOCK_STALE_MS
+   * @returns {boolean} Whether the lock is gone and can be taken
+   */
+  async breakStaleLock() {
+    let stat;
+    let owner;
+    try {
+      stat = await fs.stat(this.lockPath);
+      owner = await fs.readFile(this.lockPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      throw error;
+    }
+
+    const [host, pid] = owner.split(' ');
+    const ownerDied = host === os.hostname() && parseInt(pid) > 0 && !isProcessAlive(parseInt(pid));
+    if (!ownerDied && Date.now() - stat.mtimeMs < LOCK_STALE_MS) {
+      return false;
+    }
+
+    await fs.rm(this.lockPath, { force: true });
+    return true;
+  }
+
+  transaction(task) {
+    const run = async () => {
+      await this.acquireLock();
+      try {
+        await this.load();
+
+        let changed = false;
+        const handle = {
+          get: async key => (this.data.has(key) ? this.data.get(key) : null),
+          set: async (key, value) => {
+            this.data.set(key, value);
+            changed = true;
+          },
+          delete: async key => {
+            const deleted = this.data.delete(key);
+            changed = changed || deleted;
+            return deleted;
+          },
+          entries: async () => Array.from(this.data.entries())
+        };
+
+        try {
+          const result = await task(handle);
+          if (changed) {
+            await this.persist();
+          }
+          return result;
+        } catch (error) {
+          // Forget writes that were not saved - the next read reloads the file
+          this.version = null;
+          throw error;
+        }
+      } finally {
+        await fs.rm(this.lockPath, { force: true });
+      }
+    };
+
+    // Transactions of this process wait for each other instead of polling the lock file
+    const result = this.lockQueue.catch(() => {}).then(run);
+    this.lockQueue = result;
+    return result;
+  }
+
+  async get(key) {
+    await this.load();
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value) {
+    await this.transaction(store => store.set(key, value));
+  }
+
+  async delete(key) {
+    return await this.transaction(store => store.delete(key));
+  }
+
+  async entries() {
+    await this.load();
+    return Array.from(this.data.entries());
+  }
+}
+
+module.exports = FileStore;
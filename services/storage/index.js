@@ -0,0 +1,28 @@
+const path = require('path');
+const MemoryStore = require('./memory');
+const FileStore = require('./file');
+
+const STORAGE_BACKENDS = ['memory', 'file'];
+
+/**
+ * Create a store for a namespace using the backend selected by STORAGE_BACKEND
+ * @param {string} namespace - Store namespace (e.g. 'redemptions')
+ * @param {string} backendName - Backend to use instead of STORAGE_BACKEND (optional)
+ * @returns {Store} Store instance
+ */
+function createStore(namespace, backendName = process.env.STORAGE_BACKEND) {
+  const backend = (backendName || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file': {
+      const storageDir = process.env.STORAGE_PATH || path.join(__dirname, '..', '..', 'data');
+      return new FileStore(path.join(storageDir, `${namespace}.json`));
+    }
+    default:
+      throw new Error(`Unknown storage backend "${backend}". Supported: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = { createStore, STORAGE_BACKENDS };
@@ -0,0 +1,36 @@
+const Store = require('./store');
+
+/**
+ * In-memory store. Data is lost on restart - suitable for development and tests.
+ */
+class MemoryStore extends Store {
+  constructor() {
+    super();
+    this.data = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? this.data.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, value);
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async entries() {
+    return Array.from(this.data.entries());
+  }
+
+  transaction(task) {
+    const result = this.queue.catch(() => {}).then(() => task(this));
+    this.queue = result;
+    return result;
+  }
+}
+
+module.exports = MemoryStore;
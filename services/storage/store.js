@@ -0,0 +1,56 @@
+/**
+ * Base class describing the key-value storage interface used by the services.
+ * Each store holds a single namespace (e.g. redemptions) of JSON-serializable values.
+ * Implementations must override every method.
+ */
+class Store {
+  /**
+   * Get a value by key
+   * @param {string} key - The key
+   * @returns {Object|null} Stored value or null if not found
+   */
+  async get(key) {
+    throw new Error('Store.get() not implemented');
+  }
+
+  /**
+   * Create or replace a value
+   * @param {string} key - The key
+   * @param {Object} value - JSON-serializable value
+   */
+  async set(key, value) {
+    throw new Error('Store.set() not implemented');
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - The key
+   * @returns {boolean} Whether a value was deleted
+   */
+  async delete(key) {
+    throw new Error('Store.delete() not implemented');
+  }
+
+  /**
+   * Get all entries in the store
+   * @returns {Array<[string, Object]>} Array of [key, value] pairs
+   */
+  async entries() {
+    throw new Error('Store.entries() not implemented');
+  }
+
+  /**
+   * Run a read-modify-write with exclusive access to the store. Other transactions on the
+   * same namespace - in this process or, for stores shared between instances, in another -
+   * wait until the task is done. The task gets a handle with get, set, delete and entries;
+   * it must use the handle (not the store) to write. Tasks should do their checks before they
+   * write: a task that throws may leave its earlier writes behind.
+   * @param {Function} task - Async function receiving the handle
+   * @returns {*} The task's result
+   */
+  async transaction(task) {
+    throw new Error('Store.transaction() not implemented');
+  }
+}
+
+module.exports = Store;
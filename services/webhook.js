@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const addressPolicy = require('./addressPolicy');
+const logger = require('./logger');
+
+class WebhookService {
+  constructor() {
+    this.secret = process.env.WEBHOOK_SECRET;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+    this.retryDelayMs = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+  }
+
+  /**
+   * Check whether webhooks can be sent (a signing secret is configured)
+   * @returns {boolean} Whether webhooks are enabled
+   */
+  isEnabled() {
+    return !!this.secret;
+  }
+
+  /**
+   * Validate a caller-supplied callback URL
+   * @param {string} callbackUrl - The callback URL
+   * @throws {Error} If the URL is not an http(s) URL (https only in production) or points to a private host
+   */
+  async validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (error) {
+      throw new Error('callbackUrl must be a valid URL');
+    }
+
+    const allowedProtocols = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+    if (!allowedProtocols.includes(url.protocol)) {
+      throw new Error(`callbackUrl must use ${allowedProtocols.map(p => p.replace(':', '')).join(' or ')}`);
+    }
+
+    if (url.username || url.password) {
+      throw new Error('callbackUrl must not contain credentials');
+    }
+
+    // SSRF guard: never let callers make the server POST to internal hosts
+    await addressPolicy.assertPublicUrl(callbackUrl, 'callbackUrl');
+  }
+
+  /**
+   * Sign a webhook body: HMAC-SHA256 over "<timestamp>.<body>" with WEBHOOK_SECRET
+   * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+   * @param {string} body - The raw JSON body
+   * @returns {string} Hex signature
+   */
+  sign(timestamp, body) {
+    return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a signed webhook, retrying with exponential backoff on failure
+   * @param {string} callbackUrl - The callback URL
+   * @param {Object} payload - JSON payload
+   * @returns {Object} Delivery result ({ delivered, attempts, error })
+   */
+  async deliver(callbackUrl, payload) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+
+    // The host may resolve differently by now than when the URL was accepted
+    try {
+      await addressPolicy.assertPublicUrl(callbackUrl, 'callbackUrl');
+    } catch (error) {
+      logger.warn('Webhook not delivered', { callbackUrl, error: error.message });
+      return { delivered: false, attempts: 0, error: error.message };
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+
+      try {
+        await axios.post(callbackUrl, body, {
+          timeout: 10000,
+          maxRedirects: 0, // A redirect could lead to an internal host
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Cashu-Redeem-API/1.0.0',
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${this.sign(timestamp, body)}`
+          }
+        });
+
+        logger.info('Webhook delivered', { callbackUrl, attempt });
+        return { delivered: true, attempts: attempt, error: null };
+      } catch (error) {
+        lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+        logger.warn('Webhook delivery failed', { callbackUrl, attempt, attempts: this.maxAttempts, error: lastError });
+
+        if (attempt < this.maxAttempts) {
+          const delay = this.retryDelayMs * Math.pow(2, attempt - 1);
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+      }
+    }
+
+    return { delivered: false, attempts: this.maxAttempts, error: lastError };
+  }
+}
+
+module.exports = new WebhookService();
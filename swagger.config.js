@@ -81,9 +81,14 @@ const options = {
                 },
                 totalAmount: {
                   type: 'integer',
-                  description: 'Total amount in satoshis',
+                  description: 'Total amount in the token unit',
                   example: 21000
                 },
+                unit: {
+                  type: 'string',
+                  description: 'Unit of the token amounts (sat, msat, usd, eur, ...)',
+                  example: 'sat'
+                },
                 numProofs: {
                   type: 'integer',
                   description: 'Number of proofs in the token',
@@ -105,15 +110,72 @@ const options = {
                 },
                 spent: {
                   type: 'boolean',
-                  description: 'Whether the token has already been spent (true = spent, false = still valid)',
+                  nullable: true,
+                  description: 'Whether every proof of the token has already been spent, null if the mint could not be checked',
+                  example: false
+                },
+                unspentAmount: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Amount in unspent proofs (NUT-07), null if the mint could not be checked',
+                  example: 21000
+                },
+                pendingAmount: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Amount in proofs pending in a payment, null if the mint could not be checked',
+                  example: 0
+                },
+                spentAmount: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Amount in spent proofs, null if the mint could not be checked',
+                  example: 0
+                },
+                multiMint: {
+                  type: 'boolean',
+                  description: 'Whether the token holds proofs from more than one mint',
                   example: false
+                },
+                mints: {
+                  type: 'array',
+                  description: 'Amounts per mint (one entry for single-mint tokens)',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      mint: {
+                        type: 'string',
+                        format: 'uri',
+                        example: 'https://mint.azzamo.net'
+                      },
+                      amount: {
+                        type: 'integer',
+                        example: 21000
+                      },
+                      unit: {
+                        type: 'string',
+                        example: 'sat'
+                      },
+                      numProofs: {
+                        type: 'integer',
+                        example: 3
+                      },
+                      denominations: {
+                        type: 'array',
+                        items: {
+                          type: 'integer'
+                        },
+                        example: [1000, 10000, 10000]
+                      }
+                    }
+                  }
                 }
               }
             },
             mint_url: {
               type: 'string',
               format: 'uri',
-              description: 'Mint URL extracted from token',
+              description: 'Mint URL extracted from token (the first mint for multi-mint tokens)',
               example: 'https://mint.azzamo.net'
             }
           }
@@ -131,9 +193,47 @@ const options = {
             },
             lightningAddress: {
               type: 'string',
-              format: 'email',
-              description: 'Lightning address to send payment to (optional - uses default if not provided)',
+              description: 'Destination to send payment to: Lightning address, bech32 LNURL-pay (lnurl1...), lnurlp:// URL or lightning: URI (optional - uses default if not provided)',
               example: 'user@blink.sv'
+            },
+            comment: {
+              type: 'string',
+              description: 'Comment for the recipient (LUD-12). Rejected if the provider does not accept comments or it exceeds the provider\'s commentAllowed length',
+              example: 'Thanks for the coffee!'
+            },
+            async: {
+              type: 'boolean',
+              description: 'Queue the redemption and return 202 immediately instead of waiting for the payment',
+              default: false
+            },
+            callbackUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'Async mode only: URL that receives a signed webhook (X-Webhook-Signature) when the redemption finishes. Requires WEBHOOK_SECRET on the server',
+              example: 'https://example.com/hooks/cashu'
+            }
+          }
+        },
+
+        RedeemQueuedResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            redeemId: {
+              type: 'string',
+              format: 'uuid',
+              example: '8e99101e-d034-4d2e-9ccf-dfda24d26762'
+            },
+            status: {
+              type: 'string',
+              example: 'queued'
+            },
+            statusUrl: {
+              type: 'string',
+              example: '/api/redeem/8e99101e-d034-4d2e-9ccf-dfda24d26762'
             }
           }
         },
@@ -145,34 +245,68 @@ const options = {
               type: 'boolean',
               example: true
             },
+            redeemId: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Redemption ID (use with GET /api/redeem/{redeemId})',
+              example: '8e99101e-d034-4d2e-9ccf-dfda24d26762'
+            },
+            status: {
+              type: 'string',
+              enum: ['paid', 'failed', 'needs_review', 'partial'],
+              description: 'Final redemption status. needs_review means the mint and the settlement check disagree, partial means a multi-mint token was only paid from some of its mints',
+              example: 'paid'
+            },
             paid: {
               type: 'boolean',
               description: 'Whether the payment was successful',
               example: true
             },
+            settlementVerified: {
+              type: 'boolean',
+              nullable: true,
+              description: 'true if settlement was confirmed via the recipient\'s LUD-21 verify URL, false if the verify URL reported it unsettled or the preimage does not match the payment hash, null if it could not be checked',
+              example: true
+            },
+            warning: {
+              type: 'string',
+              description: 'Why the redemption needs review (only when status is needs_review)',
+              example: 'Mint reported the payment as paid but the recipient reports it as not settled'
+            },
             amount: {
               type: 'integer',
-              description: 'Total amount redeemed in satoshis',
+              description: 'Total amount redeemed in the token unit',
               example: 21000
             },
+            unit: {
+              type: 'string',
+              description: 'Unit of the token amounts (sat, msat, usd, eur, ...)',
+              example: 'sat'
+            },
             invoiceAmount: {
               type: 'integer',
-              description: 'Actual amount sent in Lightning invoice (after subtracting fees)',
+              description: 'Actual amount sent in Lightning invoice in satoshis (after subtracting fees)',
               example: 20580
             },
             to: {
               type: 'string',
-              description: 'Lightning address that received the payment',
+              description: 'Lightning address or LNURL that received the payment',
               example: 'user@ln.tips'
             },
+            destinationType: {
+              type: 'string',
+              enum: ['lightning_address', 'lnurl'],
+              description: 'Kind of destination that was paid',
+              example: 'lightning_address'
+            },
             fee: {
               type: 'integer',
-              description: 'Actual fee charged by mint in satoshis',
+              description: 'Fee reserve from the mint melt quote in the token unit',
               example: 1000
             },
             actualFee: {
               type: 'integer',
-              description: 'Calculated fee according to NUT-05 (2% min 1 sat)',
+              description: 'Fee actually charged by the mint in the token unit (the part of the fee reserve that was not returned as change)',
               example: 420
             },
             netAmount: {
@@ -197,6 +331,26 @@ const options = {
               description: 'Lightning payment preimage (if available)',
               example: 'abc123def456...'
             },
+            changeToken: {
+              type: 'string',
+              description: 'Cashu token holding the change returned by the mint (unused fee reserve). Only present when there is change.',
+              example: 'cashuAeyJ0b2tlbiI6...'
+            },
+            changeAmount: {
+              type: 'integer',
+              description: 'Amount of the change token in the token unit',
+              example: 2
+            },
+            successAction: {
+              $ref: '#/components/schemas/SuccessAction'
+            },
+            mints: {
+              type: 'array',
+              description: 'Multi-mint tokens only: outcome of the invoice paid from each mint',
+              items: {
+                $ref: '#/components/schemas/MintPart'
+              }
+            },
             usingDefaultAddress: {
               type: 'boolean',
               description: 'Whether default Lightning address was used',
@@ -210,133 +364,1115 @@ const options = {
           }
         },
         
-        // Validate Address Schemas
-        ValidateAddressRequest: {
+        SuccessAction: {
           type: 'object',
-          required: ['lightningAddress'],
+          description: 'LNURLp successAction from the recipient (LUD-09). AES payloads (LUD-10) are decrypted with the payment preimage. Only present when the recipient provided one.',
           properties: {
-            lightningAddress: {
+            tag: {
               type: 'string',
-              format: 'email',
-              description: 'Lightning address to validate',
-              example: 'user@ln.tips'
+              enum: ['message', 'url', 'aes'],
+              example: 'aes'
+            },
+            message: {
+              type: 'string',
+              description: 'Message (tag: message)',
+              example: 'Thank you for your payment!'
+            },
+            description: {
+              type: 'string',
+              description: 'Description (tag: url or aes)',
+              example: 'Your ticket code'
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'URL to open (tag: url)',
+              example: 'https://example.com/receipt/123'
+            },
+            decrypted: {
+              type: 'string',
+              description: 'Decrypted plaintext (tag: aes)',
+              example: 'TICKET-8F2K-19QX'
+            },
+            error: {
+              type: 'string',
+              description: 'Why the success action could not be processed',
+              example: null
             }
           }
         },
-        
-        ValidateAddressResponse: {
+
+        // Pay Invoice Schemas
+        MintPart: {
           type: 'object',
           properties: {
-            success: {
-              type: 'boolean',
-              example: true
+            mint: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://mint.azzamo.net'
             },
-            valid: {
-              type: 'boolean',
-              example: true
+            amount: {
+              type: 'integer',
+              description: 'Token amount from this mint',
+              example: 100
             },
-            domain: {
+            unit: {
               type: 'string',
-              example: 'ln.tips'
+              example: 'sat'
             },
-            minSendable: {
-              type: 'integer',
-              description: 'Minimum sendable amount in satoshis',
-              example: 1
+            status: {
+              type: 'string',
+              enum: ['paid', 'failed', 'needs_review'],
+              example: 'paid'
             },
-            maxSendable: {
+            paid: {
+              type: 'boolean',
+              example: true
+            },
+            invoiceAmount: {
               type: 'integer',
-              description: 'Maximum sendable amount in satoshis',
-              example: 100000000
+              example: 97
             },
-            commentAllowed: {
+            fee: {
               type: 'integer',
-              description: 'Maximum comment length allowed',
-              example: 144
+              example: 3
+            },
+            settlementVerified: {
+              type: 'boolean',
+              nullable: true
+            },
+            changeToken: {
+              type: 'string'
+            },
+            changeAmount: {
+              type: 'integer'
+            },
+            successAction: {
+              $ref: '#/components/schemas/SuccessAction'
             },
             error: {
               type: 'string',
-              description: 'Error message if validation failed',
+              nullable: true,
               example: null
             }
           }
         },
-        
-        HealthResponse: {
+
+        BatchRedeemRequest: {
           type: 'object',
+          required: ['tokens'],
           properties: {
-            status: {
+            tokens: {
+              type: 'array',
+              maxItems: 50,
+              items: {
+                type: 'string'
+              },
+              description: 'Cashu tokens to redeem (may come from different mints)',
+              example: ['cashuB...', 'cashuB...']
+            },
+            lightningAddress: {
               type: 'string',
-              example: 'OK'
+              description: 'Destination for all tokens (optional - uses default if not provided)',
+              example: 'user@blink.sv'
             },
-            message: {
+            comment: {
               type: 'string',
-              example: 'API is healthy'
-            }
-          }
-        }
-      },
-      
-      responses: {
-        BadRequest: {
-          description: 'Bad request - invalid input',
-          content: {
-            'application/json': {
-              schema: {
-                $ref: '#/components/schemas/ErrorResponse'
-              }
+              description: 'Comment for the recipient, sent with every invoice',
+              example: 'Meetup donations'
             }
           }
         },
-        NotFound: {
-          description: 'Resource not found',
-          content: {
-            'application/json': {
-              schema: {
-                $ref: '#/components/schemas/ErrorResponse'
+
+        BatchRedeemResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            batchId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            status: {
+              type: 'string',
+              enum: ['paid', 'partial', 'failed'],
+              description: 'paid when every token was redeemed, partial when some were',
+              example: 'paid'
+            },
+            to: {
+              type: 'string',
+              example: 'user@blink.sv'
+            },
+            destinationType: {
+              type: 'string',
+              example: 'lightning_address'
+            },
+            amount: {
+              type: 'integer',
+              description: 'Total token amount redeemed',
+              example: 2100
+            },
+            unit: {
+              type: 'string',
+              description: 'Unit of the token amounts (sat, msat, usd, eur, ...)',
+              example: 'sat'
+            },
+            invoiceAmount: {
+              type: 'integer',
+              description: 'Total amount sent over Lightning',
+              example: 2080
+            },
+            fee: {
+              type: 'integer',
+              description: 'Total fee reserve across mints',
+              example: 20
+            },
+            mints: {
+              type: 'array',
+              description: 'One entry per mint (one invoice and melt each)',
+              items: {
+                type: 'object',
+                properties: {
+                  redeemId: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  mint: {
+                    type: 'string',
+                    format: 'uri'
+                  },
+                  status: {
+                    type: 'string',
+                    example: 'paid'
+                  },
+                  paid: {
+                    type: 'boolean'
+                  },
+                  amount: {
+                    type: 'integer'
+                  },
+                  unit: {
+                    type: 'string',
+                    example: 'sat'
+                  },
+                  invoiceAmount: {
+                    type: 'integer'
+                  },
+                  fee: {
+                    type: 'integer'
+                  },
+                  preimage: {
+                    type: 'string'
+                  },
+                  changeToken: {
+                    type: 'string'
+                  },
+                  changeAmount: {
+                    type: 'integer'
+                  },
+                  tokens: {
+                    type: 'array',
+                    description: 'Indexes of the tokens melted in this group',
+                    items: {
+                      type: 'integer'
+                    }
+                  },
+                  error: {
+                    type: 'string',
+                    nullable: true
+                  }
+                }
               }
-            }
-          }
-        },
-        InternalServerError: {
-          description: 'Internal server error',
-          content: {
-            'application/json': {
-              schema: {
-                $ref: '#/components/schemas/ErrorResponse'
+            },
+            tokens: {
+              type: 'array',
+              description: 'Outcome for every token, in request order',
+              items: {
+                type: 'object',
+                properties: {
+                  index: {
+                    type: 'integer',
+                    example: 0
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['paid', 'failed', 'needs_review', 'partial'],
+                    description: 'partial when a multi-mint token was only redeemed at some of its mints',
+                    example: 'paid'
+                  },
+                  redeemId: {
+                    type: 'string',
+                    format: 'uuid',
+                    nullable: true
+                  },
+                  mint: {
+                    type: 'string',
+                    format: 'uri',
+                    nullable: true
+                  },
+                  amount: {
+                    type: 'integer',
+                    nullable: true,
+                    example: 100
+                  },
+                  unit: {
+                    type: 'string',
+                    example: 'sat'
+                  },
+                  error: {
+                    type: 'string',
+                    nullable: true,
+                    example: null
+                  }
+                }
               }
             }
           }
         },
-        TooManyRequests: {
-          description: 'Rate limit exceeded',
-          content: {
-            'application/json': {
-              schema: {
-                allOf: [
-                  { $ref: '#/components/schemas/ErrorResponse' },
-                  {
-                    properties: {
-                      error: {
-                        example: 'Rate limit exceeded. Please try again later.'
-                      }
-                    }
-                  }
-                ]
-              }
+
+        PayInvoiceRequest: {
+          type: 'object',
+          required: ['token', 'invoice'],
+          properties: {
+            token: {
+              type: 'string',
+              description: 'Cashu token to pay with',
+              example: 'cashuB...'
+            },
+            invoice: {
+              type: 'string',
+              description: 'BOLT11 invoice with an amount (optionally prefixed with lightning:)',
+              example: 'lnbc210u1p...'
             }
           }
-        }
-      }
-    },
-    tags: [
-      {
-        name: 'Token Operations',
-        description: 'Operations for decoding and redeeming Cashu tokens'
-      },
-      {
-        name: 'Validation',
-        description: 'Validation utilities for tokens and Lightning addresses'
+        },
+
+        PayInvoiceResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            redeemId: {
+              type: 'string',
+              format: 'uuid',
+              example: '8e99101e-d034-4d2e-9ccf-dfda24d26762'
+            },
+            status: {
+              type: 'string',
+              enum: ['paid', 'failed', 'needs_review'],
+              example: 'paid'
+            },
+            paid: {
+              type: 'boolean',
+              example: true
+            },
+            settlementVerified: {
+              type: 'boolean',
+              nullable: true,
+              description: 'false if the preimage does not match the invoice payment hash, otherwise null (invoices have no verify URL)',
+              example: null
+            },
+            warning: {
+              type: 'string',
+              description: 'Why the payment needs review (only when status is needs_review)'
+            },
+            amount: {
+              type: 'integer',
+              description: 'Total token amount in the token unit',
+              example: 21000
+            },
+            unit: {
+              type: 'string',
+              description: 'Unit of the token amounts (sat, msat, usd, eur, ...)',
+              example: 'sat'
+            },
+            invoiceAmount: {
+              type: 'integer',
+              description: 'Invoice amount in satoshis',
+              example: 20000
+            },
+            paymentHash: {
+              type: 'string',
+              description: 'Payment hash of the invoice',
+              example: '0001020304050607080900010203040506070809000102030405060708090102'
+            },
+            fee: {
+              type: 'integer',
+              description: 'Fee reserve from the mint melt quote in the token unit',
+              example: 400
+            },
+            netAmount: {
+              type: 'integer',
+              description: 'Amount received by the invoice issuer in satoshis',
+              example: 20000
+            },
+            mint_url: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://mint.azzamo.net'
+            },
+            format: {
+              type: 'string',
+              enum: ['cashuA', 'cashuB'],
+              example: 'cashuA'
+            },
+            preimage: {
+              type: 'string',
+              description: 'Lightning payment preimage (if available)',
+              example: 'abc123def456...'
+            },
+            changeToken: {
+              type: 'string',
+              description: 'Cashu token holding the unused fee reserve and excess token value',
+              example: 'cashuAeyJ0b2tlbiI6...'
+            },
+            changeAmount: {
+              type: 'integer',
+              example: 600
+            }
+          }
+        },
+
+        // Redemption Status Schemas
+        RedemptionStatusResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            redeemId: {
+              type: 'string',
+              format: 'uuid',
+              example: '8e99101e-d034-4d2e-9ccf-dfda24d26762'
+            },
+            status: {
+              type: 'string',
+              description: 'Current redemption status',
+              example: 'paid'
+            },
+            details: {
+              type: 'object',
+              properties: {
+                amount: {
+                  type: 'integer',
+                  example: 21000
+                },
+                unit: {
+                  type: 'string',
+                  example: 'sat'
+                },
+                to: {
+                  type: 'string',
+                  example: 'user@ln.tips'
+                },
+                destinationType: {
+                  type: 'string',
+                  enum: ['lightning_address', 'lnurl', 'bolt11'],
+                  example: 'lightning_address'
+                },
+                paid: {
+                  type: 'boolean',
+                  example: true
+                },
+                settlementVerified: {
+                  type: 'boolean',
+                  nullable: true,
+                  example: true
+                },
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                updatedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                paidAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                fee: {
+                  type: 'integer',
+                  example: 1000
+                },
+                error: {
+                  type: 'string',
+                  example: null
+                },
+                mint: {
+                  type: 'string',
+                  format: 'uri',
+                  example: 'https://mint.azzamo.net'
+                },
+                domain: {
+                  type: 'string',
+                  example: 'ln.tips'
+                },
+                changeToken: {
+                  type: 'string',
+                  description: 'Change token returned to the redeemer (if any). Only included for the API key that redeemed (or an admin key) and in webhooks',
+                  example: 'cashuAeyJ0b2tlbiI6...'
+                },
+                changeAmount: {
+                  type: 'integer',
+                  example: 2
+                },
+                successAction: {
+                  $ref: '#/components/schemas/SuccessAction'
+                },
+                mints: {
+                  type: 'array',
+                  description: 'Multi-mint tokens only: per-mint outcome',
+                  items: {
+                    $ref: '#/components/schemas/MintPart'
+                  }
+                },
+                webhook: {
+                  type: 'object',
+                  description: 'Webhook delivery outcome (async redemptions with a callbackUrl)',
+                  properties: {
+                    delivered: {
+                      type: 'boolean',
+                      example: true
+                    },
+                    attempts: {
+                      type: 'integer',
+                      example: 1
+                    },
+                    error: {
+                      type: 'string',
+                      nullable: true,
+                      example: null
+                    },
+                    deliveredAt: {
+                      type: 'string',
+                      format: 'date-time',
+                      nullable: true
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+
+        RedemptionSummary: {
+          type: 'object',
+          properties: {
+            redeemId: {
+              type: 'string',
+              format: 'uuid'
+            },
+            status: {
+              type: 'string',
+              example: 'paid'
+            },
+            amount: {
+              type: 'integer',
+              example: 21000
+            },
+            unit: {
+              type: 'string',
+              example: 'sat'
+            },
+            invoiceAmount: {
+              type: 'integer',
+              example: 20580
+            },
+            fee: {
+              type: 'integer',
+              example: 420
+            },
+            to: {
+              type: 'string',
+              example: 'user@ln.tips'
+            },
+            destinationType: {
+              type: 'string',
+              enum: ['lightning_address', 'lnurl', 'bolt11'],
+              example: 'lightning_address'
+            },
+            usingDefaultAddress: {
+              type: 'boolean',
+              example: false
+            },
+            mint: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://mint.azzamo.net'
+            },
+            domain: {
+              type: 'string',
+              example: 'ln.tips'
+            },
+            format: {
+              type: 'string',
+              enum: ['cashuA', 'cashuB']
+            },
+            paid: {
+              type: 'boolean',
+              example: true
+            },
+            settlementVerified: {
+              type: 'boolean',
+              nullable: true,
+              example: true
+            },
+            error: {
+              type: 'string',
+              example: null
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            paidAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            apiKeyId: {
+              type: 'string',
+              nullable: true,
+              description: 'API key the redemption was created with (admin for ADMIN_API_KEY, null without a key)',
+              example: '7c9e6679-7425-40de-944b-e07fc1f90ae7'
+            }
+          }
+        },
+
+        RedemptionListResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            redemptions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/RedemptionSummary'
+              }
+            },
+            pagination: {
+              type: 'object',
+              properties: {
+                page: {
+                  type: 'integer',
+                  example: 1
+                },
+                limit: {
+                  type: 'integer',
+                  example: 20
+                },
+                total: {
+                  type: 'integer',
+                  example: 42
+                },
+                totalPages: {
+                  type: 'integer',
+                  example: 3
+                }
+              }
+            }
+          }
+        },
+        
+        // Validate Address Schemas
+        ValidateAddressRequest: {
+          type: 'object',
+          required: ['lightningAddress'],
+          properties: {
+            lightningAddress: {
+              type: 'string',
+              description: 'Lightning address or LNURL-pay link to validate',
+              example: 'user@ln.tips'
+            }
+          }
+        },
+        
+        ValidateAddressResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            valid: {
+              type: 'boolean',
+              example: true
+            },
+            type: {
+              type: 'string',
+              enum: ['lightning_address', 'lnurl'],
+              description: 'Kind of destination',
+              example: 'lightning_address'
+            },
+            domain: {
+              type: 'string',
+              example: 'ln.tips'
+            },
+            minSendable: {
+              type: 'integer',
+              description: 'Minimum sendable amount in satoshis',
+              example: 1
+            },
+            maxSendable: {
+              type: 'integer',
+              description: 'Maximum sendable amount in satoshis',
+              example: 100000000
+            },
+            commentAllowed: {
+              type: 'integer',
+              description: 'Maximum comment length allowed',
+              example: 144
+            },
+            error: {
+              type: 'string',
+              description: 'Error message if validation failed',
+              example: null
+            }
+          }
+        },
+        
+        MintInfoResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            mint: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://mint.azzamo.net'
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+              example: 'Azzamo Mint'
+            },
+            version: {
+              type: 'string',
+              nullable: true,
+              example: 'Nutshell/0.16.0'
+            },
+            supportedNuts: {
+              type: 'array',
+              description: 'NUTs the mint supports (NUT-00 to 03 and 06 are always included)',
+              items: {
+                type: 'integer'
+              },
+              example: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]
+            },
+            info: {
+              type: 'object',
+              description: 'NUT-06 mint info as returned by the mint'
+            },
+            cache: {
+              type: 'object',
+              properties: {
+                fetchedAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  description: 'When the info was fetched from the mint'
+                },
+                ageSeconds: {
+                  type: 'integer',
+                  example: 120
+                },
+                ttlSeconds: {
+                  type: 'integer',
+                  description: 'How long info is cached (MINT_INFO_TTL)',
+                  example: 3600
+                },
+                expiresIn: {
+                  type: 'integer',
+                  description: 'Seconds until the info is fetched again',
+                  example: 3480
+                }
+              }
+            }
+          }
+        },
+        HealthResponse: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              example: 'ok'
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time'
+            },
+            uptime: {
+              type: 'number',
+              example: 3600
+            },
+            queue: {
+              type: 'object',
+              description: 'Async redemption queue',
+              properties: {
+                running: { type: 'integer', example: 1 },
+                pending: { type: 'integer', example: 0 },
+                concurrency: { type: 'integer', example: 2 },
+                maxQueueSize: { type: 'integer', example: 100 }
+              }
+            },
+            mintCircuits: {
+              type: 'object',
+              description: 'Number of tracked mints per circuit state',
+              properties: {
+                tracked: { type: 'integer', example: 3 },
+                closed: { type: 'integer', example: 2 },
+                open: { type: 'integer', example: 1 },
+                half_open: { type: 'integer', example: 0 }
+              }
+            },
+            mints: {
+              type: 'array',
+              description: 'Health of each tracked mint (only for an API key with the admin scope)',
+              items: {
+                $ref: '#/components/schemas/MintHealth'
+              }
+            },
+            version: {
+              type: 'string',
+              example: '1.0.0'
+            }
+          }
+        },
+        MintHealth: {
+          type: 'object',
+          properties: {
+            mint: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://mint.azzamo.net'
+            },
+            state: {
+              type: 'string',
+              enum: ['closed', 'open', 'half_open'],
+              description: 'Circuit breaker state: closed (healthy), open (requests fail fast) or half_open (probing)',
+              example: 'closed'
+            },
+            successes: {
+              type: 'integer',
+              example: 42
+            },
+            failures: {
+              type: 'integer',
+              example: 1
+            },
+            consecutiveFailures: {
+              type: 'integer',
+              example: 0
+            },
+            avgLatencyMs: {
+              type: 'integer',
+              nullable: true,
+              example: 180
+            },
+            lastLatencyMs: {
+              type: 'integer',
+              nullable: true,
+              example: 150
+            },
+            lastError: {
+              type: 'string',
+              nullable: true
+            },
+            lastErrorAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastSuccessAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            retryAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the next probe is allowed (only while open)'
+            }
+          }
+        },
+
+        // API Key Schemas
+        ApiKeyRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Name to recognize the key by (required when creating a key)',
+              example: 'Merchant checkout'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['decode', 'redeem', 'pay-invoice', 'admin']
+              },
+              description: 'Scopes granted to the key (default: redeem). Paying invoices needs the separate pay-invoice scope',
+              example: ['decode', 'redeem']
+            },
+            requestsPerDay: {
+              type: 'integer',
+              nullable: true,
+              description: 'Maximum requests per UTC day (null for unlimited)',
+              example: 1000
+            },
+            satsPerDay: {
+              type: 'integer',
+              nullable: true,
+              description: 'Maximum sats paid out per UTC day (null for unlimited)',
+              example: 500000
+            },
+            defaultLightningAddress: {
+              type: 'string',
+              nullable: true,
+              description: 'Destination for redemptions made with this key without a Lightning address (overrides DEFAULT_LIGHTNING_ADDRESS)',
+              example: 'merchant@getalby.com'
+            }
+          }
+        },
+
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              example: '7c9e6679-7425-40de-944b-e07fc1f90ae7'
+            },
+            name: {
+              type: 'string',
+              example: 'Merchant checkout'
+            },
+            keyPrefix: {
+              type: 'string',
+              description: 'First characters of the key',
+              example: 'crk_3f9a1c'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['decode', 'redeem']
+            },
+            requestsPerDay: {
+              type: 'integer',
+              nullable: true,
+              example: 1000
+            },
+            satsPerDay: {
+              type: 'integer',
+              nullable: true,
+              example: 500000
+            },
+            defaultLightningAddress: {
+              type: 'string',
+              nullable: true,
+              example: 'merchant@getalby.com'
+            },
+            usage: {
+              type: 'object',
+              description: 'Usage in the current UTC day',
+              properties: {
+                period: {
+                  type: 'string',
+                  example: '2025-01-15'
+                },
+                requests: {
+                  type: 'integer',
+                  example: 42
+                },
+                sats: {
+                  type: 'integer',
+                  example: 21000
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+
+        ApiKeyResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            apiKey: {
+              $ref: '#/components/schemas/ApiKey'
+            }
+          }
+        },
+
+        ApiKeyCreatedResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            key: {
+              type: 'string',
+              description: 'The API key - only returned once',
+              example: 'crk_3f9a1c...'
+            },
+            apiKey: {
+              $ref: '#/components/schemas/ApiKey'
+            }
+          }
+        },
+
+        ApiKeyListResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            keys: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/ApiKey'
+              }
+            }
+          }
+        }
+      },
+      
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key created through /api/admin/keys, or the bootstrap admin key (ADMIN_API_KEY)'
+        }
+      },
+
+      responses: {
+        BadRequest: {
+          description: 'Bad request - invalid input',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
+        Unauthorized: {
+          description: 'Missing or invalid API key',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
+        NotFound: {
+          description: 'Resource not found',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
+        InternalServerError: {
+          description: 'Internal server error',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
+        TooManyRequests: {
+          description: 'Rate limit exceeded (errorType rate_limited - wait `Retry-After` seconds), or the API key\'s daily request or sat quota is used up (errorType quota_exceeded)',
+          headers: {
+            'Retry-After': {
+              description: 'Seconds until the request can be retried',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Limit': {
+              description: 'Requests allowed per minute for this route',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Remaining': {
+              description: 'Requests left right now',
+              schema: { type: 'integer' }
+            },
+            'RateLimit-Reset': {
+              description: 'Seconds until the full limit is available again',
+              schema: { type: 'integer' }
+            }
+          },
+          content: {
+            'application/json': {
+              schema: {
+                allOf: [
+                  { $ref: '#/components/schemas/ErrorResponse' },
+                  {
+                    properties: {
+                      error: {
+                        example: 'Rate limit exceeded. Please try again later.'
+                      }
+                    }
+                  }
+                ]
+              }
+            }
+          }
+        }
+      }
+    },
+    tags: [
+      {
+        name: 'Token Operations',
+        description: 'Operations for decoding and redeeming Cashu tokens'
+      },
+      {
+        name: 'Validation',
+        description: 'Validation utilities for tokens and Lightning addresses'
+      },
+      {
+        name: 'Mints',
+        description: 'Capabilities of the mints tokens come from'
+      },
+      {
+        name: 'Status & Monitoring',
+        description: 'Health checks and redemption history'
+      },
+      {
+        name: 'Admin',
+        description: 'API key management (requires the admin scope)'
       }
     ]
   },
@@ -0,0 +1,59 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+const addressPolicy = require('../services/addressPolicy');
+
+test('IPv6 addresses wrapping a private IPv4 address are private', () => {
+  for (const address of [
+    '::ffff:127.0.0.1', '::ffff:7f00:1', '::127.0.0.1', // IPv4-mapped and -compatible
+    '64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', // NAT64
+    '2002:c0a8:0101::1' // 6to4 of 192.168.1.1
+  ]) {
+    assert.strictEqual(addressPolicy.isPrivateAddress(address), true, address);
+  }
+});
+
+test('IPv6 addresses wrapping a public IPv4 address are public', () => {
+  for (const address of ['::ffff:8.8.8.8', '64:ff9b::8.8.8.8', '2002:0808:0808::1', '2606:4700::1111']) {
+    assert.strictEqual(addressPolicy.isPrivateAddress(address), false, address);
+  }
+});
+
+test('getEmbeddedIPv4 extracts the IPv4 address', () => {
+  assert.strictEqual(addressPolicy.getEmbeddedIPv4('::ffff:7f00:1'), '127.0.0.1');
+  assert.strictEqual(addressPolicy.getEmbeddedIPv4('64:ff9b::c0a8:101'), '192.168.1.1');
+  assert.strictEqual(addressPolicy.getEmbeddedIPv4('2002:0a00:0001::'), '10.0.0.1');
+  assert.strictEqual(addressPolicy.getEmbeddedIPv4('2606:4700::1111'), null);
+});
+
+test('assertPublicUrl rejects local names and private literals without resolving them', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => {
+    throw new Error('should not resolve');
+  });
+
+  for (const url of ['https://localhost/x', 'https://mint.local/x', 'https://127.0.0.1/x', 'https://[::ffff:10.0.0.1]/x', 'https://[64:ff9b::7f00:1]/x']) {
+    await assert.rejects(addressPolicy.assertPublicUrl(url, 'Mint URL'), /Mint URL points to a private or local address/, url);
+  }
+});
+
+test('assertPublicUrl rejects hostnames resolving to a private address', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }, { address: '::ffff:192.168.0.10', family: 6 }]);
+
+  await assert.rejects(addressPolicy.assertPublicUrl('https://mint.example.com', 'Mint URL'), /Mint URL resolves to a private address/);
+});
+
+test('assertPublicUrl accepts hostnames resolving to public addresses only', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+
+  await addressPolicy.assertPublicUrl('https://mint.example.com', 'Mint URL');
+});
+
+test('assertPublicUrl rejects hostnames that do not resolve', async (t) => {
+  t.mock.method(dns.promises, 'lookup', async () => {
+    throw new Error('getaddrinfo ENOTFOUND mint.example.com');
+  });
+
+  await assert.rejects(addressPolicy.assertPublicUrl('https://mint.example.com', 'Mint URL'), /could not be resolved/);
+});
@@ -0,0 +1,61 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const apiKeyService = require('../services/apiKeys');
+
+const usedSats = async apiKey => apiKeyService.getUsage(await apiKeyService.keys.get(apiKey.id)).sats;
+
+test('reserveVolume lets concurrent reservations use up satsPerDay but not overshoot it', async () => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'volume', satsPerDay: 100 });
+
+  const results = await Promise.allSettled([40, 40, 40].map(sats => apiKeyService.reserveVolume(apiKey, sats)));
+
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.match(results[2].reason.message, /^Quota exceeded: .* \(20 sats left today\)/);
+  assert.strictEqual(await usedSats(apiKey), 80);
+});
+
+test('releaseVolume gives back a reservation', async () => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'release', satsPerDay: 100 });
+
+  const reservation = await apiKeyService.reserveVolume(apiKey, 60);
+  await apiKeyService.releaseVolume(apiKey, reservation);
+
+  assert.strictEqual(await usedSats(apiKey), 0);
+  assert.ok(await apiKeyService.reserveVolume(apiKey, 100));
+});
+
+test('releaseVolume ignores a reservation from an earlier day', async () => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'rollover', satsPerDay: 100 });
+
+  const reservation = await apiKeyService.reserveVolume(apiKey, 30);
+  await apiKeyService.releaseVolume(apiKey, { ...reservation, period: '2000-01-01' });
+
+  assert.strictEqual(await usedSats(apiKey), 30);
+});
+
+test('reserveVolume does not limit keys without a volume quota or the admin key', async () => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'unlimited' });
+
+  assert.deepStrictEqual(await apiKeyService.reserveVolume(apiKey, 1000000), { sats: 1000000, period: apiKeyService.getPeriod() });
+  assert.strictEqual(await apiKeyService.reserveVolume({ id: 'admin' }, 1000000), null);
+  assert.strictEqual(await apiKeyService.reserveVolume(null, 1000000), null);
+});
+
+test('consumeRequest stops at requestsPerDay', async () => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'requests', requestsPerDay: 2 });
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => apiKeyService.consumeRequest(apiKey)));
+
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.match(results[2].reason.message, /^Quota exceeded: API key allows 2 requests per day/);
+});
+
+test('revokeKey removes the key so it no longer authenticates', async () => {
+  const { apiKey, key } = await apiKeyService.createKey({ name: 'revoked' });
+
+  assert.strictEqual((await apiKeyService.authenticate(key)).id, apiKey.id);
+  assert.strictEqual(await apiKeyService.revokeKey(apiKey.id), true);
+  assert.strictEqual(await apiKeyService.authenticate(key), null);
+});
@@ -0,0 +1,191 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { getEncodedToken, getDecodedToken } = require('@cashu/cashu-ts');
+const cashuService = require('../services/cashu');
+
+const MINT_URL = 'https://mint.example.com';
+const BOLT11 = 'lnbc1test';
+
+const proof = amount => ({ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: '02' + 'a'.repeat(64) });
+
+/**
+ * Stub the mint behind meltProofs: proof selection returns `send` and `keep`, the melt
+ * returns `meltResponse`. Calls are recorded in order.
+ */
+function stubWallet(t, { send, keep = [], meltResponse }) {
+  const calls = [];
+  const wallet = {
+    createMeltQuote: async () => {
+      calls.push('createMeltQuote');
+      return { quote: 'q1', amount: 90, fee_reserve: 5 };
+    },
+    send: async (amount, proofs, options) => {
+      calls.push('send');
+      assert.deepStrictEqual(options, { includeFees: true });
+      return { send, returnChange: keep };
+    },
+    meltTokens: async (quote, proofs) => {
+      calls.push('meltTokens');
+      assert.deepStrictEqual(proofs, send);
+      return meltResponse;
+    }
+  };
+  t.mock.method(cashuService, 'assertMintSupports', async () => {});
+  t.mock.method(cashuService, 'getWallet', async () => wallet);
+  return calls;
+}
+
+test('meltProofs returns overpaid fees and kept proofs as a change token', async (t) => {
+  const proofs = [proof(64), proof(32), proof(8)];
+  const send = [proof(64), proof(32)];
+  const keep = [proof(8)];
+  const feeChange = [proof(2)];
+  stubWallet(t, { send, keep, meltResponse: { paid: true, preimage: 'ab'.repeat(32), change: feeChange } });
+
+  const result = await cashuService.meltProofs(MINT_URL, proofs, BOLT11);
+
+  assert.strictEqual(result.paid, true);
+  assert.strictEqual(result.quote, 'q1');
+  assert.strictEqual(result.changeAmount, 10);
+  const change = getDecodedToken(result.changeToken);
+  assert.strictEqual(change.token[0].mint, MINT_URL);
+  assert.deepStrictEqual(change.token[0].proofs.map(p => p.secret).sort(),
+    [...feeChange, ...keep].map(p => p.secret).sort());
+});
+
+test('meltProofs returns no change token when nothing is left over', async (t) => {
+  const proofs = [proof(64), proof(32)];
+  stubWallet(t, { send: proofs, meltResponse: { paid: true, preimage: 'ab'.repeat(32), change: [] } });
+
+  const result = await cashuService.meltProofs(MINT_URL, proofs, BOLT11);
+
+  assert.strictEqual(result.changeToken, null);
+  assert.strictEqual(result.changeAmount, 0);
+});
+
+test('meltProofs reports the selected proofs before melting them', async (t) => {
+  const proofs = [proof(64), proof(32), proof(8)];
+  const send = [proof(64), proof(32)];
+  const keep = [proof(8)];
+  const calls = stubWallet(t, { send, keep, meltResponse: { paid: true, preimage: 'ab'.repeat(32) } });
+
+  let selected = null;
+  await cashuService.meltProofs(MINT_URL, proofs, BOLT11, null, 'sat', async (selection) => {
+    calls.push('onProofsSelected');
+    selected = selection;
+  });
+
+  assert.deepStrictEqual(calls, ['createMeltQuote', 'send', 'onProofsSelected', 'meltTokens']);
+  assert.deepStrictEqual(selected, { send, keep });
+});
+
+test('meltProofs reuses an existing melt quote', async (t) => {
+  const proofs = [proof(64), proof(32)];
+  const calls = stubWallet(t, { send: proofs, meltResponse: { paid: true, preimage: 'ab'.repeat(32) } });
+
+  const result = await cashuService.meltProofs(MINT_URL, proofs, BOLT11, { quote: 'existing', amount: 90, fee_reserve: 4 });
+
+  assert.strictEqual(result.quote, 'existing');
+  assert.ok(!calls.includes('createMeltQuote'));
+});
+
+test('meltProofs refuses to melt when the proofs cannot cover amount and fee reserve', async (t) => {
+  const proofs = [proof(64), proof(16), proof(8)];
+  const calls = stubWallet(t, { send: proofs, meltResponse: { paid: true } });
+
+  await assert.rejects(cashuService.meltProofs(MINT_URL, proofs, BOLT11), /Insufficient funds/);
+  assert.deepStrictEqual(calls, ['createMeltQuote']);
+});
+
+test('meltProofs does not report a melt error after proof selection as a spent token', async (t) => {
+  const proofs = [proof(64), proof(32)];
+  stubWallet(t, { send: proofs, meltResponse: null });
+  const wallet = await cashuService.getWallet(MINT_URL);
+  wallet.meltTokens = async () => {
+    throw Object.assign(new Error('Request failed with status code 422'), { status: 422 });
+  };
+
+  await assert.rejects(cashuService.meltProofs(MINT_URL, proofs, BOLT11), (error) => {
+    assert.doesNotMatch(error.message, /already been spent/);
+    assert.match(error.message, /^Melt operation failed/);
+    return true;
+  });
+});
+
+test('meltProofs reports the fee as what was sent beyond the invoice and not returned', async (t) => {
+  const proofs = [proof(64), proof(32)];
+  stubWallet(t, { send: proofs, meltResponse: { paid: true, preimage: 'ab'.repeat(32), change: [proof(2)] } });
+
+  const result = await cashuService.meltProofs(MINT_URL, proofs, BOLT11);
+
+  // 96 sent for a 90 sat invoice, 2 returned as change
+  assert.strictEqual(result.actualFee, 4);
+  assert.strictEqual(result.fee, 4);
+  assert.strictEqual(result.changeAmount, 2);
+});
+
+test('meltProofs takes the fee the mint reports', async (t) => {
+  const proofs = [proof(64), proof(32)];
+  stubWallet(t, { send: proofs, meltResponse: { paid: true, preimage: 'ab'.repeat(32), change: [], fee_paid: 3 } });
+
+  const result = await cashuService.meltProofs(MINT_URL, proofs, BOLT11);
+
+  assert.strictEqual(result.actualFee, 3);
+});
+
+test('parseToken breaks a multi-mint token down per mint', async () => {
+  const otherMint = 'https://other-mint.example.com';
+  const token = getEncodedToken({ token: [
+    { mint: MINT_URL, proofs: [proof(64)] },
+    { mint: otherMint, proofs: [proof(16), proof(4)] },
+    { mint: MINT_URL, proofs: [proof(32)] }
+  ] });
+
+  const parsed = await cashuService.parseToken(token);
+
+  assert.strictEqual(parsed.multiMint, true);
+  assert.strictEqual(parsed.totalAmount, 116);
+  assert.deepStrictEqual(parsed.mints.map(entry => [entry.mint, entry.amount, entry.numProofs]), [
+    [MINT_URL, 96, 2],
+    [otherMint, 20, 2]
+  ]);
+});
+
+/**
+ * Apply MINT_MAX_AMOUNTS for one test
+ */
+function limitMints(t, value) {
+  const previous = cashuService.mintMaxAmounts;
+  cashuService.mintMaxAmounts = cashuService.parseMintMaxAmounts(value);
+  t.after(() => { cashuService.mintMaxAmounts = previous; });
+}
+
+const tokenData = (mint, amount, unit = 'sat') => ({ mints: [{ mint, amount, unit }] });
+
+test('parseMintMaxAmounts splits mint URLs containing = on the last one', () => {
+  assert.deepStrictEqual(cashuService.parseMintMaxAmounts('https://mint.example.com/?a=b=100, mint.other.com=5'), [
+    { mint: 'https://mint.example.com/?a=b', maxAmount: 100 },
+    { mint: 'mint.other.com', maxAmount: 5 }
+  ]);
+  assert.throws(() => cashuService.parseMintMaxAmounts('mint.example.com'), /Invalid MINT_MAX_AMOUNTS entry/);
+});
+
+test('checkMintAmounts rejects amounts over a mint\'s limit', async (t) => {
+  limitMints(t, `${MINT_URL}=100,other-mint.example.com=10`);
+
+  await cashuService.checkMintAmounts(tokenData(MINT_URL, 100));
+  await assert.rejects(cashuService.checkMintAmounts(tokenData(MINT_URL, 101)), /^Error: Mint not allowed: 101 sats/);
+  await assert.rejects(cashuService.checkMintAmounts(tokenData('https://other-mint.example.com', 11)), /maximum of 10 sats/);
+  await cashuService.checkMintAmounts(tokenData('https://unlimited.example.com', 1000000));
+});
+
+test('checkMintAmounts converts other units to sats before comparing', async (t) => {
+  limitMints(t, `${MINT_URL}=100`);
+  t.mock.method(cashuService, 'convertToSats', async (mintUrl, unit, amount) => (unit === 'usd' ? amount * 2 : amount));
+
+  await cashuService.checkMintAmounts(tokenData(MINT_URL, 50, 'usd'));
+  await assert.rejects(cashuService.checkMintAmounts(tokenData(MINT_URL, 51, 'usd')), /102 sats/);
+});
@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../services/storage/file');
+const idempotencyService = require('../services/idempotency');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cashu-redeem-idempotency-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+test('begin starts only one of two concurrent requests with the same key', async () => {
+  const bodyHash = idempotencyService.hashBody({ token: 'cashuA' });
+
+  const results = await Promise.all([
+    idempotencyService.begin('key-1', 'concurrent', bodyHash, 'redeem-1'),
+    idempotencyService.begin('key-1', 'concurrent', bodyHash, 'redeem-2')
+  ]);
+
+  assert.deepStrictEqual(results.map(result => result.state), ['new', 'in_progress']);
+  assert.strictEqual(results[1].entry.redeemId, 'redeem-1');
+});
+
+test('begin reports a key reused with a different body', async () => {
+  await idempotencyService.begin('key-1', 'reused', idempotencyService.hashBody({ token: 'a' }), 'redeem-1');
+
+  const result = await idempotencyService.begin('key-1', 'reused', idempotencyService.hashBody({ token: 'b' }), 'redeem-2');
+
+  assert.strictEqual(result.state, 'mismatch');
+});
+
+test('begin keeps keys of different scopes apart', async () => {
+  const bodyHash = idempotencyService.hashBody({ token: 'cashuA' });
+  await idempotencyService.begin('key-1', 'scoped', bodyHash, 'redeem-1');
+
+  const result = await idempotencyService.begin('anonymous:127.0.0.1', 'scoped', bodyHash, 'redeem-2');
+
+  assert.strictEqual(result.state, 'new');
+});
+
+test('complete stores the response of a finished request and only the redeemId of a queued one', async () => {
+  const bodyHash = idempotencyService.hashBody({});
+  await idempotencyService.begin('key-1', 'sync', bodyHash, 'redeem-1');
+  await idempotencyService.begin('key-1', 'async', bodyHash, 'redeem-2');
+
+  await idempotencyService.complete('key-1', 'sync', 200, { success: true, redeemId: 'redeem-1' });
+  await idempotencyService.complete('key-1', 'async', 202, { success: true, redeemId: 'redeem-2', status: 'queued' });
+
+  const sync = await idempotencyService.begin('key-1', 'sync', bodyHash, 'redeem-3');
+  assert.strictEqual(sync.state, 'completed');
+  assert.deepStrictEqual(sync.entry.response, { success: true, redeemId: 'redeem-1' });
+
+  const queued = await idempotencyService.begin('key-1', 'async', bodyHash, 'redeem-4');
+  assert.strictEqual(queued.entry.queued, true);
+  assert.strictEqual(queued.entry.response, null);
+  assert.strictEqual(queued.entry.redeemId, 'redeem-2');
+});
+
+test('isFinalResponse leaves out server errors and errors that may clear up', () => {
+  assert.strictEqual(idempotencyService.isFinalResponse(200, { success: true }), true);
+  assert.strictEqual(idempotencyService.isFinalResponse(409, { errorType: 'token_already_redeemed' }), true);
+  assert.strictEqual(idempotencyService.isFinalResponse(400, { errorType: 'token_already_spent' }), true);
+  assert.strictEqual(idempotencyService.isFinalResponse(500, { errorType: 'unknown' }), false);
+  assert.strictEqual(idempotencyService.isFinalResponse(429, { errorType: 'rate_limited' }), false);
+  assert.strictEqual(idempotencyService.isFinalResponse(400, { errorType: 'token_pending' }), false);
+  assert.strictEqual(idempotencyService.isFinalResponse(503, { errorType: 'mint_unavailable' }), false);
+});
+
+test('release lets a key be used again', async () => {
+  const bodyHash = idempotencyService.hashBody({});
+  await idempotencyService.begin('key-1', 'released', bodyHash, 'redeem-1');
+
+  await idempotencyService.release('key-1', 'released');
+
+  assert.strictEqual((await idempotencyService.begin('key-1', 'released', bodyHash, 'redeem-2')).state, 'new');
+});
+
+test('instances sharing file storage start a key only once', async () => {
+  const filePath = path.join(tmpDir, 'idempotency.json');
+  const instances = [new idempotencyService.constructor(), new idempotencyService.constructor()];
+  instances.forEach(instance => { instance.requests = new FileStore(filePath); });
+  const bodyHash = idempotencyService.hashBody({ token: 'cashuA' });
+
+  const results = await Promise.all(instances.map((instance, i) => instance.begin('key-1', 'shared', bodyHash, `redeem-${i}`)));
+
+  assert.deepStrictEqual(results.map(result => result.state).sort(), ['in_progress', 'new']);
+});
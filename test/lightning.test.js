@@ -0,0 +1,99 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const axios = require('axios');
+const bech32 = require('bech32');
+const addressPolicy = require('../services/addressPolicy');
+const lightningService = require('../services/lightning');
+
+const encodeLNURL = url => bech32.encode('lnurl', bech32.toWords(Buffer.from(url, 'utf8')), 2000);
+
+const payRequest = {
+  tag: 'payRequest',
+  callback: 'https://pay.example.com/cb',
+  minSendable: 1000,
+  maxSendable: 1000000000
+};
+
+test('parseDestination decodes bech32 LNURLs', () => {
+  const lnurl = encodeLNURL('https://pay.example.com/lnurlp/alice');
+
+  for (const destination of [lnurl, lnurl.toUpperCase(), `lightning:${lnurl}`]) {
+    const parsed = lightningService.parseDestination(destination);
+    assert.strictEqual(parsed.type, 'lnurl');
+    assert.strictEqual(parsed.url, 'https://pay.example.com/lnurlp/alice');
+    assert.strictEqual(parsed.domain, 'pay.example.com');
+  }
+});
+
+test('parseDestination turns lnurlp:// links and Lightning addresses into https URLs', () => {
+  assert.strictEqual(lightningService.parseDestination('lnurlp://pay.example.com/alice').url, 'https://pay.example.com/alice');
+
+  const address = lightningService.parseDestination('alice@example.com');
+  assert.strictEqual(address.type, 'lightning_address');
+  assert.strictEqual(address.url, 'https://example.com/.well-known/lnurlp/alice');
+});
+
+test('parseDestination rejects withdraw links and non-https LNURLs', () => {
+  assert.throws(() => lightningService.parseDestination('lnurlw://pay.example.com/w'), /LNURL-withdraw/);
+  assert.throws(() => lightningService.parseDestination(encodeLNURL('http://pay.example.com/alice')), /only https/);
+  assert.throws(() => lightningService.parseDestination('lnurl1qqqqqq'), /Invalid LNURL/);
+});
+
+test('resolvePayRequest does not connect to private LNURLp hosts', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ status: 200, data: payRequest }));
+
+  for (const destination of ['lnurlp://127.0.0.1/x', encodeLNURL('https://[::ffff:10.0.0.1]/x'), 'alice@localhost.localhost']) {
+    await assert.rejects(lightningService.resolvePayRequest(destination), /private or local address/);
+  }
+  assert.strictEqual(axios.get.mock.callCount(), 0);
+});
+
+test('resolvePayRequest does not connect to hosts resolving to private addresses', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ status: 200, data: payRequest }));
+  t.mock.method(addressPolicy, 'resolvesToPrivate', async () => true);
+
+  await assert.rejects(lightningService.resolvePayRequest('alice@example.com'), /resolves to a private address/);
+  assert.strictEqual(axios.get.mock.callCount(), 0);
+});
+
+test('LNURLp requests do not follow redirects', async (t) => {
+  t.mock.method(addressPolicy, 'resolvesToPrivate', async () => false);
+  t.mock.method(axios, 'get', async (url) => ({
+    status: 200,
+    data: url.includes('/cb') ? { pr: 'lnbc1' } : payRequest
+  }));
+
+  const resolved = await lightningService.resolvePayRequest('alice@example.com');
+  await lightningService.getInvoice(resolved.callback, 1000);
+
+  assert.strictEqual(axios.get.mock.callCount(), 2);
+  for (const call of axios.get.mock.calls) {
+    assert.strictEqual(call.arguments[1].maxRedirects, 0);
+  }
+});
+
+test('getInvoice does not connect to a private callback', async (t) => {
+  t.mock.method(axios, 'get', async () => ({ status: 200, data: { pr: 'lnbc1' } }));
+
+  await assert.rejects(lightningService.getInvoice('https://192.168.1.1/cb', 1000), /Callback URL points to a private or local address/);
+  assert.strictEqual(axios.get.mock.callCount(), 0);
+});
+
+test('processSuccessAction decrypts AES success actions with the preimage', () => {
+  const preimage = 'ab'.repeat(32);
+  const iv = Buffer.alloc(16, 7);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(preimage, 'hex'), iv);
+  const ciphertext = Buffer.concat([cipher.update('voucher 1234', 'utf8'), cipher.final()]).toString('base64');
+  const successAction = { tag: 'aes', description: 'Your voucher', ciphertext, iv: iv.toString('base64') };
+
+  assert.deepStrictEqual(lightningService.processSuccessAction(successAction, preimage), {
+    tag: 'aes',
+    description: 'Your voucher',
+    decrypted: 'voucher 1234'
+  });
+  assert.match(lightningService.processSuccessAction(successAction, null).error, /preimage not available/);
+  assert.match(lightningService.processSuccessAction(successAction, 'cd'.repeat(32)).error, /Failed to decrypt/);
+});
@@ -0,0 +1,62 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logger = require('../services/logger');
+
+const TOKEN = 'cashuB' + 'o2FteBtodHRwczovL21pbnQuZXhhbXBsZS5jb20'.repeat(3);
+const INVOICE = 'lnbc100n1' + 'pjqwertyuiopasdfghjklzxcvbnm'.repeat(3);
+
+test('secrets and preimages are never logged', () => {
+  const redacted = logger.redact({
+    proof: { amount: 8, secret: 'abc', C: '02ff' },
+    preimage: 'ab'.repeat(32),
+    headers: { Authorization: 'Bearer crk_123' }
+  });
+
+  assert.deepStrictEqual(redacted, {
+    proof: { amount: 8, secret: '[redacted]', C: '[redacted]' },
+    preimage: '[redacted]',
+    headers: { Authorization: '[redacted]' }
+  });
+});
+
+test('tokens and invoices keep only a short prefix and proof lists only their count', () => {
+  const redacted = logger.redact({ token: TOKEN, bolt11: INVOICE, proofs: [{ secret: 'a' }, { secret: 'b' }] });
+
+  assert.strictEqual(redacted.token, 'cashuBo2FteB...[redacted]');
+  assert.strictEqual(redacted.bolt11, 'lnbc100n1pjq...[redacted]');
+  assert.strictEqual(redacted.proofs, '[2 redacted]');
+});
+
+test('tokens and invoices inside messages and errors are redacted', () => {
+  const message = `Failed to redeem ${TOKEN} to ${INVOICE}`;
+
+  assert.strictEqual(logger.redactString(message), 'Failed to redeem cashuBo2FteB...[redacted] to lnbc100n1pjq...[redacted]');
+
+  const error = logger.redact(new Error(message));
+  assert.doesNotMatch(JSON.stringify(error), new RegExp(TOKEN.slice(20)));
+  assert.doesNotMatch(JSON.stringify(error), new RegExp(INVOICE.slice(20)));
+});
+
+test('circular objects are logged without recursing forever', () => {
+  const value = { name: 'loop' };
+  value.self = value;
+
+  assert.deepStrictEqual(logger.redact(value), { name: 'loop', self: '[circular]' });
+});
+
+test('log lines carry the context and are redacted', (t) => {
+  const lines = [];
+  t.mock.method(process.stderr, 'write', line => lines.push(line));
+
+  logger.withContext({ redeemId: 'r1' }, () => logger.error(`Melt failed for ${TOKEN}`, { preimage: 'ff', changeToken: TOKEN }));
+
+  t.mock.restoreAll();
+  const line = JSON.parse(lines[0]);
+  assert.strictEqual(line.level, 'error');
+  assert.strictEqual(line.redeemId, 'r1');
+  assert.strictEqual(line.msg, 'Melt failed for cashuBo2FteB...[redacted]');
+  assert.strictEqual(line.preimage, '[redacted]');
+  assert.strictEqual(line.changeToken, 'cashuBo2FteB...[redacted]');
+});
@@ -0,0 +1,46 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const metrics = require('../services/metrics');
+
+/**
+ * Current value of a counter for a label set (0 when the series does not exist yet)
+ */
+async function counterValue(counter, labels) {
+  const { values } = await counter.get();
+  const series = values.find(value => Object.entries(labels).every(([name, label]) => value.labels[name] === label));
+  return series ? series.value : 0;
+}
+
+beforeEach(() => {
+  metrics.registry.resetMetrics();
+});
+
+test('fees paid count the fee the mint kept, not the fee reserve', async () => {
+  metrics.recordRedemption({ status: 'paid', paid: true, mint: 'https://mint.example.com', unit: 'sat', invoiceAmount: 95, fee: 5, actualFee: 0 });
+
+  assert.strictEqual(await counterValue(metrics.feesPaid, { mint: 'other', unit: 'sat' }), 0);
+  assert.strictEqual(await counterValue(metrics.redeemedSats, { mint: 'other' }), 95);
+});
+
+test('multi-mint redemptions count the fees of their paid parts', async () => {
+  metrics.recordRedemption({
+    status: 'partial',
+    mintParts: [
+      { paid: true, mint: 'https://a.example.com', unit: 'sat', invoiceAmount: 60, fee: 4, actualFee: 1 },
+      { paid: true, mint: 'https://b.example.com', unit: 'sat', invoiceAmount: 30, fee: 3, actualFee: 2 },
+      { paid: false, mint: 'https://c.example.com', unit: 'sat', fee: 3 }
+    ]
+  });
+
+  assert.strictEqual(await counterValue(metrics.feesPaid, { mint: 'other', unit: 'sat' }), 3);
+  assert.strictEqual(await counterValue(metrics.redeemedSats, { mint: 'other' }), 90);
+  assert.strictEqual(await counterValue(metrics.redemptions, { status: 'partial' }), 1);
+});
+
+test('records without an actual fee fall back to the stored fee', async () => {
+  metrics.recordRedemption({ status: 'paid', paid: true, mint: 'https://mint.example.com', unit: 'usd', invoiceAmount: 95, fee: 2 });
+
+  assert.strictEqual(await counterValue(metrics.feesPaid, { mint: 'other', unit: 'usd' }), 2);
+});
@@ -0,0 +1,41 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mintHealth = require('../services/mintHealth');
+
+const unreachable = () => Promise.reject(new TypeError('fetch failed'));
+
+beforeEach(() => {
+  mintHealth.mints.clear();
+});
+
+/**
+ * Fail requests to a mint until its circuit opens
+ */
+async function openCircuit(mintUrl) {
+  for (let i = 0; i < mintHealth.failureThreshold; i++) {
+    await assert.rejects(mintHealth.track(mintUrl, unreachable), /fetch failed/);
+  }
+}
+
+test('a mint failing repeatedly is refused until the cooldown is over', async () => {
+  await openCircuit('https://down.example.com');
+
+  await assert.rejects(mintHealth.track('https://down.example.com', async () => 'ok'), /Mint unavailable/);
+  assert.deepStrictEqual(mintHealth.getSummary(), { tracked: 1, closed: 0, open: 1, half_open: 0 });
+});
+
+test('only the most recently used mints are tracked and failing mints are kept longest', async (t) => {
+  const maxEntries = mintHealth.maxEntries;
+  mintHealth.maxEntries = 3;
+  t.after(() => { mintHealth.maxEntries = maxEntries; });
+
+  await openCircuit('https://down.example.com');
+  for (const mintUrl of ['https://a.example.com', 'https://b.example.com', 'https://c.example.com', 'https://d.example.com']) {
+    await mintHealth.track(mintUrl, async () => 'ok');
+  }
+
+  assert.deepStrictEqual([...mintHealth.mints.keys()], ['https://down.example.com', 'https://c.example.com', 'https://d.example.com']);
+  await assert.rejects(mintHealth.track('https://down.example.com', async () => 'ok'), /Mint unavailable/);
+});
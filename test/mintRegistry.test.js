@@ -0,0 +1,38 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mintRegistry = require('../services/mintRegistry');
+
+const info = name => async () => ({ name, nuts: { 5: { methods: [{ method: 'bolt11', unit: 'sat' }] } } });
+
+beforeEach(() => {
+  mintRegistry.entries.clear();
+});
+
+test('concurrent lookups of a mint share one fetch', async (t) => {
+  const fetchInfo = t.mock.fn(info('Mint'));
+
+  const [first, second] = await Promise.all([
+    mintRegistry.getInfo('https://mint.example.com', fetchInfo),
+    mintRegistry.getInfo('https://mint.example.com', fetchInfo)
+  ]);
+
+  assert.strictEqual(fetchInfo.mock.callCount(), 1);
+  assert.strictEqual(first, second);
+  assert.ok(mintRegistry.supports(first, 5, 'sat'));
+  assert.ok(!mintRegistry.supports(first, 5, 'usd'));
+});
+
+test('the cache keeps only the most recently used mints', async (t) => {
+  const maxEntries = mintRegistry.maxEntries;
+  mintRegistry.maxEntries = 2;
+  t.after(() => { mintRegistry.maxEntries = maxEntries; });
+
+  await mintRegistry.getInfo('https://a.example.com', info('A'));
+  await mintRegistry.getInfo('https://b.example.com', info('B'));
+  await mintRegistry.getInfo('https://a.example.com', info('A'));
+  await mintRegistry.getInfo('https://c.example.com', info('C'));
+
+  assert.deepStrictEqual([...mintRegistry.entries.keys()], ['https://a.example.com', 'https://c.example.com']);
+});
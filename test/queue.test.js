@@ -0,0 +1,31 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const logger = require('../services/logger');
+const redemptionQueue = require('../services/queue');
+
+test('queued jobs run in the context they were enqueued from', async () => {
+  const releases = [];
+  const blockers = Array.from({ length: redemptionQueue.concurrency }, () => new Promise(resolve => releases.push(resolve)));
+  logger.withContext({ requestId: 'first' }, () => {
+    for (const blocker of blockers) {
+      redemptionQueue.enqueue(() => blocker);
+    }
+  });
+
+  let context;
+  const done = new Promise(resolve => {
+    logger.withContext({ requestId: 'second' }, () => redemptionQueue.enqueue(async () => {
+      context = logger.getContext();
+      resolve();
+    }));
+  });
+  assert.strictEqual(redemptionQueue.getStats().pending, 1);
+
+  // The waiting job is started by a job of the first request finishing
+  releases.forEach(release => release());
+  await done;
+
+  assert.strictEqual(context.requestId, 'second');
+});
@@ -0,0 +1,78 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../services/storage/file');
+const MemoryStore = require('../services/storage/memory');
+const rateLimiter = require('../services/rateLimiter');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cashu-redeem-rate-limits-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+/**
+ * Create a limiter with its own bucket store
+ */
+function createLimiter(buckets = new MemoryStore()) {
+  const limiter = new rateLimiter.constructor();
+  limiter.buckets = buckets;
+  return limiter;
+}
+
+test('a bucket allows bursts up to the limit and then tells when to retry', async () => {
+  const limiter = createLimiter();
+  const limit = limiter.limits.redeem;
+
+  for (let i = 0; i < limit; i++) {
+    assert.strictEqual((await limiter.consume('1.2.3.4', 'redeem')).allowed, true);
+  }
+  const rejected = await limiter.consume('1.2.3.4', 'redeem');
+
+  assert.strictEqual(rejected.allowed, false);
+  assert.strictEqual(rejected.remaining, 0);
+  assert.strictEqual(rejected.retryAfter, Math.ceil(60 / limit));
+  assert.strictEqual((await limiter.consume('5.6.7.8', 'redeem')).allowed, true);
+});
+
+test('a bucket refills at the limit per minute', async (t) => {
+  const limiter = createLimiter();
+  const limit = limiter.limits.redeem;
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+
+  for (let i = 0; i < limit; i++) {
+    await limiter.consume('1.2.3.4', 'redeem');
+  }
+  now += 60000 / limit;
+
+  const result = await limiter.consume('1.2.3.4', 'redeem');
+  assert.strictEqual(result.allowed, true);
+  assert.strictEqual(result.remaining, 0);
+});
+
+test('limiters sharing a file store share the buckets', async () => {
+  const filePath = path.join(tmpDir, 'rate-limits.json');
+  const [first, second] = [createLimiter(new FileStore(filePath)), createLimiter(new FileStore(filePath))];
+  const limit = first.limits.redeem;
+
+  const results = await Promise.all(Array.from({ length: limit + 4 }, (_, i) =>
+    (i % 2 ? first : second).consume('1.2.3.4', 'redeem')));
+
+  assert.strictEqual(results.filter(result => result.allowed).length, limit);
+});
+
+test('idle buckets are evicted once they are full again', async (t) => {
+  const limiter = createLimiter();
+  let now = 1000000;
+  t.mock.method(Date, 'now', () => now);
+
+  await limiter.consume('idle', 'default');
+  now += 30000;
+  await limiter.consume('active', 'default');
+  now += 30000;
+
+  assert.strictEqual(await limiter.evictIdle(), 1);
+  assert.deepStrictEqual((await limiter.buckets.entries()).map(([key]) => key), ['default:active']);
+});
@@ -0,0 +1,475 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { getEncodedToken, getDecodedToken } = require('@cashu/cashu-ts');
+const cashuService = require('../services/cashu');
+const lightningService = require('../services/lightning');
+const apiKeyService = require('../services/apiKeys');
+const redemptionQueue = require('../services/queue');
+const redemptionService = require('../services/redemption');
+
+const MINT_URL = 'https://mint.example.com';
+const ADDRESS = 'alice@example.com';
+
+const proof = amount => ({ id: '00ad268c4d1f5826', amount, secret: crypto.randomBytes(16).toString('hex'), C: '02' + 'a'.repeat(64) });
+const encode = (proofs, mint = MINT_URL) => getEncodedToken({ token: [{ mint, proofs }] });
+
+/**
+ * Stub the mint and the recipient's LNURLp server. `melt` replaces cashuService.meltProofs.
+ */
+function stubNetwork(t, melt) {
+  t.mock.method(cashuService, 'getKeysetUnit', async () => 'sat');
+  t.mock.method(cashuService, 'checkMintCapabilities', async () => {});
+  t.mock.method(cashuService, 'checkTokenSpendable', async () => ({ spentAmount: 0, pendingAmount: 0 }));
+  t.mock.method(cashuService, 'assertMintSupports', async () => {});
+  t.mock.method(cashuService, 'checkProofStates', async (mintUrl, proofs) => proofs.map(p => ({ secret: p.secret, state: 'UNSPENT' })));
+  t.mock.method(cashuService, 'createMeltQuote', async (mintUrl, bolt11) => ({
+    quote: 'q1', amount: parseInt(bolt11.split(':')[1]), fee_reserve: 2
+  }));
+  t.mock.method(cashuService, 'meltProofs', melt);
+  t.mock.method(lightningService, 'resolvePayRequest', async (address) => ({
+    lightningAddress: address, domain: 'example.com', callback: 'https://example.com/cb',
+    minSendable: 1, maxSendable: 1000000, commentAllowed: 0
+  }));
+  t.mock.method(lightningService, 'requestInvoice', async (payRequest, amount) => ({
+    bolt11: `lnbc:${amount}`, amount, domain: payRequest.domain
+  }));
+  t.mock.method(lightningService, 'verifyInvoiceDestination', () => true);
+  t.mock.method(lightningService, 'verifyPreimage', () => true);
+}
+
+const paidMelt = async (mintUrl, proofs, bolt11, quote) => ({
+  paid: true,
+  preimage: 'ab'.repeat(32),
+  fee: 1,
+  actualFee: 1,
+  amount: quote.amount,
+  changeToken: 'cashuAchange',
+  changeAmount: 1
+});
+
+/**
+ * Make a stored redemption look like it has not changed for longer than RECOVERY_STALE_MINUTES
+ */
+async function age(redeemId, changes = {}) {
+  const redemption = await redemptionService.getRedemption(redeemId);
+  const updatedAt = new Date(Date.now() - redemptionService.recoveryStaleMs - 1000).toISOString();
+  await redemptionService.redemptions.set(redeemId, { ...redemption, ...changes, updatedAt });
+}
+
+beforeEach(async () => {
+  for (const store of [redemptionService.redemptions, redemptionService.proofIndex, redemptionService.instances]) {
+    for (const [key] of await store.entries()) {
+      await store.delete(key);
+    }
+  }
+});
+
+test('periodic recovery leaves queued jobs of this process alone', async (t) => {
+  const jobs = [];
+  t.mock.method(redemptionQueue, 'enqueue', job => jobs.push(job));
+
+  await redemptionService.queueRedemption(encode([proof(64)]), ADDRESS, null, null, null, 'queued-1');
+  await age('queued-1');
+
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(), []);
+  assert.strictEqual((await redemptionService.getRedemption('queued-1')).status, 'queued');
+});
+
+test('periodic recovery leaves a melt of this process alone however long it takes', async (t) => {
+  let finishMelt;
+  let meltStarted;
+  const started = new Promise(resolve => { meltStarted = resolve; });
+  stubNetwork(t, (...args) => new Promise(resolve => {
+    meltStarted();
+    finishMelt = () => resolve(paidMelt(...args));
+  }));
+
+  const redemption = redemptionService.performRedemption(encode([proof(64), proof(32), proof(4)]), ADDRESS, null, 'slow-1');
+  await started;
+  await age('slow-1');
+
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(), []);
+
+  finishMelt();
+  assert.strictEqual((await redemption).status, 'paid');
+  assert.strictEqual((await redemptionService.getRedemption('slow-1')).status, 'paid');
+});
+
+test('periodic recovery picks up records of this instance nothing is working on', async () => {
+  await redemptionService.storeRedemption('orphan-1', { status: 'processing' });
+  await age('orphan-1');
+
+  const results = await redemptionService.recoverInterruptedRedemptions();
+
+  assert.deepStrictEqual(results, [{ redeemId: 'orphan-1', status: 'failed' }]);
+});
+
+test('recovery leaves records of instances that still send heartbeats alone', async () => {
+  await redemptionService.storeRedemption('other-1', { status: 'processing' });
+  await age('other-1', { instanceId: 'other-host:1' });
+  await redemptionService.instances.set('other-host:1', { lastSeenAt: new Date().toISOString() });
+
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(), []);
+
+  await redemptionService.instances.set('other-host:1', { lastSeenAt: new Date(0).toISOString() });
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(), [{ redeemId: 'other-1', status: 'failed' }]);
+});
+
+test('recovery on startup picks up this instance\'s records right away', async () => {
+  await redemptionService.storeRedemption('restarted-1', { status: 'processing' });
+
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(), []);
+  assert.deepStrictEqual(await redemptionService.recoverInterruptedRedemptions(true), [{ redeemId: 'restarted-1', status: 'failed' }]);
+});
+
+test('claimProofs lets only one of two concurrent claims hold the same proofs', async () => {
+  const proofs = [proof(8), proof(2)];
+  await redemptionService.storeRedemption('first', { status: 'processing' });
+  await redemptionService.storeRedemption('second', { status: 'processing' });
+
+  const results = await Promise.allSettled([
+    redemptionService.claimProofs('first', proofs),
+    redemptionService.claimProofs('second', proofs)
+  ]);
+
+  assert.strictEqual(results[0].status, 'fulfilled');
+  assert.strictEqual(results[1].status, 'rejected');
+  assert.match(results[1].reason.message, /Token has already been redeemed/);
+  for (const Y of results[0].value) {
+    assert.strictEqual(await redemptionService.proofIndex.get(Y), 'first');
+  }
+});
+
+test('claimProofs rejects proofs shared with another redemption in a different token', async () => {
+  const shared = proof(8);
+  await redemptionService.storeRedemption('first', { status: 'paid' });
+  await redemptionService.claimProofs('first', [shared, proof(4)]);
+
+  await assert.rejects(redemptionService.claimProofs('second', [proof(16), shared]), /Token has already been redeemed/);
+});
+
+test('proofs of a failed redemption can be claimed again', async () => {
+  const proofs = [proof(8)];
+  await redemptionService.storeRedemption('first', { status: 'processing' });
+  await redemptionService.claimProofs('first', proofs);
+  await redemptionService.updateRedemption('first', { status: 'failed' });
+
+  const proofYs = await redemptionService.claimProofs('second', proofs);
+  assert.strictEqual(await redemptionService.proofIndex.get(proofYs[0]), 'second');
+});
+
+test('releaseProofs keeps claims another redemption has taken over', async () => {
+  const [mine, taken] = [proof(8), proof(4)];
+  await redemptionService.storeRedemption('first', { status: 'processing' });
+  const proofYs = await redemptionService.claimProofs('first', [mine, taken]);
+  const takenY = redemptionService.getProofYs([taken])[0];
+  await redemptionService.proofIndex.set(takenY, 'second');
+
+  await redemptionService.releaseProofs('first', proofYs);
+
+  assert.strictEqual(await redemptionService.proofIndex.get(redemptionService.getProofYs([mine])[0]), null);
+  assert.strictEqual(await redemptionService.proofIndex.get(takenY), 'second');
+});
+
+test('queueRedemption forgets the redemption and its claims when the queue rejects the job', async (t) => {
+  t.mock.method(redemptionQueue, 'enqueue', () => {
+    throw new Error('Redemption queue is full (100 pending) - please try again later');
+  });
+  const proofs = [proof(64), proof(32)];
+
+  await assert.rejects(redemptionService.queueRedemption(encode(proofs), ADDRESS, null, null, null, 'queued-1'), /queue is full/);
+
+  assert.strictEqual(await redemptionService.getRedemption('queued-1'), null);
+  for (const Y of redemptionService.getProofYs(proofs)) {
+    assert.strictEqual(await redemptionService.proofIndex.get(Y), null);
+  }
+});
+
+test('performRedemption melts the token and stores the change token', async (t) => {
+  stubNetwork(t, paidMelt);
+  const token = encode([proof(64), proof(32), proof(4)]);
+
+  const result = await redemptionService.performRedemption(token, ADDRESS, null, 'redeem-1');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.status, 'paid');
+  assert.strictEqual(result.changeToken, 'cashuAchange');
+  assert.strictEqual(result.changeAmount, 1);
+  assert.strictEqual(result.invoiceAmount + result.fee, 100);
+
+  const [mintUrl, , bolt11, meltQuote] = cashuService.meltProofs.mock.calls[0].arguments;
+  assert.strictEqual(mintUrl, MINT_URL);
+  assert.strictEqual(bolt11, `lnbc:${result.invoiceAmount}`);
+  assert.strictEqual(meltQuote.quote, 'q1');
+
+  const stored = await redemptionService.getRedemption('redeem-1');
+  assert.strictEqual(stored.status, 'paid');
+  assert.strictEqual(stored.changeToken, 'cashuAchange');
+  assert.strictEqual(stored.meltQuoteId, 'q1');
+});
+
+test('performRedemption refuses a token that was already redeemed', async (t) => {
+  stubNetwork(t, paidMelt);
+  const token = encode([proof(64), proof(32), proof(4)]);
+
+  await redemptionService.performRedemption(token, ADDRESS, null, 'redeem-1');
+  const result = await redemptionService.performRedemption(token, ADDRESS, null, 'redeem-2');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.errorType, 'token_already_redeemed');
+  assert.strictEqual(cashuService.meltProofs.mock.callCount(), 1);
+});
+
+test('performRedemption keeps the proofs selected for the melt on the record', async (t) => {
+  const send = [proof(64), proof(32)];
+  const keep = [proof(4)];
+  stubNetwork(t, async (mintUrl, proofs, bolt11, quote, unit, onProofsSelected) => {
+    await onProofsSelected({ send, keep });
+    const stored = await redemptionService.getRedemption('redeem-1');
+    assert.deepStrictEqual(stored.proofsToSend, send);
+    assert.deepStrictEqual(stored.keptProofs, keep);
+    assert.deepStrictEqual(stored.proofSecrets, send.map(p => p.secret));
+    return paidMelt(mintUrl, proofs, bolt11, quote);
+  });
+
+  const result = await redemptionService.performRedemption(encode([proof(64), proof(32), proof(4)]), ADDRESS, null, 'redeem-1');
+  assert.strictEqual(result.status, 'paid');
+});
+
+/**
+ * Melt that swaps the proofs during selection and then fails
+ */
+const swapThenFail = (send, keep) => async (mintUrl, proofs, bolt11, quote, unit, onProofsSelected) => {
+  await onProofsSelected({ send, keep });
+  throw new Error('Melt operation failed: Request failed with status code 422');
+};
+
+const stubProofStates = (t, state) => t.mock.method(cashuService, 'getProofStates',
+  async (mintUrl, secrets) => secrets.map(secret => ({ secret, state })));
+
+test('a melt failing after a swap returns the unspent swapped proofs as change', async (t) => {
+  const send = [proof(64), proof(32)];
+  const keep = [proof(4)];
+  stubNetwork(t, swapThenFail(send, keep));
+  stubProofStates(t, 'UNSPENT');
+  const { apiKey } = await apiKeyService.createKey({ name: 'swap', satsPerDay: 1000 });
+
+  const result = await redemptionService.performRedemption(encode([proof(64), proof(32), proof(4)]), ADDRESS, null, 'swap-1', apiKey);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.changeAmount, 100);
+  assert.doesNotMatch(result.error, /already been spent/);
+  const returned = getDecodedToken(result.changeToken).token[0].proofs.map(p => p.secret).sort();
+  assert.deepStrictEqual(returned, [...send, ...keep].map(p => p.secret).sort());
+
+  const stored = await redemptionService.getRedemption('swap-1');
+  assert.strictEqual(stored.status, 'failed');
+  assert.strictEqual(stored.changeToken, result.changeToken);
+  assert.strictEqual(apiKeyService.getUsage(await apiKeyService.keys.get(apiKey.id)).sats, 0);
+});
+
+test('a melt failing after a swap with spent proofs needs review and keeps the token claimed', async (t) => {
+  const send = [proof(64), proof(32)];
+  const keep = [proof(4)];
+  stubNetwork(t, swapThenFail(send, keep));
+  stubProofStates(t, 'SPENT');
+  const token = encode([proof(64), proof(32), proof(4)]);
+
+  const result = await redemptionService.performRedemption(token, ADDRESS, null, 'swap-1');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 'needs_review');
+  assert.match(result.error, /payment may have been made: 2 proof\(s\) are spent/);
+  assert.strictEqual(result.changeAmount, 4);
+  assert.strictEqual((await redemptionService.getRedemption('swap-1')).status, 'needs_review');
+
+  const retry = await redemptionService.performRedemption(token, ADDRESS, null, 'swap-2');
+  assert.strictEqual(retry.errorType, 'token_already_redeemed');
+});
+
+test('a melt failing after selecting the original proofs leaves the token redeemable', async (t) => {
+  const proofs = [proof(64), proof(32), proof(4)];
+  stubNetwork(t, swapThenFail(proofs, []));
+  stubProofStates(t, 'UNSPENT');
+  const token = encode(proofs);
+
+  const result = await redemptionService.performRedemption(token, ADDRESS, null, 'unswapped-1');
+
+  assert.strictEqual(result.status, 'failed');
+  assert.strictEqual(result.changeToken, null);
+
+  cashuService.meltProofs.mock.mockImplementation(paidMelt);
+  assert.strictEqual((await redemptionService.performRedemption(token, ADDRESS, null, 'unswapped-2')).status, 'paid');
+});
+
+test('a queued redemption emits an update for each status until it is final', async (t) => {
+  stubNetwork(t, paidMelt);
+  const jobs = [];
+  t.mock.method(redemptionQueue, 'enqueue', job => jobs.push(job));
+  const statuses = [];
+  const onUpdate = (redeemId, redemption) => {
+    if (redeemId === 'events-1') {
+      statuses.push(redemption.status);
+    }
+  };
+  redemptionService.on('update', onUpdate);
+  t.after(() => redemptionService.removeListener('update', onUpdate));
+
+  await redemptionService.queueRedemption(encode([proof(64), proof(32), proof(4)]), ADDRESS, null, null, null, 'events-1');
+  await jobs[0]();
+
+  assert.strictEqual(statuses[0], 'queued');
+  assert.ok(statuses.includes('processing'));
+  assert.strictEqual(statuses[statuses.length - 1], 'paid');
+  assert.ok(statuses.slice(0, -1).every(status => !redemptionService.isTerminalStatus(status)));
+});
+
+test('status updates only carry the change token for the key that redeemed', async () => {
+  const { apiKey: owner } = await apiKeyService.createKey({ name: 'owner' });
+  const { apiKey: other } = await apiKeyService.createKey({ name: 'other' });
+  const redemption = { status: 'paid', apiKeyId: owner.id, changeToken: 'cashuAchange', changeAmount: 1 };
+
+  const format = apiKey => redemptionService.formatRedemptionStatus('events-1', redemption, redemptionService.canViewSecrets(redemption, apiKey));
+
+  assert.strictEqual(format(owner).details.changeToken, 'cashuAchange');
+  assert.strictEqual(format(other).details.changeToken, undefined);
+  assert.strictEqual(format(null).details.changeToken, undefined);
+  assert.strictEqual(format(null).details.changeAmount, 1);
+});
+
+test('a batch melts the tokens of each mint with one invoice', async (t) => {
+  stubNetwork(t, paidMelt);
+  const otherMint = 'https://other-mint.example.com';
+  const tokens = [encode([proof(64), proof(4)]), encode([proof(32)]), encode([proof(16)], otherMint)];
+
+  const result = await redemptionService.performBatchRedemption(tokens, ADDRESS);
+
+  assert.strictEqual(result.status, 'paid');
+  assert.deepStrictEqual(result.tokens.map(token => token.status), ['paid', 'paid', 'paid']);
+  assert.deepStrictEqual(result.mints.map(mint => [mint.mint, mint.amount, mint.tokens]), [
+    [MINT_URL, 100, [0, 1]],
+    [otherMint, 16, [2]]
+  ]);
+  assert.strictEqual(cashuService.meltProofs.mock.callCount(), 2);
+  assert.strictEqual(result.tokens[0].redeemId, result.tokens[1].redeemId);
+
+  const stored = await redemptionService.getRedemption(result.tokens[2].redeemId);
+  assert.strictEqual(stored.batchId, result.batchId);
+  assert.strictEqual(stored.status, 'paid');
+});
+
+test('a batch reports duplicate and spent tokens and redeems the rest', async (t) => {
+  stubNetwork(t, paidMelt);
+  const spent = proof(32);
+  cashuService.checkProofStates.mock.mockImplementation(async (mintUrl, proofs) =>
+    proofs.map(p => ({ secret: p.secret, state: p.secret === spent.secret ? 'SPENT' : 'UNSPENT' })));
+  const token = encode([proof(64), proof(4)]);
+
+  const result = await redemptionService.performBatchRedemption([token, token, encode([spent])], ADDRESS);
+
+  assert.strictEqual(result.status, 'partial');
+  assert.deepStrictEqual(result.tokens.map(token => token.status), ['paid', 'failed', 'failed']);
+  assert.strictEqual(result.tokens[1].error, 'Duplicate token in batch');
+  assert.match(result.tokens[2].error, /already been spent/);
+
+  const [, meltedProofs] = cashuService.meltProofs.mock.calls[0].arguments;
+  assert.strictEqual(meltedProofs.reduce((sum, p) => sum + p.amount, 0), 68);
+  assert.strictEqual(await redemptionService.proofIndex.get(redemptionService.getProofYs([spent])[0]), null);
+});
+
+const OTHER_MINT = 'https://other-mint.example.com';
+const encodeMultiMint = (proofs, otherProofs) => getEncodedToken({ token: [{ mint: MINT_URL, proofs }, { mint: OTHER_MINT, proofs: otherProofs }] });
+
+/**
+ * Melt that charges a fee of 1 and returns the rest of the fee reserve as change from the proofs' mint
+ */
+const paidMeltWithChange = async (mintUrl, proofs, bolt11, quote) => ({
+  ...await paidMelt(mintUrl, proofs, bolt11, quote),
+  changeToken: cashuService.encodeProofsAsToken(mintUrl, [proof(1)]),
+  changeAmount: 1
+});
+
+test('a multi-mint token is paid with one invoice per mint and the real fees are added up', async (t) => {
+  stubNetwork(t, paidMeltWithChange);
+
+  const result = await redemptionService.performRedemption(encodeMultiMint([proof(64), proof(32)], [proof(32), proof(8)]), ADDRESS, null, 'multi-1');
+
+  assert.strictEqual(result.status, 'paid');
+  assert.strictEqual(cashuService.meltProofs.mock.callCount(), 2);
+  assert.deepStrictEqual(result.mints.map(part => [part.mint, part.status, part.actualFee]), [
+    [MINT_URL, 'paid', 1],
+    [OTHER_MINT, 'paid', 1]
+  ]);
+  assert.strictEqual(result.actualFee, 2);
+  assert.strictEqual(result.changeAmount, 2);
+  assert.deepStrictEqual(getDecodedToken(result.changeToken).token.map(entry => entry.mint).sort(), [OTHER_MINT, MINT_URL].sort());
+});
+
+test('a multi-mint token whose second mint fails is partially paid and frees that mint\'s proofs', async (t) => {
+  stubNetwork(t, async (mintUrl, ...args) => {
+    if (mintUrl === OTHER_MINT) {
+      throw new Error('Payment failed: no route');
+    }
+    return paidMeltWithChange(mintUrl, ...args);
+  });
+  const paidProofs = [proof(64), proof(32)];
+  const failedProofs = [proof(32), proof(8)];
+
+  const result = await redemptionService.performRedemption(encodeMultiMint(paidProofs, failedProofs), ADDRESS, null, 'multi-1');
+
+  assert.strictEqual(result.status, 'partial');
+  assert.deepStrictEqual(result.mints.map(part => part.status), ['paid', 'failed']);
+  assert.match(result.mints[1].error, /no route/);
+  assert.strictEqual(result.actualFee, 1);
+  assert.strictEqual((await redemptionService.getRedemption('multi-1')).status, 'partial');
+
+  assert.strictEqual(await redemptionService.proofIndex.get(redemptionService.getProofYs(paidProofs)[0]), 'multi-1');
+  assert.strictEqual(await redemptionService.proofIndex.get(redemptionService.getProofYs(failedProofs)[0]), null);
+});
+
+test('validateRedemptionRequest rejects tokens over their mint\'s maximum amount', async (t) => {
+  stubNetwork(t, paidMelt);
+  const previous = cashuService.mintMaxAmounts;
+  cashuService.mintMaxAmounts = cashuService.parseMintMaxAmounts(`${OTHER_MINT}=50`);
+  t.after(() => { cashuService.mintMaxAmounts = previous; });
+
+  const allowed = await redemptionService.validateRedemptionRequest(encode([proof(64), proof(32)]), ADDRESS);
+  assert.strictEqual(allowed.valid, true);
+
+  const rejected = await redemptionService.validateRedemptionRequest(encodeMultiMint([proof(8)], [proof(32), proof(32)]), ADDRESS);
+  assert.strictEqual(rejected.valid, false);
+  assert.strictEqual(rejected.errorType, 'mint_not_allowed');
+  assert.match(rejected.errors[0], /64 sats from https:\/\/other-mint\.example\.com exceeds the maximum of 50 sats/);
+});
+
+test('a failed melt leaves the token redeemable and gives back the reserved quota', async (t) => {
+  const { apiKey } = await apiKeyService.createKey({ name: 'quota', satsPerDay: 1000 });
+  stubNetwork(t, async () => {
+    throw new Error('Payment failed: no route');
+  });
+  const token = encode([proof(64), proof(32), proof(4)]);
+
+  const failed = await redemptionService.performRedemption(token, ADDRESS, null, 'redeem-1', apiKey);
+  assert.strictEqual(failed.success, false);
+  assert.strictEqual((await redemptionService.getRedemption('redeem-1')).status, 'failed');
+  assert.strictEqual(apiKeyService.getUsage(await apiKeyService.keys.get(apiKey.id)).sats, 0);
+
+  cashuService.meltProofs.mock.mockImplementation(paidMelt);
+  const retried = await redemptionService.performRedemption(token, ADDRESS, null, 'redeem-2', apiKey);
+  assert.strictEqual(retried.status, 'paid');
+  assert.strictEqual(apiKeyService.getUsage(await apiKeyService.keys.get(apiKey.id)).sats, retried.invoiceAmount);
+});
+
+test('a token is recognized as redeemed when its proofs come back in another order or token', async (t) => {
+  stubNetwork(t, paidMelt);
+  const proofs = [proof(64), proof(32), proof(4)];
+
+  await redemptionService.performRedemption(encode(proofs), ADDRESS, null, 'redeem-1');
+  const validation = await redemptionService.validateRedemptionRequest(encode([...proofs].reverse()), ADDRESS);
+
+  assert.strictEqual(validation.errorType, 'token_already_redeemed');
+});
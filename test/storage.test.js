@@ -0,0 +1,92 @@
+process.env.LOG_LEVEL = 'error';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('../services/storage/memory');
+const FileStore = require('../services/storage/file');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cashu-redeem-storage-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+let fileCount = 0;
+const nextFile = () => path.join(tmpDir, `store-${++fileCount}.json`);
+
+const increment = store => store.transaction(async (handle) => {
+  const count = await handle.get('count') || 0;
+  await new Promise(resolve => setImmediate(resolve));
+  await handle.set('count', count + 1);
+});
+
+test('memory transactions do not interleave', async () => {
+  const store = new MemoryStore();
+
+  await Promise.all(Array.from({ length: 20 }, () => increment(store)));
+
+  assert.strictEqual(await store.get('count'), 20);
+});
+
+test('file stores sharing a file keep each other\'s records', async () => {
+  const filePath = nextFile();
+  const [first, second] = [new FileStore(filePath), new FileStore(filePath)];
+
+  await Promise.all([
+    ...Array.from({ length: 10 }, (_, i) => first.set(`first-${i}`, i)),
+    ...Array.from({ length: 10 }, (_, i) => second.set(`second-${i}`, i))
+  ]);
+
+  assert.strictEqual((await first.entries()).length, 20);
+  assert.strictEqual((await second.entries()).length, 20);
+  assert.strictEqual(await first.get('second-9'), 9);
+});
+
+test('file transactions exclude each other across instances', async () => {
+  const filePath = nextFile();
+  const [first, second] = [new FileStore(filePath), new FileStore(filePath)];
+
+  await Promise.all(Array.from({ length: 10 }, () => [increment(first), increment(second)]).flat());
+
+  assert.strictEqual(await new FileStore(filePath).get('count'), 20);
+  assert.ok(!fs.existsSync(`${filePath}.lock`));
+});
+
+test('a failed file transaction writes nothing', async () => {
+  const filePath = nextFile();
+  const store = new FileStore(filePath);
+  await store.set('kept', 1);
+
+  await assert.rejects(store.transaction(async (handle) => {
+    await handle.set('dropped', 1);
+    throw new Error('check failed');
+  }), /check failed/);
+
+  assert.strictEqual(await store.get('dropped'), null);
+  assert.strictEqual(await new FileStore(filePath).get('dropped'), null);
+  assert.strictEqual(await store.get('kept'), 1);
+});
+
+test('a lock left by a process that is gone is broken', async () => {
+  const filePath = nextFile();
+  const store = new FileStore(filePath);
+  fs.writeFileSync(`${filePath}.lock`, `${os.hostname()} 2147483646`);
+
+  const startedAt = Date.now();
+  await store.set('key', 'value');
+
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.strictEqual(await store.get('key'), 'value');
+});
+
+test('a lock held by a running process is waited for', async () => {
+  const filePath = nextFile();
+  const store = new FileStore(filePath);
+  fs.writeFileSync(`${filePath}.lock`, `${os.hostname()} ${process.pid}`);
+  setTimeout(() => fs.rmSync(`${filePath}.lock`), 100);
+
+  const startedAt = Date.now();
+  await store.set('key', 'value');
+
+  assert.ok(Date.now() - startedAt >= 100);
+});